@@ -0,0 +1,51 @@
+// Starts solana-test-validator as the `localnet` cluster (src/js/clusters.js):
+// the devnet SNS deployment is cloned in, so the whole registration flow runs
+// against a local ledger. Extra arguments are passed on to the validator.
+//
+//   npm run localnet -- --ledger .localnet
+//
+// Cloned accounts are snapshots: the Pyth SOL price stops updating, so restart
+// with --reset if the registrar starts rejecting the price as stale.
+import { spawn } from 'child_process';
+import { PublicKey } from '@solana/web3.js';
+import { NATIVE_MINT, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { PYTH_PULL_FEEDS, devnet, getPythFeedAccountKey } from '@bonfida/spl-name-service';
+
+const {
+    NAME_PROGRAM_ID,
+    REGISTER_PROGRAM_ID,
+    ROOT_DOMAIN_ACCOUNT,
+    REVERSE_LOOKUP_CLASS,
+    VAULT_OWNER
+} = devnet.constants;
+
+// The devnet registrar reads the mainnet pull feed for SOL
+const [solPriceFeed] = getPythFeedAccountKey(0, PYTH_PULL_FEEDS.get(NATIVE_MINT.toBase58()));
+
+const programs = [NAME_PROGRAM_ID, REGISTER_PROGRAM_ID];
+const accounts = [
+    ROOT_DOMAIN_ACCOUNT,
+    REVERSE_LOOKUP_CLASS,
+    getAssociatedTokenAddressSync(NATIVE_MINT, VAULT_OWNER, true),
+    solPriceFeed
+];
+
+const args = [
+    '--url', process.env.SOLANA_RPC_DEVNET || 'https://api.devnet.solana.com',
+    ...programs.flatMap(program => ['--clone-upgradeable-program', new PublicKey(program).toBase58()]),
+    ...accounts.flatMap(account => ['--clone', new PublicKey(account).toBase58()]),
+    ...process.argv.slice(2)
+];
+
+console.log('Starting solana-test-validator with the devnet SNS deployment...');
+
+const validator = spawn('solana-test-validator', args, { stdio: 'inherit' });
+
+validator.on('error', (error) => {
+    console.error(error.code === 'ENOENT'
+        ? 'solana-test-validator not found. Install the Solana CLI: https://docs.solanalabs.com/cli/install'
+        : error.message);
+    process.exit(1);
+});
+
+validator.on('exit', (code) => process.exit(code ?? 0));
@@ -0,0 +1,52 @@
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import { createDomainsRouter } from './routes/domains.js';
+import { createQuotesRouter } from './routes/quotes.js';
+import { createRegistrationsRouter } from './routes/registrations.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createEventsRouter } from './routes/events.js';
+import { createWebhooksRouter } from './routes/webhooks.js';
+import { createEventBus } from './events.js';
+import { createWebhookDispatcher } from './webhooks.js';
+
+export function createApp({
+    db,
+    resolveOwner,
+    getConnection,
+    getPriceFeed,
+    allowedDomains,
+    adminToken,
+    webhooks = createWebhookDispatcher({ db }),
+    events = createEventBus({ db, webhooks })
+} = {}) {
+    const app = express();
+
+    // Only the origins in CORS_ORIGIN may call the API from a browser, with
+    // credentials so they can use the session cookie; unset, none can
+    const corsOrigins = (process.env.CORS_ORIGIN || '').split(',').filter(Boolean);
+    app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false, credentials: true }));
+    app.use(bodyParser.json());
+
+    app.get('/api/health', (req, res) => {
+        res.json({ success: true, status: 'ok' });
+    });
+
+    app.use('/api/auth', createAuthRouter({ db, allowedDomains }));
+    app.use('/api/domains', createDomainsRouter({ db, resolveOwner, getConnection, events }));
+    app.use('/api/quotes', createQuotesRouter({ db, getPriceFeed }));
+    app.use('/api/registrations', createRegistrationsRouter({ db, getConnection, events }));
+    app.use('/api/events', createEventsRouter({ events }));
+    app.use('/api/webhooks', createWebhooksRouter({ db, adminToken }));
+
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: 'Not found' });
+    });
+
+    app.use((error, req, res, next) => {
+        console.error('API error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message || 'Internal server error' });
+    });
+
+    return app;
+}
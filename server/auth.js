@@ -0,0 +1,97 @@
+import { createHash, createPublicKey, randomBytes, verify } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { toISOString } from './db.js';
+
+export const SESSION_COOKIE = 'sns_session';
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// Solana addresses are raw ed25519 public keys
+export function verifyWalletSignature(message, signature, address) {
+    const key = createPublicKey({
+        key: {
+            kty: 'OKP',
+            crv: 'Ed25519',
+            x: Buffer.from(new PublicKey(address).toBytes()).toString('base64url')
+        },
+        format: 'jwk'
+    });
+
+    return signature.length === 64 && verify(null, Buffer.from(message, 'utf8'), key, signature);
+}
+
+// The app sends the token as a bearer header; same-site deployments can rely on the cookie
+function readSessionToken(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+
+    const cookie = (req.get('cookie') || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+export async function createSession(db, userId, walletAddress, network) {
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+    await db('sessions').insert({
+        token_hash: hashToken(token),
+        user_id: userId,
+        wallet_address: walletAddress,
+        network,
+        expires_at: expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+export async function findSession(db, req) {
+    const token = readSessionToken(req);
+    if (!token) {
+        return null;
+    }
+
+    const session = await db('sessions')
+        .where({ token_hash: hashToken(token) })
+        .whereNull('revoked_at')
+        .first();
+
+    if (!session || new Date(toISOString(session.expires_at)) <= new Date()) {
+        return null;
+    }
+
+    return session;
+}
+
+// Rejects the request with 401 unless it carries a live session, see routes/auth.js
+export function requireSession(db) {
+    return async (req, res, next) => {
+        try {
+            const session = await findSession(db, req);
+            if (!session) {
+                return res.status(401).json({ success: false, error: 'Sign in with your wallet to continue' });
+            }
+
+            req.session = session;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export function serializeSession(row) {
+    return {
+        address: row.wallet_address,
+        network: row.network,
+        expiresAt: toISOString(row.expires_at)
+    };
+}
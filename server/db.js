@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+import knex from 'knex';
+import { createKnexConfig } from './knexfile.js';
+
+// Pass ":memory:" for a throwaway database (tests, local experiments)
+export async function createDatabase(filename) {
+    const config = createKnexConfig(filename);
+
+    if (config.connection.filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(config.connection.filename), { recursive: true });
+    }
+
+    const db = knex(config);
+    await db.migrate.latest();
+
+    return db;
+}
+
+// SQLite's CURRENT_TIMESTAMP is UTC but carries no zone designator
+export function toISOString(value) {
+    if (typeof value === 'string' && !/[zZ]|[+-]\d\d:?\d\d$/.test(value)) {
+        return new Date(`${value.replace(' ', 'T')}Z`).toISOString();
+    }
+    return new Date(value).toISOString();
+}
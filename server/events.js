@@ -0,0 +1,69 @@
+import { EventEmitter } from 'events';
+import { toISOString } from './db.js';
+
+export const EVENT_TYPES = ['registration.confirmed', 'registration.failed', 'registration.mismatched', 'domain.transferred'];
+
+// Event stream clients replay at most this many missed events on reconnect
+const MAX_REPLAY = 500;
+
+export function serializeEvent(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        createdAt: toISOString(row.created_at),
+        data: JSON.parse(row.payload)
+    };
+}
+
+/**
+ * Stores events, hands them to the webhook dispatcher and fans them out to
+ * event stream subscribers. Publishing never throws: the change it reports
+ * has already happened.
+ */
+export function createEventBus({ db, webhooks = null }) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    async function publish(type, data) {
+        try {
+            const [id] = await db('events').insert({ type, payload: JSON.stringify(data) });
+            const event = serializeEvent(await db('events').where({ id }).first());
+
+            emitter.emit('event', event);
+            await webhooks?.enqueue(event);
+            return event;
+        } catch (error) {
+            console.error(`Publishing ${type} failed:`, error.message);
+            return null;
+        }
+    }
+
+    // Returns a function that ends the subscription
+    function subscribe(listener) {
+        emitter.on('event', listener);
+        return () => emitter.off('event', listener);
+    }
+
+    async function since(lastId) {
+        const rows = await db('events').where('id', '>', lastId).orderBy('id', 'asc').limit(MAX_REPLAY);
+        return rows.map(serializeEvent);
+    }
+
+    return { publish, subscribe, since };
+}
+
+// Payload of registration.* events
+export function registrationEventData(registration, verification) {
+    return {
+        domain: registration.domain,
+        network: registration.network,
+        owner: registration.owner,
+        nameAccount: registration.name_account,
+        signature: registration.signature,
+        paymentMethod: registration.payment_method,
+        cost: Number(registration.cost),
+        status: verification.status,
+        mismatches: verification.mismatches,
+        error: verification.error || null
+    };
+}
@@ -0,0 +1,17 @@
+import { createDatabase } from './db.js';
+import { createApp } from './app.js';
+import { createWebhookDispatcher } from './webhooks.js';
+
+const port = Number(process.env.PORT) || 3001;
+
+const db = await createDatabase(process.env.DATABASE_FILE);
+
+// Retries pending webhook deliveries, including ones left over from a previous run
+const webhooks = createWebhookDispatcher({ db });
+webhooks.start();
+
+const app = createApp({ db, webhooks });
+
+app.listen(port, () => {
+    console.log(`✅ SNS API listening on http://localhost:${port}`);
+});
@@ -0,0 +1,23 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function createKnexConfig(filename = process.env.DATABASE_FILE || path.join(__dirname, 'data', 'sns.sqlite3')) {
+    const inMemory = filename === ':memory:';
+
+    return {
+        client: 'sqlite3',
+        connection: { filename },
+        useNullAsDefault: true,
+        // Every connection to ":memory:" opens its own empty database, so keep just one
+        pool: inMemory ? { min: 1, max: 1, idleTimeoutMillis: Infinity } : undefined,
+        migrations: {
+            directory: path.join(__dirname, 'migrations'),
+            loadExtensions: ['.js']
+        }
+    };
+}
+
+export default createKnexConfig();
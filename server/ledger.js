@@ -0,0 +1,78 @@
+import { verifyRegistrationTransaction } from './verification.js';
+import { registrationEventData } from './events.js';
+
+/**
+ * Verifies a registration on chain, appends the outcome to the ledger and
+ * mirrors the status onto the registration row. Returns the ledger entry.
+ * Once a batched transaction settles, registrations of the same batch that
+ * were still waiting on it are verified too. Settled outcomes are published
+ * on events as registration.confirmed, .failed or .mismatched.
+ */
+export async function verifyAndRecord(db, registration, connection, events = null) {
+    const batch = await db('registrations').where({ signature: registration.signature });
+    const entry = await recordVerification(db, registration, connection, batch, events);
+
+    if (entry.status !== 'pending') {
+        const waiting = batch.filter(row => row.id !== registration.id && row.status === 'pending');
+        for (const row of waiting) {
+            await recordVerification(db, row, connection, batch, events);
+        }
+    }
+
+    return entry;
+}
+
+async function recordVerification(db, registration, connection, batch, events) {
+    const quoteIds = [...new Set(batch.map(row => row.quote_id).filter(Boolean))];
+    const quotes = quoteIds.length > 0 ? await db('quotes').whereIn('id', quoteIds) : [];
+
+    let verification;
+    try {
+        verification = await verifyRegistrationTransaction(connection, registration, quotes, batch);
+    } catch (error) {
+        console.error(`Verification of ${registration.signature} failed:`, error.message);
+        verification = { status: 'pending', mismatches: [], error: error.message };
+    }
+
+    const entry = {
+        registration_id: registration.id,
+        signature: registration.signature,
+        status: verification.status,
+        payer: verification.payer || null,
+        recipient: verification.recipient || null,
+        mint: verification.mint || null,
+        amount: verification.amount ?? null,
+        mismatches: JSON.stringify(verification.mismatches),
+        error: verification.error || null,
+        slot: verification.slot ?? null,
+        block_time: verification.blockTime || null
+    };
+
+    await db.transaction(async (trx) => {
+        await trx('ledger_entries').insert(entry);
+        await trx('registrations')
+            .where({ id: registration.id })
+            .update({ status: verification.status, updated_at: trx.fn.now() });
+    });
+
+    if (events && verification.status !== 'pending' && verification.status !== registration.status) {
+        await events.publish(`registration.${verification.status}`, registrationEventData(registration, verification));
+    }
+
+    return { ...entry, mismatches: verification.mismatches };
+}
+
+export function serializeLedgerEntry(entry) {
+    return {
+        signature: entry.signature,
+        status: entry.status,
+        payer: entry.payer,
+        recipient: entry.recipient,
+        mint: entry.mint,
+        amount: entry.amount === null ? null : Number(entry.amount),
+        mismatches: typeof entry.mismatches === 'string' ? JSON.parse(entry.mismatches) : entry.mismatches,
+        error: entry.error,
+        slot: entry.slot === null ? null : Number(entry.slot),
+        blockTime: entry.block_time
+    };
+}
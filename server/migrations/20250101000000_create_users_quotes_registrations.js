@@ -0,0 +1,45 @@
+export async function up(knex) {
+    await knex.schema.createTable('users', (table) => {
+        table.increments('id');
+        table.string('wallet_address', 44).notNullable().unique();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.timestamp('last_seen_at').notNullable().defaultTo(knex.fn.now());
+    });
+
+    await knex.schema.createTable('quotes', (table) => {
+        table.string('id', 36).primary();
+        table.string('domain', 64).notNullable();
+        table.string('network', 16).notNullable();
+        table.string('owner', 44);
+        table.string('currency', 8).notNullable();
+        table.text('line_items').notNullable();
+        table.decimal('total', 20, 9).notNullable();
+        table.string('promo_code', 32);
+        table.timestamp('expires_at').notNullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['domain', 'network']);
+    });
+
+    await knex.schema.createTable('registrations', (table) => {
+        table.increments('id');
+        table.string('domain', 64).notNullable();
+        table.string('network', 16).notNullable();
+        table.string('owner', 44).notNullable();
+        table.string('name_account', 44);
+        table.string('signature', 88).notNullable().unique();
+        table.string('quote_id', 36).references('id').inTable('quotes');
+        table.string('payment_method', 8).notNullable();
+        table.decimal('cost', 20, 9).notNullable();
+        table.string('status', 16).notNullable().defaultTo('pending');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['owner']);
+        table.index(['domain', 'network']);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.dropTableIfExists('registrations');
+    await knex.schema.dropTableIfExists('quotes');
+    await knex.schema.dropTableIfExists('users');
+}
@@ -0,0 +1,22 @@
+export async function up(knex) {
+    await knex.schema.createTable('ledger_entries', (table) => {
+        table.increments('id');
+        table.integer('registration_id').unsigned().notNullable().references('id').inTable('registrations');
+        table.string('signature', 88).notNullable();
+        table.string('status', 16).notNullable();
+        table.string('payer', 44);
+        table.string('recipient', 44);
+        table.string('mint', 44);
+        table.decimal('amount', 20, 9);
+        table.text('mismatches');
+        table.text('error');
+        table.bigInteger('slot');
+        table.timestamp('block_time');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['signature']);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.dropTableIfExists('ledger_entries');
+}
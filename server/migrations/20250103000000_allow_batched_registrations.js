@@ -0,0 +1,18 @@
+// Several registrations can share one transaction signature
+export async function up(knex) {
+    await knex.schema.alterTable('registrations', (table) => {
+        table.dropUnique(['signature']);
+        table.integer('batch_size').unsigned().notNullable().defaultTo(1);
+        table.unique(['signature', 'domain']);
+        table.index(['signature']);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.alterTable('registrations', (table) => {
+        table.dropIndex(['signature']);
+        table.dropUnique(['signature', 'domain']);
+        table.dropColumn('batch_size');
+        table.unique(['signature']);
+    });
+}
@@ -0,0 +1,28 @@
+export async function up(knex) {
+    // One-time values embedded in sign-in messages, so a signature cannot be replayed
+    await knex.schema.createTable('auth_nonces', (table) => {
+        table.string('nonce', 32).primary();
+        table.string('wallet_address', 44).notNullable();
+        table.string('network', 16).notNullable();
+        table.timestamp('expires_at').notNullable();
+        table.timestamp('used_at');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+
+    // Only a hash of the session token is stored
+    await knex.schema.createTable('sessions', (table) => {
+        table.string('token_hash', 64).primary();
+        table.integer('user_id').unsigned().notNullable().references('id').inTable('users');
+        table.string('wallet_address', 44).notNullable();
+        table.string('network', 16).notNullable();
+        table.timestamp('expires_at').notNullable();
+        table.timestamp('revoked_at');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['wallet_address']);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.dropTableIfExists('sessions');
+    await knex.schema.dropTableIfExists('auth_nonces');
+}
@@ -0,0 +1,42 @@
+export async function up(knex) {
+    // Every published event, so event stream clients can catch up by id
+    await knex.schema.createTable('events', (table) => {
+        table.increments('id');
+        table.string('type', 48).notNullable();
+        table.text('payload').notNullable();
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+
+    // Outbound endpoints; events holds a JSON array of subscribed event types
+    await knex.schema.createTable('webhooks', (table) => {
+        table.increments('id');
+        table.string('url', 2048).notNullable();
+        table.string('secret', 64).notNullable();
+        table.text('events').notNullable();
+        table.boolean('active').notNullable().defaultTo(true);
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    });
+
+    // One row per event and webhook, updated on every attempt
+    await knex.schema.createTable('webhook_deliveries', (table) => {
+        table.increments('id');
+        table.integer('webhook_id').unsigned().notNullable().references('id').inTable('webhooks');
+        table.integer('event_id').unsigned().notNullable().references('id').inTable('events');
+        table.string('status', 16).notNullable().defaultTo('pending');
+        table.integer('attempts').unsigned().notNullable().defaultTo(0);
+        table.integer('response_status');
+        table.text('error');
+        table.string('next_attempt_at', 32);
+        table.timestamp('delivered_at');
+        table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+        table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+        table.index(['status', 'next_attempt_at']);
+        table.index(['webhook_id']);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.dropTableIfExists('webhook_deliveries');
+    await knex.schema.dropTableIfExists('webhooks');
+    await knex.schema.dropTableIfExists('events');
+}
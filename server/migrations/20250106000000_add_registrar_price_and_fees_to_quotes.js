@@ -0,0 +1,19 @@
+// Quotes carry the registrar price they were converted at and the app fees
+// paid to fee_recipient; rows from before stay null
+export async function up(knex) {
+    await knex.schema.alterTable('quotes', (table) => {
+        table.decimal('registrar_usd', 20, 9);
+        table.decimal('registrar_sol', 20, 9);
+        table.decimal('fee', 20, 9).notNullable().defaultTo(0);
+        table.string('fee_recipient', 44);
+    });
+}
+
+export async function down(knex) {
+    await knex.schema.alterTable('quotes', (table) => {
+        table.dropColumn('fee_recipient');
+        table.dropColumn('fee');
+        table.dropColumn('registrar_sol');
+        table.dropColumn('registrar_usd');
+    });
+}
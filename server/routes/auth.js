@@ -0,0 +1,155 @@
+import { randomBytes } from 'crypto';
+import { Router } from 'express';
+import { parseSignInMessage } from '../../src/js/siws.js';
+import { isSupportedNetwork } from '../solana.js';
+import { toISOString } from '../db.js';
+import { isValidPublicKey, touchUser } from './registrations.js';
+import {
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    createSession,
+    findSession,
+    requireSession,
+    serializeSession,
+    verifyWalletSignature
+} from '../auth.js';
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// The host the message names must be one we serve. Without SIWS_DOMAINS the
+// requesting page's origin is accepted.
+function isAllowedDomain(domain, req, allowedDomains) {
+    if (allowedDomains.length > 0) {
+        return allowedDomains.includes(domain);
+    }
+
+    try {
+        return new URL(req.get('origin')).host === domain;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function createAuthRouter({ db, allowedDomains = (process.env.SIWS_DOMAINS || '').split(',').filter(Boolean) }) {
+    const router = Router();
+
+    router.post('/nonce', async (req, res, next) => {
+        try {
+            const { address, network = 'mainnet' } = req.body || {};
+
+            if (!address || !isValidPublicKey(address)) {
+                return res.status(400).json({ success: false, error: 'A valid wallet address is required' });
+            }
+
+            if (!isSupportedNetwork(network)) {
+                return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+            }
+
+            const now = Date.now();
+            const row = {
+                nonce: randomBytes(16).toString('hex'),
+                wallet_address: address,
+                network,
+                expires_at: new Date(now + NONCE_TTL_MS).toISOString()
+            };
+
+            await db('auth_nonces').insert(row);
+
+            res.status(201).json({
+                success: true,
+                nonce: row.nonce,
+                issuedAt: new Date(now).toISOString(),
+                expirationTime: row.expires_at
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/verify', async (req, res, next) => {
+        try {
+            const { message, signature } = req.body || {};
+            const fields = message ? parseSignInMessage(message) : null;
+
+            if (!fields || !signature) {
+                return res.status(400).json({ success: false, error: 'A signed sign-in message is required' });
+            }
+
+            if (!isAllowedDomain(fields.domain, req, allowedDomains)) {
+                return res.status(401).json({ success: false, error: `Sign-in message is for ${fields.domain}, not this site` });
+            }
+
+            const nonce = await db('auth_nonces').where({ nonce: fields.nonce }).first();
+            if (nonce?.used_at) {
+                return res.status(401).json({ success: false, error: 'Sign-in request already used' });
+            }
+
+            if (!nonce || new Date(toISOString(nonce.expires_at)) <= new Date()) {
+                return res.status(401).json({ success: false, error: 'Sign-in request expired, please try again' });
+            }
+
+            if (nonce.wallet_address !== fields.address || nonce.network !== fields.network) {
+                return res.status(401).json({ success: false, error: 'Sign-in message does not match the requested wallet or network' });
+            }
+
+            if (!(new Date(fields.expirationTime) > new Date())) {
+                return res.status(401).json({ success: false, error: 'Sign-in message has expired' });
+            }
+
+            if (!verifyWalletSignature(message, Buffer.from(signature, 'base64'), fields.address)) {
+                return res.status(401).json({ success: false, error: 'Invalid signature' });
+            }
+
+            // Claiming the nonce and checking the row count keeps concurrent replays out
+            const claimed = await db('auth_nonces')
+                .where({ nonce: fields.nonce })
+                .whereNull('used_at')
+                .update({ used_at: db.fn.now() });
+            if (claimed !== 1) {
+                return res.status(401).json({ success: false, error: 'Sign-in request already used' });
+            }
+
+            await touchUser(db, fields.address);
+            const user = await db('users').where({ wallet_address: fields.address }).first();
+            const { token, expiresAt } = await createSession(db, user.id, fields.address, fields.network);
+
+            res.cookie(SESSION_COOKIE, token, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: req.secure,
+                path: '/api',
+                maxAge: SESSION_TTL_MS
+            });
+
+            res.status(201).json({
+                success: true,
+                token,
+                session: { address: fields.address, network: fields.network, expiresAt }
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/session', requireSession(db), (req, res) => {
+        res.json({ success: true, session: serializeSession(req.session) });
+    });
+
+    router.post('/logout', async (req, res, next) => {
+        try {
+            const session = await findSession(db, req);
+            if (session) {
+                await db('sessions')
+                    .where({ token_hash: session.token_hash })
+                    .update({ revoked_at: db.fn.now() });
+            }
+
+            res.clearCookie(SESSION_COOKIE, { path: '/api' });
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,135 @@
+import { Router } from 'express';
+import { parseDomainName, validateDomainName, validateSubdomainName } from '../../src/js/validation.js';
+import { isSupportedNetwork, resolveOwner, getConnection, getNameAccount } from '../solana.js';
+import { requireSession } from '../auth.js';
+import { findNameTransfer, isValidSignature } from '../verification.js';
+
+export function createDomainsRouter({
+    db,
+    resolveOwner: resolveDomainOwner = resolveOwner,
+    getConnection: getNetworkConnection = getConnection,
+    events = null
+}) {
+    const router = Router();
+
+    router.get('/:name/availability', async (req, res, next) => {
+        try {
+            const domain = req.params.name.toLowerCase();
+            const network = req.query.network || 'mainnet';
+
+            if (!isSupportedNetwork(network)) {
+                return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+            }
+
+            const validation = validateDomainName(domain);
+            if (!validation.isValid) {
+                return res.status(400).json({ success: false, error: validation.error });
+            }
+
+            // Registrations the ledger confirmed on chain win over a possibly lagging
+            // RPC node; anything else is left to the chain lookup
+            const registration = await db('registrations')
+                .where({ domain, network, status: 'confirmed' })
+                .orderBy('created_at', 'desc')
+                .first();
+
+            if (registration) {
+                return res.json({
+                    success: true,
+                    status: 'registered',
+                    available: false,
+                    domain,
+                    network,
+                    owner: registration.owner,
+                    source: 'ledger'
+                });
+            }
+
+            let owner;
+            try {
+                owner = await resolveDomainOwner(network, domain);
+            } catch (error) {
+                console.error(`Availability lookup for ${domain} on ${network} failed:`, error.message);
+                return res.status(503).json({
+                    success: false,
+                    status: 'unknown',
+                    error: `Could not confirm whether ${domain}.sol is available`
+                });
+            }
+
+            res.json({
+                success: true,
+                status: owner ? 'registered' : 'available',
+                available: !owner,
+                domain,
+                network,
+                owner,
+                source: 'chain'
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Reported by the app after a transfer it sent. Sender and recipient come from
+    // the transaction, which the signed-in wallet must have signed, and the chain
+    // must still show the recipient as the owner.
+    router.post('/:name/transfers', requireSession(db), async (req, res, next) => {
+        try {
+            const { name: domain, isSubdomain } = parseDomainName(req.params.name);
+            const { network = 'mainnet', signature } = req.body || {};
+
+            if (!isSupportedNetwork(network)) {
+                return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+            }
+
+            const validation = isSubdomain ? validateSubdomainName(domain) : validateDomainName(domain);
+            if (!validation.isValid) {
+                return res.status(400).json({ success: false, error: validation.error });
+            }
+
+            if (!isValidSignature(signature)) {
+                return res.status(400).json({ success: false, error: 'The transfer signature is required' });
+            }
+
+            let found;
+            try {
+                found = await findNameTransfer(getNetworkConnection(network), signature, getNameAccount(network, domain));
+            } catch (error) {
+                console.error(`Transaction lookup for ${signature} on ${network} failed:`, error.message);
+                return res.status(503).json({ success: false, error: 'Could not look up the transfer transaction' });
+            }
+
+            if (found.error) {
+                return res.status(422).json({ success: false, error: found.error });
+            }
+
+            const from = req.session.wallet_address;
+            if (!found.signers.includes(from)) {
+                return res.status(403).json({ success: false, error: `The transfer was not signed by ${from}` });
+            }
+
+            const { to } = found;
+            let owner;
+            try {
+                owner = await resolveDomainOwner(network, domain);
+            } catch (error) {
+                console.error(`Owner lookup for ${domain} on ${network} failed:`, error.message);
+                return res.status(503).json({ success: false, error: `Could not read the owner of ${domain}.sol` });
+            }
+
+            if (owner !== to) {
+                return res.status(422).json({ success: false, error: `${domain}.sol is not owned by ${to}` });
+            }
+
+            const transfer = { domain, network, from, to, signature };
+            await events?.publish('domain.transferred', transfer);
+
+            res.status(201).json({ success: true, transfer });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
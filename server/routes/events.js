@@ -0,0 +1,74 @@
+import { Router } from 'express';
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// ?network= and ?address= (owner, sender or recipient) narrow the stream
+function matches(event, { network, address }) {
+    const { data } = event;
+    return (!network || data.network === network) &&
+        (!address || [data.owner, data.from, data.to].includes(address));
+}
+
+function write(res, event) {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Server-sent events of everything the event bus publishes. Reconnecting
+ * clients send Last-Event-ID (EventSource does this itself) and get the
+ * events they missed first.
+ */
+export function createEventsRouter({ events }) {
+    const router = Router();
+
+    router.get('/', async (req, res, next) => {
+        try {
+            const filters = { network: req.query.network, address: req.query.address };
+            const lastId = Number(req.get('last-event-id') || req.query.since || 0);
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.flushHeaders();
+
+            // Subscribe before the replay so nothing published in between is lost
+            const buffered = [];
+            let replaying = true;
+            const unsubscribe = events.subscribe((event) => {
+                if (!matches(event, filters)) {
+                    return;
+                }
+                if (replaying) {
+                    buffered.push(event);
+                } else {
+                    write(res, event);
+                }
+            });
+
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            });
+
+            const missed = Number.isInteger(lastId) && lastId > 0 ? await events.since(lastId) : [];
+            const seen = new Set(missed.map(event => event.id));
+            missed.filter(event => matches(event, filters)).forEach(event => write(res, event));
+            buffered.filter(event => !seen.has(event.id)).forEach(event => write(res, event));
+            replaying = false;
+        } catch (error) {
+            // Once streaming, an error can only end the stream; the client reconnects
+            if (res.headersSent) {
+                console.error('Event stream failed:', error.message);
+                res.end();
+            } else {
+                next(error);
+            }
+        }
+    });
+
+    return router;
+}
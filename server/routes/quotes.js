@@ -0,0 +1,99 @@
+import { randomUUID } from 'crypto';
+import { Router } from 'express';
+import { PricingEngine } from '../../src/js/pricing.js';
+import { PriceFeed, PythPriceSource, HttpPriceSource } from '../../src/js/price.js';
+import { validateDomainName } from '../../src/js/validation.js';
+import { isSupportedNetwork, getConnection } from '../solana.js';
+import { toISOString } from '../db.js';
+
+const QUOTE_TTL_MS = 10 * 60 * 1000;
+
+// One SOL/USD feed per network, read the way the browser reads it
+function createPriceFeeds(getNetworkConnection) {
+    const feeds = new Map();
+    return (network) => {
+        if (!feeds.has(network)) {
+            feeds.set(network, new PriceFeed([
+                new PythPriceSource(() => getNetworkConnection(network)),
+                new HttpPriceSource()
+            ]));
+        }
+        return feeds.get(network);
+    };
+}
+
+export function serializeQuote(row) {
+    return {
+        id: row.id,
+        domain: row.domain,
+        network: row.network,
+        owner: row.owner,
+        currency: row.currency,
+        lineItems: JSON.parse(row.line_items),
+        registrarPrice: row.registrar_sol === null ? null : { usd: Number(row.registrar_usd), sol: Number(row.registrar_sol) },
+        fee: Number(row.fee),
+        feeRecipient: row.fee_recipient,
+        total: Number(row.total),
+        promoCode: row.promo_code,
+        expiresAt: toISOString(row.expires_at)
+    };
+}
+
+export function createQuotesRouter({ db, pricingEngine = new PricingEngine(), getPriceFeed = createPriceFeeds(getConnection) }) {
+    const router = Router();
+
+    router.post('/', async (req, res, next) => {
+        try {
+            const { domain, network = 'mainnet', promoCode = null, owner = null } = req.body || {};
+
+            if (!isSupportedNetwork(network)) {
+                return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+            }
+
+            const validation = validateDomainName(domain);
+            if (!validation.isValid) {
+                return res.status(400).json({ success: false, error: validation.error });
+            }
+
+            if (pricingEngine.isReserved(domain, network)) {
+                return res.status(422).json({ success: false, error: `${domain}.sol is reserved and cannot be registered` });
+            }
+
+            let solPrice;
+            try {
+                ({ price: solPrice } = await getPriceFeed(network).getPrice());
+            } catch (error) {
+                return res.status(503).json({ success: false, error: error.message });
+            }
+
+            const quote = pricingEngine.quote(domain, { network, promoCode, solPrice });
+
+            const row = {
+                id: randomUUID(),
+                domain,
+                network,
+                owner,
+                currency: quote.currency,
+                line_items: JSON.stringify(quote.lineItems),
+                registrar_usd: quote.registrarPrice.usd,
+                registrar_sol: quote.registrarPrice.sol,
+                fee: quote.fee,
+                fee_recipient: quote.feeRecipient,
+                total: quote.total,
+                promo_code: quote.promoCode,
+                expires_at: new Date(Date.now() + QUOTE_TTL_MS).toISOString()
+            };
+
+            await db('quotes').insert(row);
+
+            res.status(201).json({
+                success: true,
+                quote: { ...quote, ...serializeQuote(row) }
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
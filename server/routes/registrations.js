@@ -0,0 +1,227 @@
+import { Router } from 'express';
+import { PublicKey } from '@solana/web3.js';
+import { isSupportedNetwork, getConnection } from '../solana.js';
+import { toISOString } from '../db.js';
+import { verifyAndRecord, serializeLedgerEntry } from '../ledger.js';
+import { findSignedTransaction, isValidSignature } from '../verification.js';
+import { requireSession } from '../auth.js';
+import { validateDomainName } from '../../src/js/validation.js';
+
+const PAYMENT_METHODS = ['SOL', 'USDC'];
+const MAX_BATCH_SIZE = 20;
+
+export function isValidPublicKey(value) {
+    try {
+        new PublicKey(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function serializeRegistration(row) {
+    return {
+        id: row.id,
+        domain: row.domain,
+        network: row.network,
+        owner: row.owner,
+        nameAccount: row.name_account,
+        signature: row.signature,
+        quoteId: row.quote_id,
+        paymentMethod: row.payment_method,
+        cost: Number(row.cost),
+        batchSize: row.batch_size,
+        status: row.status,
+        createdAt: toISOString(row.created_at),
+        updatedAt: toISOString(row.updated_at)
+    };
+}
+
+export async function touchUser(db, walletAddress) {
+    await db('users')
+        .insert({ wallet_address: walletAddress })
+        .onConflict('wallet_address')
+        .merge({ last_seen_at: db.fn.now() });
+}
+
+// A batched transaction holds several registrations; ?domain= picks one, otherwise the first
+function findRegistration(db, signature, domain) {
+    const query = db('registrations').where({ signature }).orderBy('id', 'asc');
+    if (domain) {
+        query.andWhere({ domain });
+    }
+    return query.first();
+}
+
+export function createRegistrationsRouter({ db, getConnection: getNetworkConnection = getConnection, events = null }) {
+    const router = Router();
+
+    // Registration history is private to the signed-in wallet
+    router.get('/', requireSession(db), async (req, res, next) => {
+        try {
+            const { owner = req.session.wallet_address, network } = req.query;
+
+            if (owner !== req.session.wallet_address) {
+                return res.status(403).json({ success: false, error: 'You can only list registrations of the signed-in wallet' });
+            }
+
+            const query = db('registrations').where({ owner }).orderBy('created_at', 'desc');
+            if (network) {
+                query.andWhere({ network });
+            }
+
+            const rows = await query;
+            res.json({ success: true, registrations: rows.map(serializeRegistration) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Only the signed-in wallet can record its registrations, and only ones it signed
+    router.post('/', requireSession(db), async (req, res, next) => {
+        try {
+            const {
+                domain,
+                network = 'mainnet',
+                owner = req.session.wallet_address,
+                signature,
+                nameAccount = null,
+                quoteId = null,
+                paymentMethod = 'SOL',
+                cost,
+                batchSize = 1
+            } = req.body || {};
+
+            if (!isSupportedNetwork(network)) {
+                return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+            }
+
+            if (!domain || !signature || cost === undefined) {
+                return res.status(400).json({ success: false, error: 'domain, signature and cost are required' });
+            }
+
+            const validation = validateDomainName(domain);
+            if (!validation.isValid) {
+                return res.status(400).json({ success: false, error: validation.error });
+            }
+
+            if (!owner || !isValidPublicKey(owner)) {
+                return res.status(400).json({ success: false, error: 'A valid owner public key is required' });
+            }
+
+            if (owner !== req.session.wallet_address) {
+                return res.status(403).json({ success: false, error: 'You can only record registrations of the signed-in wallet' });
+            }
+
+            if (!isValidSignature(signature)) {
+                return res.status(400).json({ success: false, error: 'signature is not a valid transaction signature' });
+            }
+
+            if (!PAYMENT_METHODS.includes(paymentMethod)) {
+                return res.status(400).json({ success: false, error: `Unsupported payment method: ${paymentMethod}` });
+            }
+
+            if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+                return res.status(400).json({ success: false, error: `batchSize must be an integer from 1 to ${MAX_BATCH_SIZE}` });
+            }
+
+            if (quoteId) {
+                const quote = await db('quotes').where({ id: quoteId }).first();
+                if (!quote || quote.domain !== domain || quote.network !== network) {
+                    return res.status(422).json({ success: false, error: 'Quote does not match this registration' });
+                }
+            }
+
+            const existing = await db('registrations').where({ signature, domain }).first();
+            if (existing) {
+                return res.status(409).json({ success: false, error: 'Registration already recorded' });
+            }
+
+            let found;
+            try {
+                found = await findSignedTransaction(getNetworkConnection(network), signature, owner);
+            } catch (error) {
+                console.error(`Transaction lookup for ${signature} on ${network} failed:`, error.message);
+                return res.status(503).json({ success: false, error: 'Could not look up the registration transaction' });
+            }
+
+            if (found.error) {
+                return res.status(422).json({ success: false, error: found.error });
+            }
+
+            await touchUser(db, owner);
+
+            const [id] = await db('registrations').insert({
+                domain,
+                network,
+                owner,
+                signature,
+                name_account: nameAccount,
+                quote_id: quoteId,
+                payment_method: paymentMethod,
+                cost,
+                batch_size: batchSize
+            });
+
+            const inserted = await db('registrations').where({ id }).first();
+            const verification = await verifyAndRecord(db, inserted, getNetworkConnection(network), events);
+            const row = await db('registrations').where({ id }).first();
+
+            res.status(201).json({
+                success: true,
+                registration: serializeRegistration(row),
+                verification: serializeLedgerEntry(verification)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/:signature', async (req, res, next) => {
+        try {
+            const row = await findRegistration(db, req.params.signature, req.query.domain);
+            if (!row) {
+                return res.status(404).json({ success: false, error: 'Registration not found' });
+            }
+
+            const entries = await db('ledger_entries')
+                .where({ registration_id: row.id })
+                .orderBy('id', 'asc');
+
+            res.json({
+                success: true,
+                registration: serializeRegistration(row),
+                ledger: entries.map(serializeLedgerEntry)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Re-checks registrations the chain had not settled yet
+    router.post('/:signature/verify', async (req, res, next) => {
+        try {
+            const row = await findRegistration(db, req.params.signature, req.query.domain);
+            if (!row) {
+                return res.status(404).json({ success: false, error: 'Registration not found' });
+            }
+
+            if (row.status !== 'pending') {
+                return res.status(409).json({ success: false, error: `Registration is already ${row.status}` });
+            }
+
+            const verification = await verifyAndRecord(db, row, getNetworkConnection(row.network), events);
+            const updated = await db('registrations').where({ id: row.id }).first();
+
+            res.json({
+                success: true,
+                registration: serializeRegistration(updated),
+                verification: serializeLedgerEntry(verification)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
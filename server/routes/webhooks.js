@@ -0,0 +1,113 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { Router } from 'express';
+import { EVENT_TYPES } from '../events.js';
+import { serializeDelivery, serializeWebhook } from '../webhooks.js';
+
+const MAX_DELIVERIES = 100;
+
+function digest(value) {
+    return createHash('sha256').update(value).digest();
+}
+
+// Webhooks are operator configuration: without WEBHOOK_ADMIN_TOKEN these routes do not exist
+function requireAdmin(adminToken) {
+    return (req, res, next) => {
+        if (!adminToken) {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+        if (!timingSafeEqual(digest(token), digest(adminToken))) {
+            return res.status(401).json({ success: false, error: 'A valid admin token is required' });
+        }
+
+        next();
+    };
+}
+
+function isValidWebhookUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+export function createWebhooksRouter({ db, adminToken = process.env.WEBHOOK_ADMIN_TOKEN }) {
+    const router = Router();
+    router.use(requireAdmin(adminToken));
+
+    router.get('/', async (req, res, next) => {
+        try {
+            const rows = await db('webhooks').orderBy('id', 'asc');
+            res.json({ success: true, webhooks: rows.map(serializeWebhook) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // The signing secret is only ever returned here
+    router.post('/', async (req, res, next) => {
+        try {
+            const { url, events = EVENT_TYPES } = req.body || {};
+
+            if (!url || !isValidWebhookUrl(url)) {
+                return res.status(400).json({ success: false, error: 'A valid http(s) url is required' });
+            }
+
+            const unknown = Array.isArray(events) ? events.filter(type => !EVENT_TYPES.includes(type)) : [];
+            if (!Array.isArray(events) || events.length === 0 || unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `events must list one or more of: ${EVENT_TYPES.join(', ')}`
+                });
+            }
+
+            const secret = randomBytes(32).toString('hex');
+            const [id] = await db('webhooks').insert({ url, secret, events: JSON.stringify([...new Set(events)]) });
+            const row = await db('webhooks').where({ id }).first();
+
+            res.status(201).json({ success: true, webhook: serializeWebhook(row), secret });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Deactivates rather than deletes, so the delivery log stays intact
+    router.delete('/:id', async (req, res, next) => {
+        try {
+            const updated = await db('webhooks').where({ id: req.params.id }).update({ active: false });
+            if (!updated) {
+                return res.status(404).json({ success: false, error: 'Webhook not found' });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Newest first
+    router.get('/:id/deliveries', async (req, res, next) => {
+        try {
+            const webhook = await db('webhooks').where({ id: req.params.id }).first();
+            if (!webhook) {
+                return res.status(404).json({ success: false, error: 'Webhook not found' });
+            }
+
+            const rows = await db('webhook_deliveries')
+                .join('events', 'events.id', 'webhook_deliveries.event_id')
+                .where('webhook_deliveries.webhook_id', webhook.id)
+                .orderBy('webhook_deliveries.id', 'desc')
+                .limit(MAX_DELIVERIES)
+                .select('webhook_deliveries.*', 'events.type');
+
+            res.json({ success: true, deliveries: rows.map(serializeDelivery) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
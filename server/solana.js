@@ -0,0 +1,36 @@
+import { Connection, clusterApiUrl } from '@solana/web3.js';
+import { getDomainKeySync, NameRegistryState, devnet } from '@bonfida/spl-name-service';
+import { getCluster } from '../src/js/clusters.js';
+
+// Clusters with an SNS deployment; custom clusters only exist in the browser
+const RPC_ENDPOINTS = {
+    mainnet: process.env.SOLANA_RPC_MAINNET || 'https://api.mainnet-beta.solana.com',
+    devnet: process.env.SOLANA_RPC_DEVNET || clusterApiUrl('devnet'),
+    localnet: process.env.SOLANA_RPC_LOCALNET || 'http://127.0.0.1:8899'
+};
+
+const connections = new Map();
+
+export function isSupportedNetwork(network) {
+    return Object.hasOwn(RPC_ENDPOINTS, network);
+}
+
+export function getConnection(network) {
+    if (!connections.has(network)) {
+        connections.set(network, new Connection(RPC_ENDPOINTS[network], 'confirmed'));
+    }
+    return connections.get(network);
+}
+
+export function getNameAccount(network, domainName) {
+    const getKey = getCluster(network).sns === 'devnet' ? devnet.utils.getDomainKeySync : getDomainKeySync;
+    return getKey(domainName).pubkey;
+}
+
+// Returns the registry owner's base58 key, or null when the name account does
+// not exist. RPC failures are thrown so an outage is never reported as "available".
+export async function resolveOwner(network, domainName) {
+    const account = await getConnection(network).getAccountInfo(getNameAccount(network, domainName));
+
+    return account ? NameRegistryState.deserialize(account.data).owner.toBase58() : null;
+}
@@ -0,0 +1,278 @@
+import {
+    LAMPORTS_PER_SOL,
+    PublicKey,
+    SystemProgram,
+    ComputeBudgetProgram
+} from '@solana/web3.js';
+import {
+    getDomainKeySync,
+    getDomainPriceFromName,
+    NAME_PROGRAM_ID,
+    REGISTER_PROGRAM_ID,
+    USDC_MINT,
+    VAULT_OWNER,
+    devnet
+} from '@bonfida/spl-name-service';
+import { getCluster } from '../src/js/clusters.js';
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGhPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xvWvQydMkxTJvN';
+
+// USDC is priced against the registrar's oracle, so allow it to drift from the list price
+const USDC_TOLERANCE = 0.01;
+
+// The registrar converts to SOL at its own Pyth read, which can move after the quote's
+const SOL_TOLERANCE = 0.05;
+
+function getSNSConstants(network) {
+    if (getCluster(network).sns === 'devnet') {
+        return {
+            registerProgramId: devnet.constants.REGISTER_PROGRAM_ID,
+            usdcMint: devnet.constants.USDC_MINT,
+            vaultOwner: devnet.constants.VAULT_OWNER,
+            getDomainKeySync: devnet.utils.getDomainKeySync
+        };
+    }
+
+    return {
+        registerProgramId: REGISTER_PROGRAM_ID,
+        usdcMint: USDC_MINT,
+        vaultOwner: VAULT_OWNER,
+        getDomainKeySync
+    };
+}
+
+function getTokenDelta(meta, owner, mint) {
+    const sum = (balances) => balances
+        .filter(balance => balance.owner === owner && balance.mint === mint)
+        .reduce((total, balance) => total + Number(balance.uiTokenAmount.uiAmount || 0), 0);
+
+    const delta = sum(meta.postTokenBalances || []) - sum(meta.preTokenBalances || []);
+    return Math.round(delta * 1e9) / 1e9;
+}
+
+// Name program Transfer instructions are this tag followed by the new owner's key
+const NAME_TRANSFER_TAG = 2;
+
+// Base58 transaction signature, checked before it reaches the RPC node
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+export function isValidSignature(value) {
+    return typeof value === 'string' && SIGNATURE_PATTERN.test(value);
+}
+
+/**
+ * Fetches a transaction a client reported, for routes that only act on
+ * transactions the signed-in wallet actually sent. Resolves to
+ * { transaction } or { error } when the chain does not show it or signer did
+ * not sign it; RPC failures are thrown.
+ */
+export async function findSignedTransaction(connection, signature, signer) {
+    const transaction = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+    });
+
+    if (!transaction) {
+        return { error: `Transaction ${signature} was not found` };
+    }
+
+    const signed = transaction.transaction.message.accountKeys.some(
+        key => key.signer && key.pubkey.toBase58() === signer
+    );
+    if (!signed) {
+        return { error: `Transaction ${signature} was not signed by ${signer}` };
+    }
+
+    return { transaction };
+}
+
+/**
+ * Finds the name program Transfer of nameAccount in a reported transaction.
+ * Resolves to { to, signers } (the new owner and the wallets that signed the
+ * instruction) or { error } when the chain shows no such successful
+ * transfer; RPC failures are thrown.
+ */
+export async function findNameTransfer(connection, signature, nameAccount) {
+    const transaction = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+    });
+
+    if (!transaction) {
+        return { error: `Transaction ${signature} was not found` };
+    }
+
+    if (transaction.meta?.err) {
+        return { error: `Transaction ${signature} failed` };
+    }
+
+    // The parsed form would hand back the instruction data as base58, so read the compiled one
+    const { message } = transaction.transaction;
+    const keys = message.getAccountKeys({ accountKeysFromLookups: transaction.meta?.loadedAddresses });
+    const transfer = message.compiledInstructions.find(instruction =>
+        keys.get(instruction.programIdIndex).equals(NAME_PROGRAM_ID) &&
+        instruction.data[0] === NAME_TRANSFER_TAG &&
+        instruction.data.length >= 33 &&
+        keys.get(instruction.accountKeyIndexes[0])?.equals(nameAccount)
+    );
+
+    if (!transfer) {
+        return { error: `Transaction ${signature} does not transfer ${nameAccount.toBase58()}` };
+    }
+
+    return {
+        to: new PublicKey(transfer.data.slice(1, 33)).toBase58(),
+        signers: transfer.accountKeyIndexes
+            .filter(index => message.isAccountSigner(index))
+            .map(index => keys.get(index).toBase58())
+    };
+}
+
+// Lamports moved by system transfers from source to each destination
+function getTransfersFrom(message, source) {
+    const transfers = new Map();
+    for (const instruction of message.instructions) {
+        if (
+            instruction.program === 'system' &&
+            instruction.parsed?.type === 'transfer' &&
+            instruction.parsed.info.source === source
+        ) {
+            const { destination, lamports } = instruction.parsed.info;
+            transfers.set(destination, (transfers.get(destination) || 0) + lamports);
+        }
+    }
+    return transfers;
+}
+
+/**
+ * Checks a registration transaction against what the server quoted for it.
+ * `batch` holds every recorded registration sharing the transaction signature
+ * and `quotes` the quote rows they reference.
+ * Resolves to { status, payer, recipient, mint, amount, mismatches, error, slot, blockTime }
+ * where status is one of pending / confirmed / failed / mismatched.
+ */
+export async function verifyRegistrationTransaction(connection, registration, quotes = [], batch = [registration]) {
+    const { signature, domain, network, owner, payment_method: paymentMethod } = registration;
+
+    const transaction = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+    });
+
+    if (!transaction) {
+        return { status: 'pending', mismatches: [] };
+    }
+
+    const { meta, slot, blockTime } = transaction;
+    const { message } = transaction.transaction;
+    const sns = getSNSConstants(network);
+    const mint = paymentMethod === 'USDC' ? sns.usdcMint.toBase58() : WRAPPED_SOL_MINT;
+    const vaultOwner = sns.vaultOwner.toBase58();
+
+    const result = {
+        status: 'confirmed',
+        payer: message.accountKeys[0].pubkey.toBase58(),
+        recipient: vaultOwner,
+        mint,
+        amount: getTokenDelta(meta, vaultOwner, mint),
+        mismatches: [],
+        error: null,
+        slot,
+        blockTime: blockTime ? new Date(blockTime * 1000).toISOString() : null
+    };
+
+    if (meta.err) {
+        return { ...result, status: 'failed', error: JSON.stringify(meta.err) };
+    }
+
+    if (result.payer !== owner) {
+        result.mismatches.push(`Fee payer ${result.payer} is not the registering wallet ${owner}`);
+    }
+
+    // Only the programs the frontend's registration builder uses may appear
+    const allowedPrograms = [
+        SystemProgram.programId.toBase58(),
+        ComputeBudgetProgram.programId.toBase58(),
+        TOKEN_PROGRAM_ID,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+        sns.registerProgramId.toBase58()
+    ];
+    const programIds = message.instructions.map(instruction => instruction.programId.toBase58());
+    const unexpected = [...new Set(programIds.filter(programId => !allowedPrograms.includes(programId)))];
+
+    if (unexpected.length > 0) {
+        result.mismatches.push(`Unexpected programs invoked: ${unexpected.join(', ')}`);
+    }
+
+    // Batched transactions carry one registration instruction per name
+    const registerInstructions = message.instructions.filter(
+        instruction => instruction.programId.toBase58() === sns.registerProgramId.toBase58()
+    );
+
+    if (registerInstructions.length === 0) {
+        result.mismatches.push('No SNS registration instruction found');
+    } else {
+        const nameAccount = sns.getDomainKeySync(domain).pubkey.toBase58();
+        const createsName = registerInstructions.some(instruction =>
+            instruction.accounts.some(account => account.toBase58() === nameAccount)
+        );
+        if (!createsName) {
+            result.mismatches.push(`Registration instruction does not create ${domain}.sol (${nameAccount})`);
+        }
+    }
+
+    if (result.amount <= 0) {
+        result.mismatches.push(`Registrar vault ${vaultOwner} received no payment`);
+    }
+
+    // The vault receives one payment for the whole batch, so checking it needs every registration
+    const batchSize = registration.batch_size || 1;
+    if (batch.length < batchSize) {
+        return {
+            ...result,
+            status: 'pending',
+            mismatches: [],
+            error: `Waiting for ${batchSize - batch.length} more registration(s) from this transaction`
+        };
+    }
+
+    const batchQuotes = batch.map(row => quotes.find(quote => quote.id === row.quote_id) || null);
+
+    if (paymentMethod === 'USDC') {
+        const expected = batch.reduce((sum, row) => sum + getDomainPriceFromName(row.domain), 0);
+        if (Math.abs(result.amount - expected) > expected * USDC_TOLERANCE) {
+            result.mismatches.push(`Registrar vault received ${result.amount} USDC, expected ${expected} USDC`);
+        }
+    } else if (batchQuotes.some(quote => !quote || quote.registrar_sol === null)) {
+        result.mismatches.push('No quote to verify the SOL amount against');
+    } else {
+        const expected = Math.round(batchQuotes.reduce((sum, quote) => sum + Number(quote.registrar_sol), 0) * 1e9) / 1e9;
+        if (Math.abs(result.amount - expected) > expected * SOL_TOLERANCE) {
+            result.mismatches.push(`Registrar vault received ${result.amount} SOL, quoted ${expected} SOL`);
+        }
+    }
+
+    // App fees are separate SOL transfers to each quote's fee recipient
+    const owed = new Map();
+    for (const quote of batchQuotes) {
+        if (quote && Number(quote.fee) > 0) {
+            owed.set(quote.fee_recipient, (owed.get(quote.fee_recipient) || 0) + Math.ceil(Number(quote.fee) * LAMPORTS_PER_SOL));
+        }
+    }
+
+    const transfers = getTransfersFrom(message, owner);
+    for (const [recipient, lamports] of owed) {
+        const paid = transfers.get(recipient) || 0;
+        if (paid < lamports) {
+            result.mismatches.push(`Paid ${paid / LAMPORTS_PER_SOL} SOL in app fees to ${recipient}, quoted ${lamports / LAMPORTS_PER_SOL} SOL`);
+        }
+    }
+
+    if (result.mismatches.length > 0) {
+        result.status = 'mismatched';
+    }
+
+    return result;
+}
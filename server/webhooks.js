@@ -0,0 +1,162 @@
+import { createHmac } from 'crypto';
+import { toISOString } from './db.js';
+
+// Retries wait baseDelay, then twice that, and so on until maxAttempts
+const BASE_DELAY_MS = 10 * 1000;
+const MAX_ATTEMPTS = 8;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Receivers recompute this over the raw body and the t= value of X-SNS-Signature
+export function signPayload(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function retryDelay(attempts, baseDelay = BASE_DELAY_MS) {
+    return baseDelay * 2 ** (attempts - 1);
+}
+
+export function serializeWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        active: Boolean(row.active),
+        createdAt: toISOString(row.created_at)
+    };
+}
+
+export function serializeDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.type,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        nextAttemptAt: row.next_attempt_at,
+        deliveredAt: row.delivered_at ? toISOString(row.delivered_at) : null,
+        createdAt: toISOString(row.created_at)
+    };
+}
+
+/**
+ * Delivers events to the registered webhooks. Deliveries live in
+ * webhook_deliveries, so pending retries survive a restart; start() polls
+ * for the ones that are due.
+ */
+export function createWebhookDispatcher({
+    db,
+    send = fetch,
+    baseDelay = BASE_DELAY_MS,
+    maxAttempts = MAX_ATTEMPTS,
+    timeout = REQUEST_TIMEOUT_MS
+}) {
+    let running = null;
+    let timer = null;
+
+    async function enqueue(event) {
+        const webhooks = await db('webhooks').where({ active: true });
+        const subscribed = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event.type));
+        if (subscribed.length === 0) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        await db('webhook_deliveries').insert(subscribed.map(webhook => ({
+            webhook_id: webhook.id,
+            event_id: event.id,
+            next_attempt_at: now
+        })));
+
+        deliverDue().catch(error => console.error('Webhook delivery failed:', error.message));
+    }
+
+    async function attempt(delivery) {
+        const body = JSON.stringify({
+            id: delivery.event_id,
+            type: delivery.type,
+            createdAt: toISOString(delivery.event_created_at),
+            data: JSON.parse(delivery.payload)
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const attempts = delivery.attempts + 1;
+        let update;
+
+        try {
+            const response = await send(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-SNS-Event': delivery.type,
+                    'X-SNS-Delivery': String(delivery.id),
+                    'X-SNS-Signature': `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(timeout)
+            });
+
+            update = response.ok
+                ? { status: 'delivered', response_status: response.status, error: null, next_attempt_at: null, delivered_at: db.fn.now() }
+                : { response_status: response.status, error: `Endpoint returned ${response.status}` };
+        } catch (error) {
+            update = { response_status: null, error: error.message };
+        }
+
+        if (update.status !== 'delivered') {
+            update = attempts >= maxAttempts
+                ? { ...update, status: 'failed', next_attempt_at: null }
+                : { ...update, next_attempt_at: new Date(Date.now() + retryDelay(attempts, baseDelay)).toISOString() };
+        }
+
+        await db('webhook_deliveries')
+            .where({ id: delivery.id })
+            .update({ ...update, attempts, updated_at: db.fn.now() });
+    }
+
+    // One pass at a time; a call during a pass waits for it instead of starting another
+    function deliverDue() {
+        if (!running) {
+            running = (async () => {
+                const due = await db('webhook_deliveries')
+                    .join('webhooks', 'webhooks.id', 'webhook_deliveries.webhook_id')
+                    .join('events', 'events.id', 'webhook_deliveries.event_id')
+                    .where('webhook_deliveries.status', 'pending')
+                    .andWhere('webhook_deliveries.next_attempt_at', '<=', new Date().toISOString())
+                    .orderBy('webhook_deliveries.id', 'asc')
+                    .select(
+                        'webhook_deliveries.*',
+                        'webhooks.url',
+                        'webhooks.secret',
+                        'events.type',
+                        'events.payload',
+                        'events.created_at as event_created_at'
+                    );
+
+                for (const delivery of due) {
+                    await attempt(delivery);
+                }
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    function start(interval = POLL_INTERVAL_MS) {
+        stop();
+        timer = setInterval(() => {
+            deliverDue().catch(error => console.error('Webhook delivery failed:', error.message));
+        }, interval);
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { enqueue, deliverDue, start, stop };
+}
@@ -0,0 +1,141 @@
+export class ApiClient {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.sessionToken = null;
+    }
+
+    setSessionToken(token) {
+        this.sessionToken = token;
+    }
+
+    async request(path, { method = 'GET', body, timeout = 8000 } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const headers = {};
+            if (body) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (this.sessionToken) {
+                headers.Authorization = `Bearer ${this.sessionToken}`;
+            }
+
+            const response = await fetch(`${this.baseUrl}/api${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                credentials: 'include',
+                signal: controller.signal
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                const error = new Error(data.error || `API request failed (${response.status})`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('API request timed out');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    checkAvailability(domain, network) {
+        return this.request(`/domains/${encodeURIComponent(domain)}/availability?network=${network}`);
+    }
+
+    async createQuote(quoteRequest) {
+        const { quote } = await this.request('/quotes', { method: 'POST', body: quoteRequest });
+        return quote;
+    }
+
+    // Resolves to { registration, verification } once the server has checked the transaction
+    recordRegistration(registration) {
+        return this.request('/registrations', { method: 'POST', body: registration });
+    }
+
+    // Needs a session, see AuthManager
+    async getRegistrations(network = null) {
+        const query = new URLSearchParams();
+        if (network) {
+            query.set('network', network);
+        }
+
+        const { registrations } = await this.request(`/registrations?${query}`);
+        return registrations;
+    }
+
+    // Needs a session; the server checks the chain already shows `to` as the owner
+    async reportTransfer({ domain, network, signature }) {
+        const { transfer } = await this.request(`/domains/${encodeURIComponent(domain)}/transfers`, {
+            method: 'POST',
+            body: { network, signature }
+        });
+        return transfer;
+    }
+
+    /**
+     * Subscribes to the server's event stream (registration.confirmed,
+     * registration.failed, registration.mismatched, domain.transferred),
+     * optionally narrowed to a network and an address. EventSource reconnects
+     * on its own and the server replays what was missed. Returns a function
+     * that closes the stream.
+     */
+    subscribeEvents({ network, address } = {}, onEvent) {
+        const query = new URLSearchParams();
+        if (network) {
+            query.set('network', network);
+        }
+        if (address) {
+            query.set('address', address);
+        }
+
+        const source = new EventSource(`${this.baseUrl}/api/events?${query}`, { withCredentials: true });
+        source.onmessage = (message) => {
+            try {
+                onEvent(JSON.parse(message.data));
+            } catch (error) {
+                console.log('Ignoring malformed server event:', error.message);
+            }
+        };
+
+        return () => source.close();
+    }
+
+    // Resolves to { nonce, issuedAt, expirationTime } for a sign-in message
+    createSignInNonce(address, network) {
+        return this.request('/auth/nonce', { method: 'POST', body: { address, network } });
+    }
+
+    // Resolves to { token, session } and uses the token for later requests
+    async verifySignIn(message, signature) {
+        const result = await this.request('/auth/verify', { method: 'POST', body: { message, signature } });
+        this.setSessionToken(result.token);
+        return result;
+    }
+
+    async getSession() {
+        const { session } = await this.request('/auth/session');
+        return session;
+    }
+
+    async signOut() {
+        try {
+            await this.request('/auth/logout', { method: 'POST' });
+        } finally {
+            this.setSessionToken(null);
+        }
+    }
+}
+
+// The backend is optional: without SNS_API_URL at build time the app talks to the chain only
+export function createApiClient(baseUrl = process.env.SNS_API_URL) {
+    return baseUrl ? new ApiClient(baseUrl) : null;
+}
@@ -1,12 +1,34 @@
 import { WalletManager } from './wallet.js';
 import { DomainManager } from './domain.js';
+import { RecordsManager } from './records.js';
+import { SubdomainManager } from './subdomains.js';
+import { BulkManager } from './bulk.js';
+import { parseDomainName, isSubdomainName } from './validation.js';
 import { UIManager } from './ui.js';
+import { createApiClient } from './api.js';
+import { AuthManager } from './auth.js';
+import { getClusters, addCustomCluster, removeCustomCluster } from './clusters.js';
 
 class SNSRegistrationApp {
     constructor() {
         this.walletManager = new WalletManager();
-        this.domainManager = new DomainManager(this.walletManager);
+        this.apiClient = createApiClient();
+        this.domainManager = new DomainManager(this.walletManager, this.apiClient);
+        this.authManager = new AuthManager(this.walletManager, this.apiClient);
+        this.recordsManager = new RecordsManager(this.walletManager, this.domainManager);
+        this.subdomainManager = new SubdomainManager(this.walletManager, this.domainManager);
+        this.bulkManager = new BulkManager(this.walletManager, this.domainManager);
+        this.subdomainQuoteTimeout = null;
+        this.suggestionCursor = 0;
+        this.feeRequest = 0;
+        this.expiredTransactionRetry = null;
+        this.resumingRegistrations = false;
+        this.historyRows = [];
+        this.closeEventStream = null;
         this.uiManager = new UIManager();
+
+        // Every transaction is simulated and shown before the wallet prompt
+        this.walletManager.setTransactionReviewer(preview => this.uiManager.showTransactionPreview(preview));
         
         this.setupEventListeners();
         this.initialize();
@@ -28,6 +50,178 @@ class SNSRegistrationApp {
             this.handleDomainRegistration();
         });
 
+        // Sign again after a transaction expired unconfirmed
+        this.uiManager.elements.resignTransaction.addEventListener('click', () => {
+            this.handleResignTransaction();
+        });
+
+        // Promo code
+        this.uiManager.elements.applyPromo.addEventListener('click', () => {
+            this.handlePromoCode();
+        });
+
+        // Network fee: the exact amount depends on the payment method and priority level
+        this.uiManager.elements.paymentMethod.addEventListener('change', () => {
+            this.refreshNetworkFee();
+        });
+
+        this.uiManager.elements.priorityLevel.addEventListener('change', () => {
+            this.handlePriorityChange();
+        });
+
+        this.uiManager.elements.customPriorityFee.addEventListener('change', () => {
+            this.handlePriorityChange();
+        });
+
+        // RPC settings
+        this.uiManager.elements.rpcSettingsButton.addEventListener('click', () => {
+            if (this.uiManager.isRpcPanelVisible()) {
+                this.uiManager.hideRpcPanel();
+            } else {
+                this.uiManager.showRpcPanel(this.walletManager.getCurrentNetwork());
+                this.refreshRpcPanel();
+            }
+        });
+
+        this.uiManager.elements.rpcNetwork.addEventListener('change', () => {
+            this.refreshRpcPanel();
+        });
+
+        this.uiManager.elements.addRpcEndpoint.addEventListener('click', () => {
+            this.handleAddRpcEndpoint();
+        });
+
+        this.uiManager.elements.probeRpcEndpoints.addEventListener('click', () => {
+            this.handleProbeRpcEndpoints();
+        });
+
+        this.uiManager.elements.addCluster.addEventListener('click', () => {
+            this.handleAddCluster();
+        });
+
+        this.uiManager.elements.removeCluster.addEventListener('click', () => {
+            this.handleRemoveCluster();
+        });
+
+        window.addEventListener('rpcEndpointRemoveRequested', (event) => {
+            this.handleRemoveRpcEndpoint(event.detail);
+        });
+
+        window.addEventListener('rpcHealthChanged', () => {
+            this.refreshRpcPanel();
+        });
+
+        window.addEventListener('rpcEndpointChanged', (event) => {
+            this.handleRpcEndpointChanged(event.detail);
+        });
+
+        // Watchlist
+        this.uiManager.elements.watchlistButton.addEventListener('click', () => {
+            if (this.uiManager.isWatchlistVisible()) {
+                this.uiManager.hideWatchlist();
+            } else {
+                this.uiManager.showWatchlist(this.domainManager.watchlist.list(), this.domainManager.watchlist.getWebhookUrl());
+            }
+        });
+
+        this.uiManager.elements.saveWatchlistWebhook.addEventListener('click', () => {
+            this.handleSaveWatchlistWebhook();
+        });
+
+        window.addEventListener('watchDomainRequested', (event) => {
+            this.handleWatchDomain(event.detail.domain);
+        });
+
+        window.addEventListener('unwatchDomainRequested', (event) => {
+            this.handleUnwatchDomain(event.detail);
+        });
+
+        // Backend session (Sign-In-With-Solana)
+        this.uiManager.elements.signInButton.addEventListener('click', () => {
+            this.handleSignIn();
+        });
+
+        // My Domains dashboard
+        this.uiManager.elements.myDomainsButton.addEventListener('click', () => {
+            if (this.uiManager.isMyDomainsVisible()) {
+                this.uiManager.hideMyDomains();
+            } else {
+                this.loadMyDomains();
+            }
+        });
+
+        this.uiManager.elements.refreshDomains.addEventListener('click', () => {
+            this.loadMyDomains();
+        });
+
+        // Registration history
+        this.uiManager.elements.historyButton.addEventListener('click', () => {
+            if (this.uiManager.isHistoryVisible()) {
+                this.uiManager.hideHistory();
+            } else {
+                this.loadHistory();
+            }
+        });
+
+        ['historyFrom', 'historyTo', 'historyNetwork', 'historyStatus'].forEach((id) => {
+            this.uiManager.elements[id].addEventListener('change', () => {
+                this.renderHistory();
+            });
+        });
+
+        this.uiManager.elements.exportHistoryCsv.addEventListener('click', () => {
+            this.exportHistory('csv');
+        });
+
+        this.uiManager.elements.exportHistoryJson.addEventListener('click', () => {
+            this.exportHistory('json');
+        });
+
+        // Domain transfer
+        this.uiManager.elements.submitTransfer.addEventListener('click', () => {
+            this.handleDomainTransfer();
+        });
+
+        // Domain records
+        window.addEventListener('recordsEditRequested', (event) => {
+            this.loadDomainRecords(event.detail.domain);
+        });
+
+        this.uiManager.elements.saveRecords.addEventListener('click', () => {
+            this.handleSaveRecords();
+        });
+
+        // Subdomains
+        window.addEventListener('subdomainsManageRequested', (event) => {
+            this.openSubdomains(event.detail.domain, event.detail.label);
+        });
+
+        window.addEventListener('subdomainDeleteRequested', (event) => {
+            this.handleSubdomainDeletion(event.detail.domain);
+        });
+
+        this.uiManager.elements.createSubdomain.addEventListener('click', () => {
+            this.handleSubdomainCreation();
+        });
+
+        this.uiManager.elements.subdomainLabel.addEventListener('input', () => {
+            clearTimeout(this.subdomainQuoteTimeout);
+            this.subdomainQuoteTimeout = setTimeout(() => this.updateSubdomainQuote(), 300);
+        });
+
+        window.addEventListener('suggestionsMoreRequested', (event) => {
+            this.loadSuggestions(event.detail.domain);
+        });
+
+        // Bulk mode
+        this.uiManager.elements.bulkCheck.addEventListener('click', () => {
+            this.handleBulkCheck();
+        });
+
+        this.uiManager.elements.bulkRegister.addEventListener('click', () => {
+            this.handleBulkRegistration();
+        });
+
         // Airdrop request (devnet only)
         this.uiManager.elements.requestAirdrop.addEventListener('click', () => {
             this.handleAirdrop();
@@ -43,6 +237,17 @@ class SNSRegistrationApp {
             this.handleWalletConnected(event.detail);
         });
 
+        window.addEventListener('walletSelected', (event) => {
+            this.handleWalletSelected(event.detail.name);
+        });
+
+        // Wallets can register after the picker opened
+        window.addEventListener('walletsChanged', () => {
+            if (this.uiManager.isWalletPickerVisible()) {
+                this.uiManager.showWalletPicker(this.walletManager.getAvailableWallets());
+            }
+        });
+
         window.addEventListener('walletDisconnected', () => {
             this.handleWalletDisconnected();
         });
@@ -59,6 +264,8 @@ class SNSRegistrationApp {
     async initialize() {
         try {
             this.uiManager.showLoading('Initializing application...');
+            this.uiManager.setClusterOptions(getClusters());
+            this.uiManager.setPrioritySetting(this.walletManager.fees.setting);
             
             // Wait for connection to be established
             await new Promise(resolve => setTimeout(resolve, 1000));
@@ -71,9 +278,10 @@ class SNSRegistrationApp {
 
             // Update UI with current network
             this.uiManager.updateNetworkStatus(this.walletManager.getCurrentNetwork(), health.healthy);
+            this.walletManager.startHealthMonitor();
             
-            // Check if wallet is already connected
-            const isAlreadyConnected = await this.walletManager.checkConnection();
+            // Silently reconnect the wallet used last time
+            const isAlreadyConnected = await this.walletManager.reconnect();
             if (isAlreadyConnected) {
                 const balance = await this.walletManager.getBalance();
                 this.uiManager.updateWalletButton(
@@ -83,7 +291,14 @@ class SNSRegistrationApp {
                     this.walletManager.getCurrentNetwork()
                 );
                 this.uiManager.showNotification(`Wallet reconnected on ${this.walletManager.getCurrentNetwork()}!`, 'success');
+
+                await this.authManager.restore();
+                this.refreshSignInButton();
             }
+
+            // Runs in the background: confirmation can take a while
+            this.resumePendingRegistrations();
+            this.startWatchlist();
             
         } catch (error) {
             console.log('Initialization failed:', error);
@@ -93,6 +308,67 @@ class SNSRegistrationApp {
         }
     }
 
+    // Registrations sent before the last reload, on the current network: tracks
+    // each to its outcome in the status panel. Others wait for their network.
+    async resumePendingRegistrations() {
+        if (this.resumingRegistrations) {
+            return;
+        }
+
+        this.resumingRegistrations = true;
+
+        try {
+            const pending = await this.domainManager.pending.list(this.walletManager.getCurrentNetwork());
+
+            for (const registration of pending) {
+                await this.resumeRegistration(registration);
+            }
+        } catch (error) {
+            console.log('Could not resume pending registrations:', error.message);
+        } finally {
+            this.resumingRegistrations = false;
+        }
+    }
+
+    async resumeRegistration(registration) {
+        const { signature } = registration;
+        // A bulk batch is reported under all its names
+        const domain = registration.batch
+            ? registration.batch.map(row => row.domain).join('.sol, ')
+            : registration.domain;
+
+        this.uiManager.showTransactionStatus();
+        this.uiManager.updateTransactionProgress('signing');
+        this.uiManager.updateTransactionProgress('sent', { signature });
+        this.uiManager.showNotification(`Checking on your registration of ${domain}.sol...`, 'info');
+
+        try {
+            const result = await this.domainManager.resumeRegistration(registration, (status, detail) => {
+                this.uiManager.updateTransactionProgress(status, detail);
+            });
+
+            this.uiManager.updateTransactionStatus('success', {
+                success: true,
+                signature: result.signature,
+                domain,
+                network: result.network,
+                explorerUrl: result.explorerUrl,
+                verification: result.results
+                    ? result.results.map(row => row.verification).find(verification => verification && verification.status !== 'confirmed')
+                    : result.verification
+            });
+        } catch (error) {
+            console.error('Resumed registration error:', error);
+
+            this.uiManager.updateTransactionStatus('error', {
+                success: false,
+                error: `${domain}.sol was not registered: ${error.message}`
+            });
+        }
+
+        this.refreshHistory();
+    }
+
     async handleNetworkSwitch(network) {
         try {
             this.uiManager.showLoading(`Switching to ${network}...`);
@@ -139,16 +415,30 @@ class SNSRegistrationApp {
                 this.uiManager.updateWalletButton(false);
                 this.uiManager.showNotification('Wallet disconnected', 'info');
             } else {
-                // Connect wallet
-                const result = await this.walletManager.connectWallet();
-                
-                if (result.success) {
-                    const balance = await this.walletManager.getBalance();
-                    this.uiManager.updateWalletButton(true, result.publicKey, balance, result.network);
-                    this.uiManager.showNotification(result.message, 'success');
-                } else {
-                    this.uiManager.showNotification(result.error, 'error');
-                }
+                // Let the user pick which wallet to connect
+                this.uiManager.showWalletPicker(this.walletManager.getAvailableWallets());
+            }
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(this.uiManager.elements.connectWallet, false);
+        }
+    }
+
+    async handleWalletSelected(walletName) {
+        this.uiManager.hideWalletPicker();
+
+        try {
+            this.uiManager.setButtonLoading(this.uiManager.elements.connectWallet, true);
+
+            const result = await this.walletManager.connectWallet(walletName);
+            
+            if (result.success) {
+                const balance = await this.walletManager.getBalance();
+                this.uiManager.updateWalletButton(true, result.publicKey, balance, result.network);
+                this.uiManager.showNotification(result.message, 'success');
+            } else {
+                this.uiManager.showNotification(result.error, 'error');
             }
         } catch (error) {
             this.uiManager.showNotification(error.message, 'error');
@@ -157,6 +447,200 @@ class SNSRegistrationApp {
         }
     }
 
+    refreshRpcPanel() {
+        if (this.uiManager.isRpcPanelVisible()) {
+            this.uiManager.updateRemoveClusterButton();
+            this.uiManager.renderRpcEndpoints(
+                this.walletManager.getRpcEndpointStatus(this.uiManager.getRpcPanelNetwork())
+            );
+        }
+    }
+
+    handleAddCluster() {
+        try {
+            const cluster = addCustomCluster(this.uiManager.getClusterForm());
+            this.uiManager.clearClusterForm();
+            this.uiManager.setClusterOptions(getClusters());
+            this.uiManager.elements.rpcNetwork.value = cluster.id;
+            this.uiManager.showNotification(`Added ${cluster.label}, pick it from the network menu to connect`, 'success');
+            this.refreshRpcPanel();
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+        }
+    }
+
+    async handleRemoveCluster() {
+        const network = this.uiManager.getRpcPanelNetwork();
+
+        // Leave the cluster before it disappears
+        if (this.walletManager.getCurrentNetwork() === network) {
+            await this.handleNetworkSwitch('mainnet');
+            if (this.walletManager.getCurrentNetwork() === network) {
+                return;
+            }
+        }
+
+        removeCustomCluster(network);
+        this.uiManager.setClusterOptions(getClusters());
+        this.uiManager.elements.rpcNetwork.value = this.walletManager.getCurrentNetwork();
+        this.uiManager.showNotification('Custom cluster removed', 'info');
+        this.refreshRpcPanel();
+    }
+
+    async handleAddRpcEndpoint() {
+        const button = this.uiManager.elements.addRpcEndpoint;
+        const input = this.uiManager.elements.rpcEndpointInput;
+        const network = this.uiManager.getRpcPanelNetwork();
+
+        try {
+            this.uiManager.setButtonLoading(button, true);
+
+            const health = await this.walletManager.addRpcEndpoint(network, input.value);
+            input.value = '';
+
+            if (health.healthy) {
+                this.uiManager.showNotification(`Added ${network} endpoint (${health.latency} ms)`, 'success');
+            } else {
+                this.uiManager.showNotification(`Added ${network} endpoint, but it did not respond: ${health.error}`, 'warning');
+            }
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(button, false);
+            this.refreshRpcPanel();
+        }
+    }
+
+    async handleWatchDomain(domain) {
+        try {
+            await this.domainManager.watchlist.add(domain);
+            this.uiManager.showNotification(`Watching ${domain}.sol. You will be alerted when it changes owner or becomes available.`, 'success');
+            this.refreshWatchlist();
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'warning');
+        }
+    }
+
+    handleUnwatchDomain({ domain, network }) {
+        this.domainManager.watchlist.remove(domain, network);
+        this.uiManager.showNotification(`Stopped watching ${domain}.sol`, 'info');
+        this.refreshWatchlist();
+    }
+
+    // Sends a test alert, so an endpoint the browser cannot reach shows up now
+    // rather than when a watched name changes
+    async handleSaveWatchlistWebhook() {
+        const { watchlist } = this.domainManager;
+
+        try {
+            watchlist.setWebhookUrl(this.uiManager.elements.watchlistWebhook.value);
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return;
+        }
+
+        const url = watchlist.getWebhookUrl();
+        this.uiManager.elements.watchlistWebhook.value = url;
+        if (!url) {
+            this.uiManager.showNotification('Watchlist webhook removed', 'success');
+            return;
+        }
+
+        try {
+            await watchlist.notifyWebhook({
+                type: 'test',
+                network: this.walletManager.getCurrentNetwork(),
+                detectedAt: new Date().toISOString()
+            });
+            this.uiManager.showNotification('Watchlist alerts will be sent to your webhook', 'success');
+        } catch (error) {
+            this.uiManager.showNotification(`Webhook saved, but the test alert failed: ${error.message}`, 'error');
+        }
+    }
+
+    startWatchlist() {
+        this.domainManager.watchlist.start(
+            alert => this.handleWatchlistAlert(alert),
+            (error, alert) => this.uiManager.showNotification(`Watchlist webhook failed for ${alert.domain}.sol: ${error.message}`, 'error')
+        );
+    }
+
+    handleWatchlistAlert({ type, domain, network, owner }) {
+        if (type === 'available') {
+            this.uiManager.showNotification(`${domain}.sol is now available on ${network}!`, 'success');
+        } else {
+            this.uiManager.showNotification(`${domain}.sol changed owner on ${network} (now ${this.uiManager.formatAddress(owner)})`, 'info');
+        }
+        this.refreshWatchlist();
+    }
+
+    refreshWatchlist() {
+        if (this.uiManager.isWatchlistVisible()) {
+            this.uiManager.renderWatchlist(this.domainManager.watchlist.list());
+        }
+    }
+
+    handleRemoveRpcEndpoint({ network, url }) {
+        this.walletManager.removeRpcEndpoint(network, url);
+        this.uiManager.showNotification(`Removed ${network} endpoint`, 'info');
+        this.refreshRpcPanel();
+    }
+
+    async handleProbeRpcEndpoints() {
+        const button = this.uiManager.elements.probeRpcEndpoints;
+
+        try {
+            this.uiManager.setButtonLoading(button, true);
+            await this.walletManager.checkRpcEndpoints(this.uiManager.getRpcPanelNetwork());
+        } catch (error) {
+            console.error('RPC check error:', error);
+            this.uiManager.showNotification(`RPC check failed: ${error.message}`, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(button, false);
+        }
+    }
+
+    handleRpcEndpointChanged(detail) {
+        const host = new URL(detail.endpoint).host;
+
+        if (detail.reason !== 'removed') {
+            this.uiManager.showNotification(`${detail.network} RPC was unreliable, switched to ${host}`, 'warning');
+        }
+
+        this.uiManager.updateNetworkStatus(detail.network, true);
+        this.refreshRpcPanel();
+    }
+
+    async handleSignIn() {
+        const button = this.uiManager.elements.signInButton;
+
+        try {
+            this.uiManager.setButtonLoading(button, true);
+
+            if (this.authManager.isSignedIn()) {
+                await this.authManager.signOut();
+                this.uiManager.showNotification('Signed out', 'info');
+            } else {
+                await this.authManager.signIn();
+                this.uiManager.showNotification('Signed in with your wallet', 'success');
+            }
+        } catch (error) {
+            console.error('Sign-in error:', error);
+            this.uiManager.showNotification(`Sign-in failed: ${error.message}`, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(button, false);
+            this.refreshSignInButton();
+        }
+    }
+
+    refreshSignInButton() {
+        this.uiManager.updateSignInButton(
+            this.authManager.isAvailable() && this.walletManager.isConnected,
+            this.authManager.isSignedIn(),
+            this.authManager.session
+        );
+    }
+
     async handleAirdrop() {
         try {
             if (!this.walletManager.isConnected) {
@@ -164,8 +648,8 @@ class SNSRegistrationApp {
                 return;
             }
 
-            if (!this.walletManager.isDevnet()) {
-                this.uiManager.showNotification('Airdrops are only available on devnet', 'warning');
+            if (!this.walletManager.canAirdrop()) {
+                this.uiManager.showNotification(`Airdrops are not available on ${this.walletManager.getCluster().label}`, 'warning');
                 return;
             }
 
@@ -197,13 +681,27 @@ class SNSRegistrationApp {
         try {
             const balance = await this.walletManager.getBalance();
             this.uiManager.updateWalletButton(true, detail.publicKey, balance, detail.network);
+            this.refreshSignInButton();
+            this.subscribeToServerEvents();
+
+            // The exact fee needs the wallet as fee payer
+            if (!this.uiManager.elements.registrationForm.classList.contains('hidden')) {
+                this.refreshNetworkFee();
+            }
         } catch (error) {
             console.error('Error handling wallet connected event:', error);
         }
     }
 
     handleWalletDisconnected() {
+        this.historyRows = [];
+        this.subscribeToServerEvents();
+        this.authManager.signOut();
         this.uiManager.updateWalletButton(false);
+        this.refreshSignInButton();
+        this.uiManager.hideTransactionPreview(false);
+        this.uiManager.hideRecordsForm();
+        this.uiManager.hideSubdomainsPanel();
         this.uiManager.resetForm();
     }
 
@@ -212,6 +710,19 @@ class SNSRegistrationApp {
             const balance = await this.walletManager.getBalance();
             this.uiManager.updateWalletButton(true, detail.publicKey, balance, detail.network);
             this.uiManager.showNotification('Wallet account changed', 'info');
+
+            // The session belongs to the previous account
+            await this.authManager.signOut();
+            this.refreshSignInButton();
+            this.uiManager.hideRecordsForm();
+            this.uiManager.hideSubdomainsPanel();
+            this.subscribeToServerEvents();
+
+            if (this.uiManager.isMyDomainsVisible()) {
+                this.loadMyDomains();
+            }
+
+            this.refreshHistory();
         } catch (error) {
             console.error('Error handling account change:', error);
         }
@@ -220,11 +731,142 @@ class SNSRegistrationApp {
     handleNetworkChanged(detail) {
         this.uiManager.updateNetworkStatus(detail.network, true);
         this.uiManager.showNotification(`Connected to ${detail.network}`, 'success');
+        this.uiManager.hideRecordsForm();
+        this.uiManager.hideSubdomainsPanel();
+        this.refreshSignInButton();
+        this.refreshRpcPanel();
+        this.resumePendingRegistrations();
+
+        // Each network has its own watched names
+        this.startWatchlist();
+        this.subscribeToServerEvents();
+
+        if (this.walletManager.isConnected && this.uiManager.isMyDomainsVisible()) {
+            this.loadMyDomains();
+        }
+    }
+
+    // With the backend configured, its event stream reports registrations and
+    // transfers involving the connected wallet, including ones made elsewhere
+    subscribeToServerEvents() {
+        this.closeEventStream?.();
+        this.closeEventStream = null;
+
+        if (!this.apiClient || !this.walletManager.isConnected) {
+            return;
+        }
+
+        this.closeEventStream = this.apiClient.subscribeEvents({
+            network: this.walletManager.getCurrentNetwork(),
+            address: this.walletManager.publicKey.toBase58()
+        }, event => this.handleServerEvent(event));
+    }
+
+    handleServerEvent({ type, data }) {
+        if (type === 'domain.transferred' && data.to === this.walletManager.publicKey?.toBase58()) {
+            this.uiManager.showNotification(`${data.domain}.sol was transferred to you`, 'success');
+        } else if (type === 'registration.failed' || type === 'registration.mismatched') {
+            const reason = data.status === 'failed' ? 'its transaction failed' : 'its payment does not match the registration';
+            this.uiManager.showNotification(`The backend flagged the registration of ${data.domain}.sol: ${reason}`, 'warning');
+        }
+
+        if (this.walletManager.isConnected && this.uiManager.isMyDomainsVisible()) {
+            this.loadMyDomains();
+        }
+        this.refreshHistory();
+    }
+
+    async loadMyDomains() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const network = this.walletManager.getCurrentNetwork();
+
+        try {
+            this.uiManager.setButtonLoading(this.uiManager.elements.refreshDomains, true);
+            this.uiManager.showMyDomainsLoading(network);
+
+            const domains = await this.domainManager.getOwnedDomains();
+            this.uiManager.showMyDomains(domains, network);
+        } catch (error) {
+            console.error('Failed to load owned domains:', error);
+            this.uiManager.showMyDomainsError(`Failed to load domains: ${error.message}`);
+        } finally {
+            this.uiManager.setButtonLoading(this.uiManager.elements.refreshDomains, false);
+        }
+    }
+
+    // The backend ledger needs a session, so viewing it may prompt a sign-in
+    async loadHistory() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const owner = this.walletManager.publicKey.toBase58();
+        let useBackend = this.authManager.isAvailable();
+        let source = useBackend
+            ? 'From the registration ledger and this browser.'
+            : 'From this browser only; the backend is not configured.';
+
+        this.uiManager.showHistoryLoading();
+
+        if (useBackend) {
+            try {
+                await this.authManager.ensureSession();
+            } catch (error) {
+                useBackend = false;
+                source = `From this browser only; sign-in failed: ${error.message}`;
+            } finally {
+                this.refreshSignInButton();
+            }
+        }
+
+        try {
+            this.historyRows = await this.domainManager.history.load(owner, { useBackend });
+        } catch (error) {
+            console.error('Failed to load the registration ledger:', error);
+            this.historyRows = this.domainManager.history.getLocal(owner);
+            source = `From this browser only; the ledger could not be loaded: ${error.message}`;
+        }
+
+        this.uiManager.showHistory(this.historyRows, source);
+        this.renderHistory();
+    }
+
+    renderHistory() {
+        const rows = this.domainManager.history.filter(this.historyRows, this.uiManager.getHistoryFilters());
+        this.uiManager.renderHistoryRows(rows);
+        return rows;
+    }
+
+    exportHistory(format) {
+        const rows = this.renderHistory();
+        if (rows.length === 0) {
+            this.uiManager.showNotification('No registrations to export', 'warning');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            this.uiManager.downloadFile(`sns-registrations-${date}.csv`, this.domainManager.history.toCSV(rows), 'text/csv');
+        } else {
+            this.uiManager.downloadFile(`sns-registrations-${date}.json`, this.domainManager.history.toJSON(rows), 'application/json');
+        }
+    }
+
+    // New registrations and failures land in the history, so an open panel follows along
+    refreshHistory() {
+        if (this.walletManager.isConnected && this.uiManager.isHistoryVisible()) {
+            this.loadHistory();
+        }
     }
 
     async handleDomainCheck() {
         try {
-            const domainName = this.uiManager.elements.domainInput.value.trim();
+            const domainName = parseDomainName(this.uiManager.elements.domainInput.value).name;
             
             if (!domainName) {
                 this.uiManager.showNotification('Please enter a domain name', 'warning');
@@ -242,22 +884,26 @@ class SNSRegistrationApp {
                 await this.walletManager.initializeConnection(this.walletManager.getCurrentNetwork());
             }
             
+            // Subdomains are created by the parent owner, not bought from the registrar
+            if (isSubdomainName(domainName)) {
+                const subdomainResult = await this.subdomainManager.checkAvailability(domainName);
+                this.uiManager.showSubdomainResult(subdomainResult);
+                return;
+            }
+
             const result = await this.domainManager.checkDomainAvailability(domainName);
-            
-            // If domain is not available, get suggestions
+            this.uiManager.showSearchResults(result);
+
+            if (result.success && result.available) {
+                this.refreshNetworkFee();
+            }
+
+            // If domain is not available, stream suggestions into the result card
             if (result.success && !result.available) {
-                this.uiManager.showLoading('Finding alternatives...');
-                try {
-                    const suggestions = await this.domainManager.searchSimilarDomains(domainName);
-                    result.suggestions = suggestions;
-                } catch (suggestionsError) {
-                    console.log('Could not generate suggestions:', suggestionsError);
-                    result.suggestions = [];
-                }
+                this.suggestionCursor = 0;
+                this.loadSuggestions(domainName);
             }
             
-            this.uiManager.showSearchResults(result);
-            
         } catch (error) {
             console.error('Domain check error:', error);
             this.uiManager.showNotification('Domain check failed: ' + error.message, 'error');
@@ -267,6 +913,98 @@ class SNSRegistrationApp {
         }
     }
 
+    async loadSuggestions(domainName) {
+        this.uiManager.setSuggestionsStatus(domainName, { loading: true });
+
+        try {
+            const { cursor, hasMore } = await this.domainManager.searchSimilarDomains(domainName, {
+                cursor: this.suggestionCursor,
+                onSuggestion: (suggestion) => this.uiManager.addSuggestion(domainName, suggestion)
+            });
+
+            // A newer search may have started while this one was running
+            if (this.uiManager.lastSearched === domainName) {
+                this.suggestionCursor = cursor;
+            }
+            this.uiManager.setSuggestionsStatus(domainName, { hasMore });
+        } catch (error) {
+            console.log('Could not generate suggestions:', error);
+            this.uiManager.setSuggestionsStatus(domainName, { error: error.message });
+        }
+    }
+
+    async handlePromoCode() {
+        const domainName = this.uiManager.currentDomain;
+        const promoCode = this.uiManager.elements.promoCode.value.trim();
+
+        if (!domainName) {
+            return;
+        }
+
+        let quote;
+        try {
+            quote = await this.domainManager.getQuote(domainName, promoCode || null);
+        } catch (error) {
+            this.uiManager.showNotification(`Could not update the quote: ${error.message}`, 'error');
+            return;
+        }
+
+        this.uiManager.updateQuote(quote);
+
+        if (quote.promoError) {
+            this.uiManager.showNotification(quote.promoError, 'warning');
+        } else if (quote.promoCode) {
+            this.uiManager.showNotification(`Promo code ${quote.promoCode} applied`, 'success');
+        }
+    }
+
+    handlePriorityChange() {
+        const { level, microLamports } = this.uiManager.getPrioritySetting();
+
+        // Wait for a value before switching to a custom fee
+        if (level === 'custom' && microLamports === null) {
+            return;
+        }
+
+        try {
+            this.walletManager.fees.setPriority(level, microLamports);
+            this.refreshNetworkFee();
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'warning');
+        }
+    }
+
+    // Prices the registration transaction the form would send, at the chosen priority level
+    async refreshNetworkFee() {
+        const domainName = this.uiManager.currentDomain;
+        const request = ++this.feeRequest;
+
+        if (!domainName || !this.uiManager.quote || !this.walletManager.isConnected) {
+            this.uiManager.setNetworkFee(null);
+            return;
+        }
+
+        this.uiManager.setNetworkFeeLoading();
+
+        try {
+            const estimate = await this.domainManager.estimateRegistrationFee(
+                domainName,
+                this.uiManager.quote,
+                this.uiManager.elements.paymentMethod.value
+            );
+
+            // Only the latest request may update the form
+            if (request === this.feeRequest) {
+                this.uiManager.setNetworkFee(estimate);
+            }
+        } catch (error) {
+            console.log('Could not estimate the network fee:', error.message);
+            if (request === this.feeRequest) {
+                this.uiManager.setNetworkFee(null, error.message);
+            }
+        }
+    }
+
     async handleDomainRegistration() {
         try {
             if (!this.walletManager.isConnected) {
@@ -276,77 +1014,445 @@ class SNSRegistrationApp {
 
             const domainName = this.uiManager.currentDomain;
             const paymentMethod = this.uiManager.elements.paymentMethod.value;
+            const promoCode = this.uiManager.quote?.promoCode || null;
 
             if (!domainName) {
                 this.uiManager.showNotification('No domain selected', 'error');
                 return;
             }
 
-            // Show transaction status and start the process
-            this.uiManager.showTransactionStatus();
+            await this.submitRegistration(domainName, paymentMethod, promoCode);
+
+        } catch (error) {
+            console.error('Registration handler error:', error);
+            this.uiManager.showNotification(error.message, 'error');
+            this.uiManager.hideTransactionStatus();
+        }
+    }
+
+    async submitRegistration(domainName, paymentMethod, promoCode) {
+        // Show transaction status and start the process
+        this.uiManager.showTransactionStatus();
+        
+        try {
+            // The steps follow the transaction itself, see handleTransactionProgress
+            const result = await this.domainManager.registerDomain(
+                domainName, 
+                paymentMethod,
+                promoCode,
+                this.trackTransaction(() => this.submitRegistration(domainName, paymentMethod, promoCode))
+            );
+
+            // Update transaction status with success
+            this.uiManager.updateTransactionStatus('success', {
+                success: true,
+                signature: result.signature,
+                domain: domainName,
+                network: result.network,
+                explorerUrl: result.explorerUrl,
+                verification: result.verification
+            });
+
+            // Update wallet balance
+            const newBalance = await this.walletManager.getBalance();
+            this.uiManager.updateWalletButton(
+                true, 
+                this.walletManager.publicKey.toString(), 
+                newBalance, 
+                this.walletManager.getCurrentNetwork()
+            );
+
+        } catch (registrationError) {
+            console.error('Registration error:', registrationError);
             
-            try {
-                // Step 1: Preparing transaction
-                this.uiManager.setTransactionStep(1, 'active');
-                await this.delay(1000);
-                
-                // Step 2: Wallet approval
-                this.uiManager.setTransactionStep(1, 'completed');
-                this.uiManager.setTransactionStep(2, 'active');
-                
-                const result = await this.domainManager.registerDomain(
-                    domainName, 
-                    paymentMethod
-                );
+            // Update transaction status with error
+            this.uiManager.updateTransactionStatus('error', {
+                success: false,
+                error: registrationError.message
+            });
+        }
 
-                // Step 3: Processing
-                this.uiManager.setTransactionStep(2, 'completed');
-                this.uiManager.setTransactionStep(3, 'active');
-                await this.delay(2000);
-                
-                // Step 4: Confirmation
-                this.uiManager.setTransactionStep(3, 'completed');
-                this.uiManager.setTransactionStep(4, 'active');
-                await this.delay(1000);
-
-                // Update transaction status with success
-                this.uiManager.updateTransactionStatus('success', {
-                    success: true,
-                    signature: result.signature,
-                    domain: domainName,
-                    network: result.network,
-                    explorerUrl: result.explorerUrl
-                });
-
-                // Update wallet balance
-                const newBalance = await this.walletManager.getBalance();
-                this.uiManager.updateWalletButton(
-                    true, 
-                    this.walletManager.publicKey.toString(), 
-                    newBalance, 
-                    this.walletManager.getCurrentNetwork()
-                );
+        this.refreshHistory();
+    }
 
-            } catch (registrationError) {
-                console.error('Registration error:', registrationError);
-                
-                // Update transaction status with error
-                this.uiManager.updateTransactionStatus('error', {
-                    success: false,
-                    error: registrationError.message
-                });
+    // onStatus handler for a tracked transaction; retry submits it again if it expires
+    trackTransaction(retry) {
+        this.expiredTransactionRetry = null;
+        return (status, detail) => this.handleTransactionProgress(status, detail, retry);
+    }
+
+    handleTransactionProgress(status, detail, retry) {
+        this.uiManager.updateTransactionProgress(status, detail);
+
+        // The expired transaction can no longer land, so signing a fresh one cannot charge twice
+        if (status === 'expired') {
+            this.expiredTransactionRetry = retry;
+            this.uiManager.showTransactionExpired();
+        }
+    }
+
+    handleResignTransaction() {
+        const retry = this.expiredTransactionRetry;
+        this.expiredTransactionRetry = null;
+
+        if (retry) {
+            retry();
+        }
+    }
+
+    async handleDomainTransfer() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const domainName = this.uiManager.transferDomain;
+        const recipient = this.uiManager.elements.transferRecipient.value.trim();
+
+        if (!domainName) {
+            this.uiManager.showNotification('No domain selected', 'error');
+            return;
+        }
+
+        if (!recipient) {
+            this.uiManager.showNotification('Please enter a recipient', 'warning');
+            this.uiManager.elements.transferRecipient.focus();
+            return;
+        }
+
+        this.uiManager.hideTransferForm();
+        await this.submitTransfer(domainName, recipient);
+    }
+
+    async submitTransfer(domainName, recipient) {
+        this.uiManager.showTransactionStatus('transfer');
+
+        try {
+            // Step 1 covers recipient resolution and the ownership check
+            this.uiManager.setTransactionStep(1, 'active');
+            const result = await this.domainManager.transferDomain(
+                domainName,
+                recipient,
+                this.trackTransaction(() => this.submitTransfer(domainName, recipient))
+            );
+
+            this.uiManager.updateTransactionStatus('success', {
+                success: true,
+                action: 'transfer',
+                signature: result.signature,
+                domain: domainName,
+                to: result.to,
+                network: result.network,
+                explorerUrl: result.explorerUrl
+            });
+
+            if (this.uiManager.isMyDomainsVisible()) {
+                this.loadMyDomains();
             }
 
+            if (this.uiManager.isSubdomainsPanelVisible()) {
+                this.loadSubdomains();
+            }
+        } catch (transferError) {
+            console.error('Transfer error:', transferError);
+
+            this.uiManager.updateTransactionStatus('error', {
+                success: false,
+                error: transferError.message
+            });
+        }
+    }
+
+    async loadDomainRecords(domainName) {
+        this.uiManager.showRecordsLoading(domainName);
+
+        try {
+            const records = await this.recordsManager.getRecords(domainName);
+            this.uiManager.showRecordsForm(domainName, records);
         } catch (error) {
-            console.error('Registration handler error:', error);
+            console.error('Failed to load records:', error);
+            this.uiManager.showRecordsError(`Failed to load records: ${error.message}`);
+        }
+    }
+
+    async handleSaveRecords() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const domainName = this.uiManager.recordsDomain;
+        if (!domainName) {
+            this.uiManager.showNotification('No domain selected', 'error');
+            return;
+        }
+
+        const values = this.uiManager.getRecordValues();
+        let hasErrors = false;
+
+        for (const [record, value] of Object.entries(values)) {
+            const validation = this.recordsManager.validateRecord(record, value);
+            this.uiManager.setRecordError(record, validation.isValid ? null : validation.error);
+            hasErrors = hasErrors || !validation.isValid;
+        }
+
+        if (hasErrors) {
+            this.uiManager.showNotification('Please fix the highlighted records', 'warning');
+            return;
+        }
+
+        const saveButton = this.uiManager.elements.saveRecords;
+        this.uiManager.setButtonLoading(saveButton, true);
+
+        try {
+            const result = await this.recordsManager.saveRecords(domainName, values);
+            const summary = [
+                result.created.length && `${result.created.length} created`,
+                result.updated.length && `${result.updated.length} updated`,
+                result.deleted.length && `${result.deleted.length} deleted`
+            ].filter(Boolean).join(', ');
+
+            this.uiManager.showNotification(`Records for ${domainName}.sol saved (${summary})`, 'success');
+            await this.loadDomainRecords(domainName);
+        } catch (error) {
+            console.error('Record save error:', error);
             this.uiManager.showNotification(error.message, 'error');
-            this.uiManager.hideTransactionStatus();
+        } finally {
+            this.uiManager.setButtonLoading(saveButton, false);
+        }
+    }
+
+    async openSubdomains(parent, label = '') {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        this.uiManager.showSubdomainsPanel(parent, label);
+        if (label) {
+            this.updateSubdomainQuote();
+        }
+        await this.loadSubdomains();
+    }
+
+    async loadSubdomains() {
+        const parent = this.uiManager.subdomainParent;
+        if (!parent) {
+            return;
+        }
+
+        try {
+            const subdomains = await this.subdomainManager.getSubdomains(parent);
+            this.uiManager.showSubdomains(subdomains);
+        } catch (error) {
+            console.error('Failed to load subdomains:', error);
+            this.uiManager.showSubdomainsError(`Failed to load subdomains: ${error.message}`);
+        }
+    }
+
+    async updateSubdomainQuote() {
+        const parent = this.uiManager.subdomainParent;
+        const label = this.uiManager.elements.subdomainLabel.value.trim();
+
+        if (!parent || !label) {
+            this.uiManager.updateSubdomainQuote(null);
+            return;
+        }
+
+        try {
+            const quote = await this.subdomainManager.getQuote(`${label}.${parent}`);
+            // Ignore quotes for a label that has since been edited
+            if (this.uiManager.elements.subdomainLabel.value.trim() === label) {
+                this.uiManager.updateSubdomainQuote(quote);
+            }
+        } catch (error) {
+            console.log('Could not quote subdomain:', error.message);
+            this.uiManager.updateSubdomainQuote(null);
+        }
+    }
+
+    async handleSubdomainCreation() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const parent = this.uiManager.subdomainParent;
+        const label = this.uiManager.elements.subdomainLabel.value.trim();
+        const assignee = this.uiManager.elements.subdomainOwner.value.trim();
+
+        if (!label) {
+            this.uiManager.showNotification('Please enter a subdomain', 'warning');
+            this.uiManager.elements.subdomainLabel.focus();
+            return;
+        }
+
+        const subdomainName = `${label}.${parent}`;
+        await this.submitSubdomain(subdomainName, assignee);
+    }
+
+    async submitSubdomain(subdomainName, assignee) {
+        this.uiManager.showTransactionStatus('subdomain');
+
+        try {
+            const result = await this.subdomainManager.createSubdomain(
+                subdomainName,
+                assignee || null,
+                this.trackTransaction(() => this.submitSubdomain(subdomainName, assignee))
+            );
+
+            this.uiManager.updateTransactionStatus('success', {
+                success: true,
+                action: 'subdomain',
+                signature: result.signature,
+                domain: subdomainName,
+                to: assignee ? result.owner : null,
+                network: result.network,
+                explorerUrl: result.explorerUrl
+            });
+
+            this.uiManager.elements.subdomainLabel.value = '';
+            this.uiManager.elements.subdomainOwner.value = '';
+            this.uiManager.updateSubdomainQuote(null);
+            await this.loadSubdomains();
+        } catch (error) {
+            console.error('Subdomain creation error:', error);
+
+            this.uiManager.updateTransactionStatus('error', {
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    async handleSubdomainDeletion(subdomainName) {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        if (!window.confirm(`Delete ${subdomainName}.sol? Its rent will be refunded to your wallet.`)) {
+            return;
+        }
+
+        await this.submitSubdomainDeletion(subdomainName);
+    }
+
+    async submitSubdomainDeletion(subdomainName) {
+        this.uiManager.showTransactionStatus('subdomainDeletion');
+
+        try {
+            const result = await this.subdomainManager.deleteSubdomain(
+                subdomainName,
+                this.trackTransaction(() => this.submitSubdomainDeletion(subdomainName))
+            );
+
+            this.uiManager.updateTransactionStatus('success', {
+                success: true,
+                action: 'subdomainDeletion',
+                signature: result.signature,
+                domain: subdomainName,
+                network: result.network,
+                explorerUrl: result.explorerUrl
+            });
+
+            await this.loadSubdomains();
+        } catch (error) {
+            console.error('Subdomain deletion error:', error);
+
+            this.uiManager.updateTransactionStatus('error', {
+                success: false,
+                error: error.message
+            });
         }
     }
 
-    // Utility method for delays
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async handleBulkCheck() {
+        const names = this.bulkManager.parseNames(this.uiManager.elements.bulkInput.value);
+        if (names.length === 0) {
+            this.uiManager.showNotification('Please paste or upload some domain names', 'warning');
+            return;
+        }
+
+        const checkButton = this.uiManager.elements.bulkCheck;
+        this.uiManager.setButtonLoading(checkButton, true);
+        this.uiManager.startBulkResults(names);
+
+        let settled = 0;
+
+        try {
+            const rows = await this.bulkManager.checkNames(names, {
+                concurrency: this.uiManager.getBulkConcurrency(),
+                onResult: (row) => {
+                    settled++;
+                    this.uiManager.updateBulkRow(row);
+                    this.uiManager.setBulkProgress(`Checked ${settled} of ${names.length} names`);
+                }
+            });
+
+            const available = rows.filter(row => row.status === 'available').length;
+            this.uiManager.setBulkProgress(`${available} of ${names.length} names available on ${this.walletManager.getCurrentNetwork()}`);
+        } catch (error) {
+            console.error('Bulk check error:', error);
+            this.uiManager.setBulkProgress('');
+            this.uiManager.showNotification(error.message, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(checkButton, false);
+        }
+    }
+
+    async handleBulkRegistration() {
+        if (!this.walletManager.isConnected) {
+            this.uiManager.showNotification('Please connect your wallet first', 'warning');
+            return;
+        }
+
+        const domains = this.uiManager.getSelectedBulkDomains();
+        if (domains.length === 0) {
+            this.uiManager.showNotification('Select at least one available domain', 'warning');
+            return;
+        }
+
+        const paymentMethod = this.uiManager.elements.bulkPaymentMethod.value;
+        const registerButton = this.uiManager.elements.bulkRegister;
+        this.uiManager.setButtonLoading(registerButton, true);
+
+        try {
+            const results = await this.bulkManager.registerDomains(domains, paymentMethod, (status, detail) => {
+                if (status === 'checking') {
+                    this.uiManager.setBulkProgress(`Re-checking ${detail.total} names...`);
+                } else if (status === 'packed') {
+                    this.uiManager.setBulkProgress(`${detail.domains} names packed into ${detail.transactions} transaction(s)`);
+                } else if (status === 'signing') {
+                    this.uiManager.setBulkProgress(`Approve transaction ${detail.index + 1} of ${detail.total} in your wallet (${detail.domains.length} names)`);
+                } else if (status === 'sent') {
+                    this.uiManager.setBulkProgress(`Transaction ${detail.index + 1} of ${detail.total} confirmed`);
+                }
+            });
+
+            results.forEach(row => this.uiManager.updateBulkRow(row));
+
+            const registered = results.filter(row => row.status === 'registered').length;
+            const failed = results.length - registered;
+            this.uiManager.setBulkProgress(`${registered} registered, ${failed} not registered`);
+            this.uiManager.showNotification(
+                `Registered ${registered} of ${domains.length} domains`,
+                failed === 0 ? 'success' : 'warning'
+            );
+
+            if (registered > 0 && this.uiManager.isMyDomainsVisible()) {
+                this.loadMyDomains();
+            }
+
+            this.refreshHistory();
+        } catch (error) {
+            console.error('Bulk registration error:', error);
+            this.uiManager.setBulkProgress('');
+            this.uiManager.showNotification(error.message, 'error');
+        } finally {
+            this.uiManager.setButtonLoading(registerButton, false);
+            this.uiManager.updateBulkSummary();
+        }
     }
 }
 
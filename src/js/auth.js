@@ -0,0 +1,107 @@
+// sessionStorage key holding { token, session } so a reload keeps the session
+const SESSION_KEY = 'sns:session';
+
+// Backend session tied to the connected wallet, obtained by Sign-In-With-Solana
+export class AuthManager {
+    constructor(walletManager, api) {
+        this.walletManager = walletManager;
+        this.api = api;
+        this.session = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.api);
+    }
+
+    // A session only counts for the wallet and network it was signed for
+    isSignedIn() {
+        const { session, walletManager } = this;
+        return Boolean(
+            session &&
+            walletManager.isConnected &&
+            session.address === walletManager.publicKey.toBase58() &&
+            session.network === walletManager.getCurrentNetwork() &&
+            new Date(session.expiresAt) > new Date()
+        );
+    }
+
+    // Picks up the session saved by an earlier page load, if the server still accepts it
+    async restore() {
+        if (!this.api) {
+            return false;
+        }
+
+        const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+        if (!saved) {
+            return false;
+        }
+
+        this.api.setSessionToken(saved.token);
+
+        try {
+            this.session = await this.api.getSession();
+            return this.isSignedIn();
+        } catch (error) {
+            console.log('Saved session is no longer valid:', error.message);
+            this.clear();
+            return false;
+        }
+    }
+
+    async signIn() {
+        if (!this.api) {
+            throw new Error('Sign-in needs the backend API');
+        }
+
+        if (!this.walletManager.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        const address = this.walletManager.publicKey.toBase58();
+        const network = this.walletManager.getCurrentNetwork();
+        const { nonce, issuedAt, expirationTime } = await this.api.createSignInNonce(address, network);
+
+        const { message, signature } = await this.walletManager.signIn({
+            domain: window.location.host,
+            uri: window.location.origin,
+            nonce,
+            issuedAt,
+            expirationTime
+        });
+
+        const { token, session } = await this.api.verifySignIn(message, signature);
+        this.session = session;
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({ token, session }));
+
+        console.log(`✅ Signed in as ${address} on ${network}`);
+        return session;
+    }
+
+    // Protected routes call this first; it only prompts the wallet when needed
+    async ensureSession() {
+        if (this.isSignedIn()) {
+            return this.session;
+        }
+        return this.signIn();
+    }
+
+    async signOut() {
+        if (!this.session) {
+            return;
+        }
+
+        try {
+            await this.api.signOut();
+        } catch (error) {
+            console.log('Sign-out request failed:', error.message);
+        } finally {
+            this.clear();
+        }
+    }
+
+    clear() {
+        this.session = null;
+        this.api?.setSessionToken(null);
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+}
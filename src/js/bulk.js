@@ -0,0 +1,269 @@
+import { Transaction, PACKET_DATA_SIZE, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { parseDomainName, validateDomainName } from './validation.js';
+
+const HEADER_COLUMNS = ['domain', 'domains', 'name', 'names'];
+
+// Runs fn over items with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+export class BulkManager {
+    constructor(walletManager, domainManager, { concurrency = 5, maxNames = 200 } = {}) {
+        this.walletManager = walletManager;
+        this.domainManager = domainManager;
+        this.concurrency = concurrency;
+        this.maxNames = maxNames;
+    }
+
+    // Accepts a pasted list (newline, comma, space or semicolon separated) or CSV
+    // text. A CSV whose header names a domain column only contributes that column.
+    parseNames(text) {
+        const lines = (text || '').split(/\r?\n/).filter(line => line.trim());
+        let values;
+
+        const header = lines[0]?.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '').toLowerCase()) || [];
+        const column = header.findIndex(cell => HEADER_COLUMNS.includes(cell));
+
+        if (column !== -1) {
+            values = lines.slice(1).map(line => line.split(/[,;\t]/)[column] || '');
+        } else {
+            values = lines.flatMap(line => line.split(/[\s,;]+/));
+        }
+
+        const names = values
+            .map(value => parseDomainName(value.replace(/"/g, '')).name)
+            .filter(Boolean);
+
+        return [...new Set(names)];
+    }
+
+    // onResult(row, index) fires as each name settles so the table can fill in progressively
+    async checkNames(names, { concurrency = this.concurrency, onResult = () => {} } = {}) {
+        if (names.length > this.maxNames) {
+            throw new Error(`Bulk checks are limited to ${this.maxNames} names at a time`);
+        }
+
+        const limit = Math.max(1, Math.min(Number(concurrency) || this.concurrency, 10));
+
+        // Warm the lookup cache so the per-name checks below cost one RPC call per hundred names
+        const valid = names.filter(name => validateDomainName(name).isValid);
+        if (valid.length > 0) {
+            try {
+                await this.domainManager.lookup.lookup(valid);
+            } catch (error) {
+                // Each name reports its own failure below
+                console.error('Bulk lookup failed:', error);
+            }
+        }
+
+        return mapWithConcurrency(names, limit, async (domain, index) => {
+            const row = await this.checkName(domain);
+            onResult(row, index);
+            return row;
+        });
+    }
+
+    async checkName(domain) {
+        const validation = validateDomainName(domain);
+        if (!validation.isValid) {
+            return { domain, status: 'invalid', error: validation.error };
+        }
+
+        const result = await this.domainManager.checkDomainAvailability(domain);
+
+        if (result.status === 'unknown') {
+            return { domain, status: 'unknown', error: result.error };
+        }
+
+        if (!result.success) {
+            return { domain, status: result.reserved ? 'invalid' : 'error', error: result.error };
+        }
+
+        if (!result.available) {
+            return { domain, status: 'taken', owner: result.owner };
+        }
+
+        return {
+            domain,
+            status: 'available',
+            price: result.basePrice,
+            usdcPrice: result.usdcPrice,
+            fee: result.quote.fee,
+            availability: result
+        };
+    }
+
+    // Greedily fills each transaction with as many registrations as fit in one packet
+    async packRegistrations(rows, paymentMethod, buyer) {
+        const payment = this.domainManager.getPaymentInstructions(paymentMethod, buyer);
+        const batches = [];
+        let current = null;
+
+        const fits = (batch, instructions) => {
+            const candidate = new Transaction().add(
+                ...payment.before,
+                ...batch.instructions,
+                ...instructions,
+                ...payment.after
+            );
+            return this.walletManager.getTransactionSize(candidate) <= PACKET_DATA_SIZE;
+        };
+
+        for (const row of rows) {
+            const instructions = await this.domainManager.getRegistrationInstructions(
+                row.domain,
+                row.availability,
+                paymentMethod,
+                buyer,
+                row.registrar
+            );
+
+            if (current && !fits(current, instructions)) {
+                batches.push(current);
+                current = null;
+            }
+
+            if (!current) {
+                current = { rows: [], instructions: [] };
+                if (!fits(current, instructions)) {
+                    throw new Error(`${row.domain}.sol does not fit in a single transaction`);
+                }
+            }
+
+            current.rows.push(row);
+            current.instructions.push(...instructions);
+        }
+
+        if (current) {
+            batches.push(current);
+        }
+
+        return batches.map(batch => ({
+            rows: batch.rows,
+            transaction: new Transaction().add(...payment.before, ...batch.instructions, ...payment.after)
+        }));
+    }
+
+    // Re-checks the selected names, packs them and sends one wallet approval per
+    // transaction. onStatus(status, detail) reports 'checking', 'packed' and
+    // 'signing' / 'sent' for each transaction.
+    async registerDomains(domains, paymentMethod = 'SOL', onStatus = () => {}) {
+        if (!this.walletManager.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        if (domains.length === 0) {
+            throw new Error('Select at least one available domain');
+        }
+
+        this.domainManager.connection = this.walletManager.connection;
+        const buyer = this.walletManager.publicKey;
+
+        onStatus('checking', { total: domains.length });
+        const checked = await this.checkNames(domains);
+        const available = checked.filter(row => row.status === 'available');
+        const results = checked
+            .filter(row => row.status !== 'available')
+            .map(row => ({ domain: row.domain, status: 'skipped', error: row.error || `${row.domain}.sol is no longer available` }));
+
+        if (available.length === 0) {
+            return results;
+        }
+
+        // What the registrar will charge for each name; SOL wraps include the
+        // slippage margin, and packing wraps exactly these amounts
+        for (const row of available) {
+            row.registrar = await this.domainManager.getRegistrarPrice(row.domain);
+        }
+
+        const batches = await this.packRegistrations(available, paymentMethod, buyer);
+        onStatus('packed', { transactions: batches.length, domains: available.length });
+
+        // Network and app fees are paid in SOL, whatever the names are paid with
+        const networkFees = this.domainManager.networkFee * batches.length;
+        const solFees = networkFees + available.reduce((sum, row) => sum + row.fee, 0);
+        const totalCost = paymentMethod === 'USDC'
+            ? available.reduce((sum, row) => sum + row.registrar.usd, 0)
+            : available.reduce((sum, row) => sum + row.registrar.lamports, 0) / LAMPORTS_PER_SOL + solFees;
+
+        await this.domainManager.checkPaymentBalance(paymentMethod, totalCost, buyer, solFees);
+
+        const network = this.walletManager.getCurrentNetwork();
+        const owner = buyer.toBase58();
+        const sns = this.domainManager.getSNSBindings();
+
+        for (const [index, batch] of batches.entries()) {
+            const names = batch.rows.map(row => row.domain);
+            const registration = {
+                network,
+                owner,
+                paymentMethod,
+                batch: batch.rows.map(row => ({
+                    domain: row.domain,
+                    nameAccount: sns.getDomainKeySync(row.domain).pubkey.toBase58(),
+                    quote: row.availability.quote,
+                    cost: paymentMethod === 'USDC' ? row.registrar.usd : Number((row.registrar.sol + row.fee).toFixed(9))
+                }))
+            };
+            let signature = null;
+
+            try {
+                onStatus('signing', { index, total: batches.length, domains: names });
+
+                // Persisted once sent, like single registrations, so a reload
+                // before confirmation can resume tracking the batch
+                const result = await this.walletManager.signAndSendTransaction(batch.transaction, (status, detail) => {
+                    if (status === 'sent') {
+                        signature = detail.signature;
+                        this.domainManager.pending.add({
+                            ...registration,
+                            signature,
+                            lastValidBlockHeight: detail.lastValidBlockHeight,
+                            sentAt: Date.now()
+                        });
+                    }
+                });
+                if (!result.success) {
+                    throw new Error('Transaction failed');
+                }
+
+                const completed = await this.domainManager.completeBatchRegistration({ ...registration, signature: result.signature });
+                results.push(...completed.results);
+
+                onStatus('sent', { index, total: batches.length, domains: names, signature: result.signature });
+            } catch (error) {
+                console.error(`Batch ${index + 1} registration error:`, error);
+                // Sent but failed on chain or expired: each name goes to the history
+                if (signature) {
+                    await this.domainManager.pending.remove(signature);
+                    for (const row of registration.batch) {
+                        this.domainManager.recordFailedRegistration({ ...registration, ...row, signature }, error);
+                    }
+                }
+                results.push(...names.map(domain => ({ domain, status: 'failed', error: error.message })));
+
+                // A rejected approval stops the run; other failures only lose that batch
+                if (error.message === 'Transaction rejected by user') {
+                    for (const remaining of batches.slice(index + 1)) {
+                        results.push(...remaining.rows.map(row => ({ domain: row.domain, status: 'skipped', error: 'Cancelled' })));
+                    }
+                    break;
+                }
+            }
+        }
+
+        return results;
+    }
+}
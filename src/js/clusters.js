@@ -0,0 +1,130 @@
+// Every cluster the app can talk to. `sns` names the SNS deployment whose
+// program IDs the cluster runs (see DomainManager.getSNSBindings), or null
+// where SNS is not deployed. `explorer` is a template with a {path} placeholder.
+export const CLUSTERS = {
+    mainnet: {
+        id: 'mainnet',
+        label: 'Mainnet',
+        rpc: [
+            'https://api.mainnet-beta.solana.com',
+            'https://rpc.ankr.com/solana',
+            'https://solana-mainnet.rpc.extrnode.com'
+        ],
+        chain: 'solana:mainnet',
+        explorer: 'https://explorer.solana.com/{path}',
+        airdrop: false,
+        sns: 'mainnet'
+    },
+    devnet: {
+        id: 'devnet',
+        label: 'Devnet',
+        rpc: ['https://api.devnet.solana.com'],
+        chain: 'solana:devnet',
+        explorer: 'https://explorer.solana.com/{path}?cluster=devnet',
+        airdrop: true,
+        sns: 'devnet'
+    },
+    testnet: {
+        id: 'testnet',
+        label: 'Testnet',
+        rpc: ['https://api.testnet.solana.com'],
+        chain: 'solana:testnet',
+        explorer: 'https://explorer.solana.com/{path}?cluster=testnet',
+        airdrop: true,
+        sns: null
+    },
+    // solana-test-validator with the devnet SNS programs cloned in, see `npm run localnet`
+    localnet: {
+        id: 'localnet',
+        label: 'Localnet',
+        rpc: ['http://127.0.0.1:8899'],
+        chain: 'solana:localnet',
+        explorer: customExplorer('http://127.0.0.1:8899'),
+        airdrop: true,
+        sns: 'devnet'
+    }
+};
+
+// localStorage key holding clusters added in the RPC settings: [{ id, label, url, sns }]
+const CUSTOM_CLUSTERS_KEY = 'sns:clusters';
+
+function customExplorer(url) {
+    return `https://explorer.solana.com/{path}?cluster=custom&customUrl=${encodeURIComponent(url)}`;
+}
+
+function loadCustomClusters() {
+    if (typeof localStorage === 'undefined') {
+        return [];
+    }
+
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_CLUSTERS_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Custom clusters are private validators, so wallets treat them as localnet
+function toCluster({ id, label, url, sns }) {
+    return {
+        id,
+        label,
+        rpc: [url],
+        chain: 'solana:localnet',
+        explorer: customExplorer(url),
+        airdrop: true,
+        sns,
+        custom: true
+    };
+}
+
+export function normalizeRpcUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        throw new Error('Enter a full RPC URL, e.g. https://my-rpc.example.com');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('RPC URLs must start with http:// or https://');
+    }
+
+    return parsed.toString();
+}
+
+export function getClusters() {
+    return [...Object.values(CLUSTERS), ...loadCustomClusters().map(toCluster)];
+}
+
+export function getCluster(id) {
+    return getClusters().find(cluster => cluster.id === id) || null;
+}
+
+export function addCustomCluster({ label, url, sns = 'devnet' }) {
+    const name = String(label || '').trim();
+    if (!name) {
+        throw new Error('Give the cluster a name');
+    }
+
+    if (sns !== null && !['mainnet', 'devnet'].includes(sns)) {
+        throw new Error(`Unknown SNS deployment: ${sns}`);
+    }
+
+    const custom = loadCustomClusters();
+    const entry = { id: `custom-${Date.now().toString(36)}`, label: name, url: normalizeRpcUrl(url), sns };
+
+    custom.push(entry);
+    localStorage.setItem(CUSTOM_CLUSTERS_KEY, JSON.stringify(custom));
+    return toCluster(entry);
+}
+
+export function removeCustomCluster(id) {
+    const custom = loadCustomClusters().filter(entry => entry.id !== id);
+    localStorage.setItem(CUSTOM_CLUSTERS_KEY, JSON.stringify(custom));
+}
+
+// path is e.g. `tx/${signature}` or `address/${address}`
+export function getExplorerUrl(cluster, path) {
+    return cluster.explorer.replace('{path}', path);
+}
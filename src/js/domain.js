@@ -10,27 +10,74 @@ import {
     resolve,
     reverseLookup,
     getDomainKeySync,
-    NameRegistryState
+    registerDomainNameV2,
+    transferNameOwnership,
+    createSubdomain,
+    transferSubdomain,
+    createRecordV2Instruction,
+    updateRecordV2Instruction,
+    deleteRecordV2,
+    validateRecordV2Content,
+    getDomainPriceFromName,
+    getPrimaryDomain,
+    NameRegistryState,
+    NAME_PROGRAM_ID,
+    ROOT_DOMAIN_ACCOUNT,
+    USDC_MINT,
+    devnet
 } from '@bonfida/spl-name-service';
+import {
+    NATIVE_MINT,
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createSyncNativeInstruction,
+    createCloseAccountInstruction
+} from '@solana/spl-token';
+import { PriceFeed, PythPriceSource, HttpPriceSource } from './price.js';
+import { PricingEngine } from './pricing.js';
+import { NameLookup } from './lookup.js';
+import { PendingTransactionStore } from './pending.js';
+import { RegistrationHistory } from './history.js';
+import { Watchlist } from './watchlist.js';
+import { SuggestionEngine } from './suggestions.js';
+import { validateDomainName, validateSubdomainName, parseDomainName } from './validation.js';
+
+// The registrar converts its USD price at its own Pyth read; SOL payments wrap
+// this much extra so a price move before landing does not fail the purchase.
+// Whatever it does not take is unwrapped back to the buyer.
+const REGISTRAR_PRICE_SLIPPAGE = 0.05;
 
 export class DomainManager {
-    constructor(walletManager) {
+    constructor(walletManager, api = null) {
         this.walletManager = walletManager;
         this.connection = walletManager.connection;
+        this.api = api; // Optional backend, see server/
         
-        // One-time pricing configuration (no yearly fees)
-        this.pricing = {
-            1: 0.05,   // 1 character: 0.05 SOL
-            2: 0.05,   // 2 characters: 0.05 SOL  
-            3: 0.1,    // 3 characters: 0.1 SOL
-            4: 0.05,   // 4 characters: 0.05 SOL
-            default: 0.02  // 5+ characters: 0.02 SOL
-        };
+        // The registrar price plus app fees from src/config/pricing-rules.json (no yearly fees)
+        this.pricingEngine = new PricingEngine();
         
         this.networkFee = 0.001; // Approximate network fee
+        this.domainSpace = 1000; // Bytes allocated to the name account
+        
+        // On-chain oracle first, HTTP API as fallback
+        this.priceFeed = new PriceFeed([
+            new PythPriceSource(() => this.walletManager.connection),
+            new HttpPriceSource()
+        ]);
+
+        // Sent registrations survive a reload until they are confirmed
+        this.pending = new PendingTransactionStore();
+        this.history = new RegistrationHistory(api);
+
+        // Batched name account reads shared by availability checks, suggestions and bulk mode
+        this.lookup = new NameLookup(this.walletManager, () => this.getSNSBindings());
+        this.suggestionEngine = new SuggestionEngine();
+
+        // Taken names polled for owner changes and closures
+        this.watchlist = new Watchlist(this.walletManager, this.lookup);
     }
 
-    async checkDomainAvailability(domainName) {
+    async checkDomainAvailability(domainName, promoCode = null) {
         try {
             console.log(`Checking availability for domain: ${domainName} on ${this.walletManager.getCurrentNetwork()}`);
             
@@ -43,42 +90,68 @@ export class DomainManager {
                 };
             }
 
+            if (this.pricingEngine.isReserved(domainName, this.walletManager.getCurrentNetwork())) {
+                return {
+                    success: false,
+                    reserved: true,
+                    error: `${domainName}.sol is reserved and cannot be registered`,
+                    network: this.walletManager.getCurrentNetwork()
+                };
+            }
+
+            // The backend is the source of truth when configured, the chain is the fallback
+            if (this.api) {
+                try {
+                    const remote = await this.api.checkAvailability(domainName, this.walletManager.getCurrentNetwork());
+                    if (!remote.available) {
+                        return {
+                            success: true,
+                            status: 'registered',
+                            available: false,
+                            domain: domainName,
+                            owner: remote.owner,
+                            network: this.walletManager.getCurrentNetwork()
+                        };
+                    }
+
+                    return await this.buildAvailableResult(domainName, promoCode);
+                } catch (apiError) {
+                    console.log('API availability check failed, falling back to RPC:', apiError.message);
+                }
+            }
+
             // Update connection reference
             this.connection = this.walletManager.connection;
 
+            let entry;
             try {
-                // Use the official resolve function to check if domain exists
-                const owner = await resolve(this.connection, domainName);
-                
-                if (owner) {
-                    // Domain is taken
-                    return {
-                        success: true,
-                        available: false,
-                        domain: domainName,
-                        owner: owner.toBase58(),
-                        network: this.walletManager.getCurrentNetwork()
-                    };
-                }
-            } catch (resolveError) {
-                // If resolve throws an error, the domain is likely available
-                console.log('Domain appears to be available:', resolveError.message);
-                
-                const basePrice = this.calculatePrice(domainName);
-                const totalPrice = basePrice + this.networkFee;
-                
+                entry = await this.lookup.lookupOne(domainName);
+            } catch (lookupError) {
+                // Not knowing is not the same as available: the name may well be taken
+                console.error('Name account lookup failed:', lookupError);
+                return {
+                    success: false,
+                    status: 'unknown',
+                    available: null,
+                    domain: domainName,
+                    error: `Could not confirm whether ${domainName}.sol is available (${lookupError.message}). Please try again.`,
+                    network: this.walletManager.getCurrentNetwork()
+                };
+            }
+
+            if (entry.registered) {
                 return {
                     success: true,
-                    available: true,
+                    status: 'registered',
+                    available: false,
                     domain: domainName,
-                    basePrice: basePrice,
-                    networkFee: this.networkFee,
-                    totalPrice: totalPrice,
-                    network: this.walletManager.getCurrentNetwork(),
-                    priceUSD: await this.convertSOLToUSD(totalPrice)
+                    owner: entry.owner,
+                    network: this.walletManager.getCurrentNetwork()
                 };
             }
 
+            return await this.buildAvailableResult(domainName, promoCode);
+
         } catch (error) {
             console.error('Domain availability check error:', error);
             return {
@@ -88,7 +161,49 @@ export class DomainManager {
         }
     }
 
-    async registerDomain(domainName, paymentMethod = 'SOL') {
+    async buildAvailableResult(domainName, promoCode = null) {
+        let quote = null;
+
+        // Server-issued quotes carry an id the registration can be matched against
+        if (this.api) {
+            try {
+                quote = await this.api.createQuote({
+                    domain: domainName,
+                    network: this.walletManager.getCurrentNetwork(),
+                    promoCode,
+                    owner: this.walletManager.publicKey?.toString() || null
+                });
+            } catch (apiError) {
+                console.log('API quote failed, using local pricing:', apiError.message);
+            }
+        }
+
+        if (!quote) {
+            quote = await this.getQuote(domainName, promoCode);
+        }
+
+        const basePrice = quote.total;
+        const totalPrice = basePrice + this.networkFee;
+        const usdcPrice = quote.registrarPrice.usd;
+
+        return {
+            success: true,
+            status: 'available',
+            available: true,
+            domain: domainName,
+            basePrice: basePrice,
+            quote: quote,
+            networkFee: this.networkFee,
+            totalPrice: totalPrice,
+            usdcPrice: usdcPrice,
+            network: this.walletManager.getCurrentNetwork(),
+            priceUSD: await this.convertSOLToUSD(totalPrice),
+            solPrice: this.priceFeed.getLastQuote()
+        };
+    }
+
+    // onStatus follows the transaction, see WalletManager.signAndSendTransaction
+    async registerDomain(domainName, paymentMethod = 'SOL', promoCode = null, onStatus = () => {}) {
         try {
             if (!this.walletManager.isConnected) {
                 throw new Error('Wallet not connected');
@@ -104,43 +219,353 @@ export class DomainManager {
             }
 
             // Check availability first
-            const availability = await this.checkDomainAvailability(domainName);
-            if (!availability.success || !availability.available) {
+            const availability = await this.checkDomainAvailability(domainName, promoCode);
+            if (availability.status === 'unknown') {
+                throw new Error(availability.error);
+            }
+            if (!availability.success || availability.status !== 'available') {
                 throw new Error('Domain is not available for registration');
             }
 
-            // Calculate total cost
-            const totalCost = availability.totalPrice;
+            // Create registration transaction
+            const buyer = this.walletManager.publicKey;
+            const sns = this.getSNSBindings();
+            const registrar = await this.getRegistrarPrice(domainName);
+            const { fee } = availability.quote;
+            const totalCost = paymentMethod === 'USDC'
+                ? registrar.usd
+                : registrar.lamports / LAMPORTS_PER_SOL + fee + this.networkFee;
+
+            await this.checkPaymentBalance(paymentMethod, totalCost, buyer, this.networkFee + fee);
+
+            const transaction = await this.buildRegistrationTransaction(domainName, availability, paymentMethod, buyer, registrar);
+
+            const { pubkey: nameAccount } = sns.getDomainKeySync(domainName);
+            const registration = {
+                domain: domainName,
+                network: this.walletManager.getCurrentNetwork(),
+                owner: buyer.toBase58(),
+                nameAccount: nameAccount.toBase58(),
+                quote: availability.quote,
+                paymentMethod,
+                cost: paymentMethod === 'USDC' ? registrar.usd : Number((registrar.sol + fee).toFixed(9))
+            };
+            let signature = null;
+
+            // Sign and send transaction; once sent it is persisted, so a reload
+            // before confirmation can resume tracking (see resumeRegistration)
+            let result;
+            try {
+                result = await this.walletManager.signAndSendTransaction(transaction, (status, detail) => {
+                    if (status === 'sent') {
+                        signature = detail.signature;
+                        this.pending.add({
+                            ...registration,
+                            signature,
+                            lastValidBlockHeight: detail.lastValidBlockHeight,
+                            sentAt: Date.now()
+                        });
+                    }
+                    onStatus(status, detail);
+                });
+            } catch (sendError) {
+                // Failed on chain or expired: nothing left to resume
+                if (signature) {
+                    await this.pending.remove(signature);
+                    this.recordFailedRegistration({ ...registration, signature }, sendError);
+                }
+                throw sendError;
+            }
             
-            // Check wallet balance
-            const balance = await this.walletManager.getBalance();
-            if (balance < totalCost) {
-                throw new Error(`Insufficient balance. You need ${totalCost} SOL but only have ${balance.toFixed(4)} SOL`);
+            if (result.success) {
+                return this.completeRegistration({ ...registration, signature: result.signature });
+            } else {
+                throw new Error('Transaction failed');
             }
 
-            // Create registration transaction
-            const transaction = new Transaction();
-            
-            // For demo purposes, create a simple transfer
-            // In production, you would use the actual SNS registration instructions
-            const transferInstruction = SystemProgram.transfer({
-                fromPubkey: this.walletManager.publicKey,
-                toPubkey: new PublicKey("11111111111111111111111111111112"), // System program
-                lamports: Math.floor(totalCost * LAMPORTS_PER_SOL)
+        } catch (error) {
+            console.error('Domain registration error:', error);
+            throw new Error(error.message || 'Failed to register domain');
+        }
+    }
+
+    // Tracks a registration sent before the page was reloaded to its outcome
+    async resumeRegistration(registration, onStatus = () => {}) {
+        try {
+            await this.walletManager.tracker.track(registration.signature, registration, onStatus);
+        } catch (error) {
+            await this.pending.remove(registration.signature);
+            for (const row of registration.batch || [registration]) {
+                this.recordFailedRegistration({ ...registration, ...row }, error);
+            }
+            throw error;
+        }
+
+        return registration.batch
+            ? this.completeBatchRegistration(registration)
+            : this.completeRegistration(registration);
+    }
+
+    // Bookkeeping once a registration is confirmed, live or resumed
+    async completeRegistration({ domain, network, owner, signature, nameAccount, quote, paymentMethod, cost }) {
+        this.lookup.invalidate([domain]);
+
+        const verification = await this.recordRegistration({
+            domain,
+            network,
+            owner,
+            signature,
+            nameAccount,
+            quoteId: quote.id || null,
+            paymentMethod,
+            cost
+        });
+
+        await this.pending.remove(signature);
+
+        return {
+            success: true,
+            signature,
+            domain,
+            nameAccount,
+            cost,
+            paymentMethod,
+            promoCode: quote.promoCode,
+            verification,
+            network,
+            explorerUrl: this.walletManager.getExplorerUrl(signature)
+        };
+    }
+
+    // Bookkeeping once a bulk batch is confirmed, live or resumed: each name
+    // is recorded against the shared signature
+    async completeBatchRegistration({ network, owner, signature, paymentMethod, batch }) {
+        this.lookup.invalidate(batch.map(row => row.domain));
+        const explorerUrl = this.walletManager.getExplorerUrl(signature);
+        const results = [];
+
+        for (const { domain, nameAccount, quote, cost } of batch) {
+            const verification = await this.recordRegistration({
+                domain,
+                network,
+                owner,
+                signature,
+                nameAccount,
+                quoteId: quote.id || null,
+                paymentMethod,
+                cost,
+                batchSize: batch.length
             });
 
-            transaction.add(transferInstruction);
+            results.push({ domain, status: 'registered', signature, nameAccount, verification, explorerUrl });
+        }
+
+        await this.pending.remove(signature);
+
+        return { success: true, signature, network, explorerUrl, results };
+    }
+
+    async buildRegistrationTransaction(domainName, availability, paymentMethod, buyer, registrar) {
+        const payment = this.getPaymentInstructions(paymentMethod, buyer);
+        return new Transaction().add(
+            ...payment.before,
+            ...await this.getRegistrationInstructions(domainName, availability, paymentMethod, buyer, registrar),
+            ...payment.after
+        );
+    }
+
+    // Exact network fee of registering domainName under quote, at the chosen
+    // priority level. Needs a connected wallet to simulate as the buyer.
+    async estimateRegistrationFee(domainName, quote, paymentMethod = 'SOL') {
+        if (!this.walletManager.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        this.connection = this.walletManager.connection;
+        const transaction = await this.buildRegistrationTransaction(
+            domainName,
+            { quote },
+            paymentMethod,
+            this.walletManager.publicKey,
+            await this.getRegistrarPrice(domainName)
+        );
+
+        return this.walletManager.fees.estimate(transaction);
+    }
+
+    // totalCost is in USDC or SOL; SOL costs already include the network fee,
+    // app fees and the slippage margin of the wrap. solFees is what a USDC
+    // payment still spends in SOL.
+    async checkPaymentBalance(paymentMethod, totalCost, buyer, solFees = this.networkFee) {
+        const balance = await this.walletManager.getBalance();
+
+        if (paymentMethod === 'USDC') {
+            // The domain is paid in USDC, only the network and app fees come out of the SOL balance
+            if (balance < solFees) {
+                throw new Error(`Insufficient SOL for fees. You need ${solFees} SOL but only have ${balance.toFixed(4)} SOL`);
+            }
+
+            const usdcAccount = await this.getUSDCAccount(buyer);
+            if (usdcAccount.balance < totalCost) {
+                throw new Error(`Insufficient USDC balance. You need ${totalCost} USDC but only have ${usdcAccount.balance.toFixed(2)} USDC`);
+            }
+        } else if (balance < totalCost) {
+            throw new Error(`Insufficient balance. You need ${totalCost} SOL but only have ${balance.toFixed(4)} SOL`);
+        }
+    }
+
+    // Setup and teardown shared by every registration packed into one transaction
+    getPaymentInstructions(paymentMethod, buyer) {
+        if (paymentMethod === 'USDC') {
+            return { before: [], after: [] };
+        }
+
+        const wrappedSolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, buyer);
+        return {
+            before: [createAssociatedTokenAccountIdempotentInstruction(buyer, wrappedSolAccount, buyer, NATIVE_MINT)],
+            // Unwrap whatever the registrar did not take back into the buyer's wallet
+            after: [createCloseAccountInstruction(wrappedSolAccount, buyer, buyer)]
+        };
+    }
+
+    // Pays for and registers one name. SNS registrations are paid in tokens,
+    // so a SOL payment wraps the registrar price plus slippage into the
+    // buyer's wSOL account first; registrar is what getRegistrarPrice returned
+    // for the balance check, so the wrap matches it.
+    async getRegistrationInstructions(domainName, availability, paymentMethod, buyer, registrar) {
+        const sns = this.getSNSBindings();
+        const fees = this.getAppFeeInstructions(availability.quote, buyer);
+
+        if (paymentMethod === 'USDC') {
+            return [
+                ...fees,
+                ...await sns.registerDomainNameV2(
+                    this.connection,
+                    domainName,
+                    this.domainSpace,
+                    buyer,
+                    getAssociatedTokenAddressSync(sns.usdcMint, buyer),
+                    sns.usdcMint
+                )
+            ];
+        }
+
+        const wrappedSolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, buyer);
+        const registrationInstructions = await sns.registerDomainNameV2(
+            this.connection,
+            domainName,
+            this.domainSpace,
+            buyer,
+            wrappedSolAccount,
+            NATIVE_MINT
+        );
+
+        return [
+            ...fees,
+            SystemProgram.transfer({
+                fromPubkey: buyer,
+                toPubkey: wrappedSolAccount,
+                lamports: registrar.lamports
+            }),
+            createSyncNativeInstruction(wrappedSolAccount),
+            ...registrationInstructions
+        ];
+    }
+
+    // App fees in the quote are paid in SOL to its fee recipient, whatever the
+    // registrar is paid with
+    getAppFeeInstructions(quote, buyer) {
+        if (!(quote?.fee > 0)) {
+            return [];
+        }
+
+        if (!quote.feeRecipient) {
+            throw new Error('App fees are configured without a fee recipient');
+        }
+
+        return [SystemProgram.transfer({
+            fromPubkey: buyer,
+            toPubkey: new PublicKey(quote.feeRecipient),
+            lamports: Math.ceil(quote.fee * LAMPORTS_PER_SOL)
+        })];
+    }
+
+    // onStatus follows the transaction, see WalletManager.signAndSendTransaction
+    async transferDomain(domainName, recipient, onStatus = () => {}) {
+        try {
+            if (!this.walletManager.isConnected) {
+                throw new Error('Wallet not connected');
+            }
+
+            // Update connection reference
+            this.connection = this.walletManager.connection;
+
+            const { isSubdomain, parent } = parseDomainName(domainName);
+            const validation = isSubdomain
+                ? validateSubdomainName(domainName)
+                : this.validateDomainName(domainName);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+
+            const sns = this.getSNSBindings();
+            const currentOwner = this.walletManager.publicKey;
+            const newOwner = await this.resolveRecipient(recipient);
+            const owner = await this.getDomainOwner(domainName);
+
+            let transferInstruction;
+            if (isSubdomain) {
+                // The parent owner can reassign subdomains held by other wallets
+                const isDirectOwner = Boolean(owner && owner.equals(currentOwner));
+                if (!owner || (!isDirectOwner && !(await this.getDomainOwner(parent))?.equals(currentOwner))) {
+                    throw new Error(`You do not own ${domainName}.sol or ${parent}.sol`);
+                }
+
+                if (newOwner.equals(owner)) {
+                    throw new Error('Recipient already owns this domain');
+                }
+
+                transferInstruction = await sns.transferSubdomain(
+                    this.connection,
+                    domainName,
+                    newOwner,
+                    !isDirectOwner,
+                    owner
+                );
+            } else {
+                // Only the direct owner can sign the name service transfer
+                if (!owner || !owner.equals(currentOwner)) {
+                    throw new Error(`You do not own ${domainName}.sol`);
+                }
+
+                if (newOwner.equals(currentOwner)) {
+                    throw new Error('Recipient already owns this domain');
+                }
+
+                transferInstruction = await sns.transferNameOwnership(
+                    this.connection,
+                    domainName,
+                    newOwner,
+                    undefined,
+                    sns.rootDomainAccount
+                );
+            }
+
+            const transaction = new Transaction().add(transferInstruction);
 
             // Sign and send transaction
-            const result = await this.walletManager.signAndSendTransaction(transaction);
-            
+            const result = await this.walletManager.signAndSendTransaction(transaction, onStatus);
+
             if (result.success) {
+                this.lookup.invalidate([domainName]);
+                await this.reportTransfer(domainName, result.signature);
+
                 return {
                     success: true,
                     signature: result.signature,
                     domain: domainName,
-                    cost: totalCost,
-                    paymentMethod,
+                    from: owner.toBase58(),
+                    to: newOwner.toBase58(),
                     network: this.walletManager.getCurrentNetwork(),
                     explorerUrl: this.walletManager.getExplorerUrl(result.signature)
                 };
@@ -149,93 +574,353 @@ export class DomainManager {
             }
 
         } catch (error) {
-            console.error('Domain registration error:', error);
-            throw new Error(error.message || 'Failed to register domain');
+            console.error('Domain transfer error:', error);
+            throw new Error(error.message || 'Failed to transfer domain');
         }
     }
 
-    validateDomainName(domain) {
-        if (!domain) {
-            return { isValid: false, error: 'Domain name is required' };
+    // Accepts a base58 wallet address or another .sol name
+    async resolveRecipient(recipient) {
+        const value = (recipient || '').trim();
+        if (!value) {
+            throw new Error('Recipient is required');
+        }
+
+        if (value.toLowerCase().endsWith('.sol')) {
+            const recipientDomain = value.slice(0, -4).toLowerCase();
+            const validation = this.validateDomainName(recipientDomain);
+            if (!validation.isValid) {
+                throw new Error(`Invalid recipient domain: ${validation.error}`);
+            }
+
+            const target = await this.resolveDomain(recipientDomain);
+            if (!target) {
+                throw new Error(`${recipientDomain}.sol could not be resolved`);
+            }
+            return target;
+        }
+
+        let publicKey;
+        try {
+            publicKey = new PublicKey(value);
+        } catch (error) {
+            throw new Error('Recipient must be a valid Solana address or a .sol domain');
         }
 
-        if (domain.length < 1) {
-            return { isValid: false, error: 'Domain name must be at least 1 character' };
+        // Program-derived addresses cannot sign, so a domain sent there would be stuck
+        if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+            throw new Error('Recipient address is not a wallet address');
         }
 
-        if (domain.length > 32) {
-            return { isValid: false, error: 'Domain name cannot exceed 32 characters' };
+        return publicKey;
+    }
+
+    // Registry owner of the name account (null when it does not exist)
+    async getDomainOwner(domainName) {
+        this.connection = this.walletManager.connection;
+        const { pubkey } = this.getSNSBindings().getDomainKeySync(domainName);
+
+        let state;
+        try {
+            state = await NameRegistryState.retrieve(this.connection, pubkey);
+        } catch (error) {
+            console.log(`Could not read ${domainName}.sol registry:`, error.message);
+            return null;
         }
 
-        // Check for valid characters (letters, numbers, hyphens)
-        const validCharRegex = /^[a-z0-9-]+$/;
-        if (!validCharRegex.test(domain)) {
-            return { isValid: false, error: 'Domain name can only contain lowercase letters, numbers, and hyphens' };
+        if (state.nftOwner) {
+            throw new Error(`${domainName}.sol is tokenized and must be transferred as an NFT`);
         }
 
-        // Cannot start or end with hyphen
-        if (domain.startsWith('-') || domain.endsWith('-')) {
-            return { isValid: false, error: 'Domain name cannot start or end with a hyphen' };
+        return state.registry.owner;
+    }
+
+    // Where a name points to, which may be a SOL record rather than the registry owner
+    async resolveDomain(domainName) {
+        this.connection = this.walletManager.connection;
+
+        // resolve() only knows the mainnet deployment
+        if (this.walletManager.getCluster().sns !== 'mainnet') {
+            return this.getDomainOwner(domainName);
+        }
+
+        try {
+            return await resolve(this.connection, domainName);
+        } catch (error) {
+            console.log(`Could not resolve ${domainName}.sol:`, error.message);
+            return null;
         }
+    }
+
+    // Keeps the registration in the local history and, with the backend, in its ledger.
+    // The purchase already went through, so a backend failure must not fail the registration
+    async recordRegistration(registration) {
+        let verification = null;
 
-        // Cannot have consecutive hyphens
-        if (domain.includes('--')) {
-            return { isValid: false, error: 'Domain name cannot contain consecutive hyphens' };
+        // The backend only records registrations of the signed-in wallet
+        if (this.api?.sessionToken) {
+            try {
+                ({ verification } = await this.api.recordRegistration(registration));
+            } catch (apiError) {
+                console.error('Failed to record registration with API:', apiError);
+            }
         }
 
-        return { isValid: true };
+        const { domain, network, owner, nameAccount, signature, paymentMethod, cost } = registration;
+        this.history.record({
+            domain,
+            network,
+            owner,
+            nameAccount,
+            signature,
+            paymentMethod,
+            cost,
+            status: verification?.status || 'confirmed'
+        });
+
+        return verification;
     }
 
-    calculatePrice(domainName) {
-        const length = domainName.length;
-        
-        if (length <= 2) {
-            return this.pricing[length] || this.pricing.default;
-        } else if (length === 3) {
-            return this.pricing[3];
-        } else if (length === 4) {
-            return this.pricing[4];
-        } else {
-            return this.pricing.default;
+    // Lets the backend announce the transfer to its webhooks and event stream.
+    // Needs a session, and like recordRegistration it must not fail the transfer
+    async reportTransfer(domainName, signature) {
+        if (!this.api?.sessionToken) {
+            return;
         }
+
+        try {
+            await this.api.reportTransfer({
+                domain: domainName,
+                network: this.walletManager.getCurrentNetwork(),
+                signature
+            });
+        } catch (apiError) {
+            console.error('Failed to report transfer to API:', apiError);
+        }
+    }
+
+    // A sent registration that failed on chain or expired, for the history
+    recordFailedRegistration({ domain, network, owner, nameAccount, signature, paymentMethod, cost }, error) {
+        this.history.record({
+            domain,
+            network,
+            owner,
+            nameAccount,
+            signature,
+            paymentMethod,
+            cost,
+            status: error.expired ? 'expired' : 'failed'
+        });
+    }
+
+    validateDomainName(domain) {
+        return validateDomainName(domain);
+    }
+
+    async getQuote(domainName, promoCode = null) {
+        const { price } = await this.priceFeed.getPrice();
+        return this.pricingEngine.quote(domainName, {
+            network: this.walletManager.getCurrentNetwork(),
+            promoCode,
+            solPrice: price
+        });
+    }
+
+    async calculatePrice(domainName) {
+        return (await this.getQuote(domainName)).total;
+    }
+
+    // Scans the name program for .sol accounts held directly by the owner (tokenized domains are not included)
+    async getOwnedDomains(owner = this.walletManager.publicKey) {
+        if (!owner) {
+            throw new Error('Wallet not connected');
+        }
+
+        this.connection = this.walletManager.connection;
+        const sns = this.getSNSBindings();
+
+        const accounts = await this.connection.getProgramAccounts(sns.nameProgramId, {
+            filters: [
+                { memcmp: { offset: 0, bytes: sns.rootDomainAccount.toBase58() } },
+                { memcmp: { offset: 32, bytes: owner.toBase58() } }
+            ]
+        });
+
+        let primaryDomain = null;
+        try {
+            const primary = await sns.getPrimaryDomain(this.connection, owner);
+            if (!primary.stale) {
+                primaryDomain = primary.domain.toBase58();
+            }
+        } catch (error) {
+            console.log('No primary domain set:', error.message);
+        }
+
+        const domains = await Promise.all(accounts.map(async ({ pubkey, account }) => {
+            const registry = NameRegistryState.deserialize(account.data);
+            let name = null;
+
+            try {
+                name = await sns.reverseLookup(this.connection, pubkey);
+            } catch (error) {
+                console.log('Reverse lookup failed for', pubkey.toBase58(), error.message);
+            }
+
+            return {
+                name,
+                nameAccount: pubkey.toBase58(),
+                owner: registry.owner.toBase58(),
+                parentName: registry.parentName.toBase58(),
+                class: registry.class.toBase58(),
+                dataSize: account.data.length - NameRegistryState.HEADER_LEN,
+                lamports: account.lamports,
+                isPrimary: pubkey.toBase58() === primaryDomain,
+                explorerUrl: this.walletManager.getExplorerAddressUrl(pubkey.toBase58())
+            };
+        }));
+
+        // Primary first, then alphabetical with unresolved names last
+        return domains.sort((a, b) =>
+            (b.isPrimary - a.isPrimary) ||
+            (a.name === null) - (b.name === null) ||
+            (a.name || '').localeCompare(b.name || '')
+        );
+    }
+
+    // The registrar charges its USD list price in USDC
+    calculateUSDCPrice(domainName) {
+        return getDomainPriceFromName(domainName);
+    }
+
+    /**
+     * What the registrar charges for domainName: its USD list price, that
+     * price in SOL at the current SOL/USD rate, and the lamports to wrap for
+     * it including slippage.
+     */
+    async getRegistrarPrice(domainName) {
+        const usd = this.calculateUSDCPrice(domainName);
+        const { price } = await this.priceFeed.getPrice();
+        const sol = usd / price;
+
+        return {
+            usd,
+            sol,
+            lamports: Math.ceil(sol * (1 + REGISTRAR_PRICE_SLIPPAGE) * LAMPORTS_PER_SOL)
+        };
+    }
+
+    async getUSDCAccount(owner) {
+        const { usdcMint } = this.getSNSBindings();
+        const address = getAssociatedTokenAddressSync(usdcMint, owner);
+
+        const accountInfo = await this.connection.getAccountInfo(address);
+        if (!accountInfo) {
+            throw new Error('No USDC token account found for this wallet. Please fund your wallet with USDC first.');
+        }
+
+        const { value } = await this.connection.getTokenAccountBalance(address, 'confirmed');
+
+        return {
+            address,
+            balance: value.uiAmount || 0
+        };
     }
 
     async convertSOLToUSD(solAmount) {
         try {
-            // Placeholder conversion rate - in production, fetch from API
-            const solPriceUSD = 100;
-            return (solAmount * solPriceUSD).toFixed(2);
+            const { price } = await this.priceFeed.getPrice();
+            return (solAmount * price).toFixed(2);
         } catch (error) {
             console.error('Price conversion error:', error);
             return 'N/A';
         }
     }
 
-    async searchSimilarDomains(baseDomain) {
+    // Checks ranked candidates in small chunks and reports each available one
+    // through onSuggestion as soon as its chunk is confirmed. Pass the returned
+    // cursor back in to load more.
+    async searchSimilarDomains(baseDomain, { cursor = 0, limit = 6, chunkSize = 20, onSuggestion = () => {} } = {}) {
+        // One price read for every candidate
+        const { price: solPrice } = await this.priceFeed.getPrice();
+        const network = this.walletManager.getCurrentNetwork();
+        const candidates = this.suggestionEngine.suggest(baseDomain, (name) => {
+            const quote = this.pricingEngine.quote(name, { network, solPrice });
+            return quote.reserved ? null : quote.total;
+        });
+
         const suggestions = [];
-        const maxSuggestions = 3;
-        
-        const suffixes = ['1', '2', 'x'];
-        
-        for (const suffix of suffixes) {
-            if (suggestions.length >= maxSuggestions) break;
-            const suggestion = `${baseDomain}${suffix}`;
-            if (this.validateDomainName(suggestion).isValid) {
-                try {
-                    const availability = await this.checkDomainAvailability(suggestion);
-                    if (availability.success && availability.available) {
-                        suggestions.push({
-                            domain: suggestion,
-                            price: availability.totalPrice
-                        });
-                    }
-                } catch (error) {
-                    console.log('Error checking suggestion:', suggestion, error);
+        let position = cursor;
+
+        while (suggestions.length < limit && position < candidates.length) {
+            const chunk = candidates.slice(position, position + chunkSize);
+            const entries = await this.lookup.lookup(chunk.map(candidate => candidate.domain));
+
+            for (const [index, entry] of entries.entries()) {
+                position++;
+                if (entry.registered) {
+                    continue;
+                }
+
+                const suggestion = {
+                    domain: entry.domain,
+                    kind: chunk[index].kind,
+                    price: Number((chunk[index].price + this.networkFee).toFixed(9))
+                };
+                suggestions.push(suggestion);
+                onSuggestion(suggestion);
+
+                if (suggestions.length === limit) {
+                    break;
                 }
             }
         }
-        
-        return suggestions;
+
+        return { suggestions, cursor: position, hasMore: position < candidates.length };
+    }
+
+    // Each cluster runs either the mainnet or the devnet deployment of the SNS programs
+    getSNSBindings() {
+        const cluster = this.walletManager.getCluster();
+
+        if (!cluster.sns) {
+            throw new Error(`SNS is not deployed on ${cluster.label}`);
+        }
+
+        if (cluster.sns === 'devnet') {
+            return {
+                registerDomainNameV2: devnet.bindings.registerDomainNameV2,
+                transferNameOwnership: devnet.bindings.transferNameOwnership,
+                createSubdomain: devnet.bindings.createSubdomain,
+                transferSubdomain: devnet.bindings.transferSubdomain,
+                createRecordV2Instruction: devnet.bindings.createRecordV2Instruction,
+                updateRecordV2Instruction: devnet.bindings.updateRecordV2Instruction,
+                deleteRecordV2: devnet.bindings.deleteRecordV2,
+                validateRecordV2Content: devnet.bindings.validateRecordV2Content,
+                getDomainKeySync: devnet.utils.getDomainKeySync,
+                reverseLookup: devnet.utils.reverseLookup,
+                getPrimaryDomain: devnet.utils.getPrimaryDomain,
+                usdcMint: devnet.constants.USDC_MINT,
+                nameProgramId: devnet.constants.NAME_PROGRAM_ID,
+                rootDomainAccount: devnet.constants.ROOT_DOMAIN_ACCOUNT
+            };
+        }
+
+        return {
+            registerDomainNameV2,
+            transferNameOwnership,
+            createSubdomain,
+            transferSubdomain,
+            createRecordV2Instruction,
+            updateRecordV2Instruction,
+            deleteRecordV2,
+            validateRecordV2Content,
+            getDomainKeySync,
+            reverseLookup,
+            getPrimaryDomain,
+            usdcMint: USDC_MINT,
+            nameProgramId: NAME_PROGRAM_ID,
+            rootDomainAccount: ROOT_DOMAIN_ACCOUNT
+        };
     }
 
     getExplorerUrl(signature) {
@@ -0,0 +1,207 @@
+import { ComputeBudgetProgram, LAMPORTS_PER_SOL, Transaction, VersionedTransaction } from '@solana/web3.js';
+
+// Percentile of the recent prioritization fees paid for the same accounts
+export const PRIORITY_LEVELS = {
+    low: 25,
+    medium: 50,
+    high: 75
+};
+
+// localStorage key remembering the chosen level: { level, microLamports }
+const PRIORITY_FEE_KEY = 'sns:priorityFee';
+
+const MAX_COMPUTE_UNITS = 1400000;
+
+// Headroom over the simulated usage, since account state can change before landing
+const COMPUTE_UNIT_MARGIN = 1.1;
+
+function isComputeBudgetInstruction(instruction) {
+    return instruction.programId.equals(ComputeBudgetProgram.programId);
+}
+
+// A stored setting is only used when setPriority would have accepted it
+function isValidSetting(setting) {
+    if (setting?.level === 'custom') {
+        return Number.isInteger(setting.microLamports) && setting.microLamports >= 0;
+    }
+    return Object.hasOwn(PRIORITY_LEVELS, setting?.level);
+}
+
+function computeBudgetInstructions(units, microLamports) {
+    return [
+        ComputeBudgetProgram.setComputeUnitLimit({ units }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports })
+    ];
+}
+
+// A copy of transaction with the compute budget instructions first
+export function withComputeBudget(transaction, { units, microLamports }) {
+    return new Transaction({
+        feePayer: transaction.feePayer,
+        recentBlockhash: transaction.recentBlockhash
+    }).add(
+        ...computeBudgetInstructions(units, microLamports),
+        ...transaction.instructions.filter(instruction => !isComputeBudgetInstruction(instruction))
+    );
+}
+
+// Placeholder budget instructions, so size checks leave room for the real ones
+export function getComputeBudgetPlaceholder() {
+    return computeBudgetInstructions(MAX_COMPUTE_UNITS, 0);
+}
+
+function percentile(sorted, rank) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.floor((rank / 100) * sorted.length))];
+}
+
+// The failing log line makes a better message than the raw error; the full
+// logs ride along for the transaction preview
+export function simulationError(value) {
+    const reason = value.logs?.findLast(line => /error|failed/i.test(line)) || JSON.stringify(value.err);
+    const error = new Error(`Transaction simulation failed: ${reason}`);
+    error.logs = value.logs || [];
+    return error;
+}
+
+/**
+ * Sizes the compute budget of outgoing transactions: the unit limit comes
+ * from a simulation, the unit price from the chosen priority level.
+ */
+export class FeeEstimator {
+    constructor(walletManager) {
+        this.walletManager = walletManager;
+        this.setting = { level: 'medium', microLamports: null };
+
+        if (typeof localStorage !== 'undefined') {
+            try {
+                const stored = JSON.parse(localStorage.getItem(PRIORITY_FEE_KEY) || 'null');
+                if (isValidSetting(stored)) {
+                    this.setting = { level: stored.level, microLamports: stored.level === 'custom' ? stored.microLamports : null };
+                }
+            } catch (error) {
+                // An unreadable setting falls back to medium
+            }
+        }
+    }
+
+    // level is low, medium, high or custom; custom uses microLamports per compute unit
+    setPriority(level, microLamports = null) {
+        if (level !== 'custom' && !PRIORITY_LEVELS[level]) {
+            throw new Error(`Unknown priority level: ${level}`);
+        }
+
+        if (level === 'custom' && !(Number.isInteger(microLamports) && microLamports >= 0)) {
+            throw new Error('Enter the custom priority fee as a whole number of micro-lamports');
+        }
+
+        this.setting = { level, microLamports: level === 'custom' ? microLamports : null };
+        localStorage.setItem(PRIORITY_FEE_KEY, JSON.stringify(this.setting));
+    }
+
+    // Micro-lamports per compute unit for each level, from the fees recently
+    // paid to write the accounts this transaction writes
+    async getPriorityFeeLevels(transaction) {
+        const writable = [...new Map(transaction.instructions
+            .flatMap(instruction => instruction.keys)
+            .filter(key => key.isWritable)
+            .map(key => [key.pubkey.toBase58(), key.pubkey])).values()].slice(0, 128);
+
+        const recent = await this.walletManager.withRpcFailover(
+            connection => connection.getRecentPrioritizationFees({ lockedWritableAccounts: writable })
+        );
+        const sorted = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+
+        return Object.fromEntries(
+            Object.entries(PRIORITY_LEVELS).map(([level, rank]) => [level, percentile(sorted, rank)])
+        );
+    }
+
+    async getMicroLamports(transaction) {
+        const { level, microLamports } = this.setting;
+        if (level === 'custom') {
+            return microLamports;
+        }
+
+        const levels = await this.getPriorityFeeLevels(transaction);
+        return levels[level];
+    }
+
+    /**
+     * Raw simulateTransaction result for transaction under the given compute
+     * budget. addresses asks for the post-simulation state of those accounts.
+     */
+    async simulate(transaction, { units = MAX_COMPUTE_UNITS, microLamports = 0, addresses = [] } = {}) {
+        const message = withComputeBudget(transaction, { units, microLamports }).compileMessage();
+        const config = {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            commitment: 'confirmed'
+        };
+
+        if (addresses.length > 0) {
+            config.accounts = { encoding: 'base64', addresses };
+        }
+
+        const { value } = await this.walletManager.withRpcFailover(
+            connection => connection.simulateTransaction(new VersionedTransaction(message), config)
+        );
+        return value;
+    }
+
+    // Simulates with the maximum limit and returns the units used plus headroom
+    async estimateComputeUnits(transaction, microLamports) {
+        const value = await this.simulate(transaction, { microLamports });
+
+        if (value.err) {
+            throw simulationError(value);
+        }
+
+        return Math.min(MAX_COMPUTE_UNITS, Math.ceil(value.unitsConsumed * COMPUTE_UNIT_MARGIN));
+    }
+
+    /**
+     * Returns a copy of transaction (which needs its fee payer and blockhash set)
+     * with ComputeBudget instructions prepended, along with the fee it will pay
+     * in lamports as reported by getFeeForMessage.
+     */
+    async prepare(transaction) {
+        const microLamports = await this.getMicroLamports(transaction);
+        const units = await this.estimateComputeUnits(transaction, microLamports);
+        const budgeted = withComputeBudget(transaction, { units, microLamports });
+
+        const { value: fee } = await this.walletManager.withRpcFailover(
+            connection => connection.getFeeForMessage(budgeted.compileMessage(), 'confirmed')
+        );
+
+        if (fee === null) {
+            throw new Error('Blockhash expired while estimating the network fee');
+        }
+
+        return {
+            transaction: budgeted,
+            units,
+            microLamports,
+            fee,
+            priorityFee: Math.ceil((units * microLamports) / 1000000),
+            level: this.setting.level
+        };
+    }
+
+    // Fee of transaction in SOL, for price breakdowns
+    async estimate(transaction) {
+        const { blockhash } = await this.walletManager.withRpcFailover(
+            connection => connection.getLatestBlockhash('confirmed')
+        );
+
+        const unsigned = new Transaction({
+            feePayer: this.walletManager.publicKey,
+            recentBlockhash: blockhash
+        }).add(...transaction.instructions);
+
+        const prepared = await this.prepare(unsigned);
+        return { ...prepared, feeSol: prepared.fee / LAMPORTS_PER_SOL };
+    }
+}
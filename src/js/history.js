@@ -0,0 +1,112 @@
+import { getCluster, getExplorerUrl } from './clusters.js';
+
+// localStorage key holding registrations made from this browser, newest first
+const HISTORY_KEY = 'sns:history';
+const MAX_ENTRIES = 500;
+
+// Column order of the CSV export
+const EXPORT_FIELDS = ['createdAt', 'domain', 'network', 'cost', 'paymentMethod', 'status', 'signature', 'owner', 'nameAccount', 'explorerUrl'];
+
+function loadHistory() {
+    if (typeof localStorage === 'undefined') {
+        return [];
+    }
+
+    try {
+        return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Batched transactions hold several registrations, so the key includes the domain
+function entryKey(entry) {
+    return `${entry.signature}:${entry.domain}`;
+}
+
+function toRow(entry, source) {
+    const cluster = getCluster(entry.network);
+
+    return {
+        domain: entry.domain,
+        network: entry.network,
+        owner: entry.owner,
+        nameAccount: entry.nameAccount || null,
+        signature: entry.signature,
+        paymentMethod: entry.paymentMethod,
+        cost: Number(entry.cost),
+        status: entry.status,
+        createdAt: entry.createdAt,
+        explorerUrl: cluster ? getExplorerUrl(cluster, `tx/${entry.signature}`) : null,
+        source
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Past registrations of a wallet. Every registration made from this browser
+ * is kept locally; with the backend configured, its ledger is the source of
+ * truth and local entries only fill in what it does not know about.
+ */
+export class RegistrationHistory {
+    constructor(api = null) {
+        this.api = api;
+    }
+
+    // entry: { domain, network, owner, nameAccount, signature, paymentMethod, cost, status }
+    record(entry) {
+        const history = loadHistory().filter(existing => entryKey(existing) !== entryKey(entry));
+        history.unshift({ ...entry, createdAt: entry.createdAt || new Date().toISOString() });
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, MAX_ENTRIES)));
+    }
+
+    getLocal(owner) {
+        return loadHistory()
+            .filter(entry => entry.owner === owner)
+            .map(entry => toRow(entry, 'local'));
+    }
+
+    /**
+     * Rows for owner, newest first. useBackend needs a signed-in session for
+     * owner (see AuthManager.ensureSession); without it only local entries count.
+     */
+    async load(owner, { useBackend = false } = {}) {
+        const local = this.getLocal(owner);
+        if (!useBackend || !this.api) {
+            return local;
+        }
+
+        const ledger = (await this.api.getRegistrations()).map(entry => toRow(entry, 'ledger'));
+        const known = new Set(ledger.map(entryKey));
+
+        return [...ledger, ...local.filter(row => !known.has(entryKey(row)))]
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // from and to are YYYY-MM-DD dates, both inclusive
+    filter(rows, { from = '', to = '', network = '', status = '' } = {}) {
+        const start = from ? new Date(`${from}T00:00:00`) : null;
+        const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+        return rows.filter((row) => {
+            const createdAt = new Date(row.createdAt);
+            return (!start || createdAt >= start) &&
+                (!end || createdAt <= end) &&
+                (!network || row.network === network) &&
+                (!status || row.status === status);
+        });
+    }
+
+    toCSV(rows) {
+        const lines = rows.map(row => EXPORT_FIELDS.map(field => csvCell(row[field])).join(','));
+        return [EXPORT_FIELDS.join(','), ...lines].join('\n');
+    }
+
+    toJSON(rows) {
+        return JSON.stringify(rows.map(row => Object.fromEntries(EXPORT_FIELDS.map(field => [field, row[field]]))), null, 2);
+    }
+}
@@ -0,0 +1,85 @@
+import { NameRegistryState } from '@bonfida/spl-name-service';
+
+// getMultipleAccountsInfo accepts at most 100 keys per request
+const MAX_KEYS_PER_REQUEST = 100;
+
+// Resolves name accounts in bulk: keys are derived locally and fetched in
+// chunks, and results are cached per network for a short while so repeated
+// checks of the same names (suggestions, bulk mode) stay cheap.
+export class NameLookup {
+    constructor(walletManager, getBindings, { ttl = 30000, chunkSize = MAX_KEYS_PER_REQUEST } = {}) {
+        this.walletManager = walletManager;
+        this.getBindings = getBindings;
+        this.ttl = ttl;
+        this.chunkSize = Math.min(chunkSize, MAX_KEYS_PER_REQUEST);
+        this.cache = new Map();
+    }
+
+    getNetworkCache(network = this.walletManager.getCurrentNetwork()) {
+        if (!this.cache.has(network)) {
+            this.cache.set(network, new Map());
+        }
+        return this.cache.get(network);
+    }
+
+    // Returns one { domain, nameAccount, registered, owner } entry per name, in
+    // input order. Throws when the accounts cannot be read: a failed lookup must
+    // never be mistaken for an unregistered name.
+    async lookup(domainNames) {
+        const network = this.walletManager.getCurrentNetwork();
+        const cache = this.getNetworkCache(network);
+        const now = Date.now();
+        const names = [...new Set(domainNames)];
+
+        const missing = names.filter(name => {
+            const cached = cache.get(name);
+            return !cached || cached.expiresAt <= now;
+        });
+
+        if (missing.length > 0) {
+            const { getDomainKeySync } = this.getBindings();
+            const keys = missing.map(name => getDomainKeySync(name).pubkey);
+
+            for (let start = 0; start < missing.length; start += this.chunkSize) {
+                const chunk = keys.slice(start, start + this.chunkSize);
+                const accounts = await this.walletManager.withRpcFailover(
+                    connection => connection.getMultipleAccountsInfo(chunk)
+                );
+
+                if (!Array.isArray(accounts) || accounts.length !== chunk.length) {
+                    throw new Error('Malformed getMultipleAccountsInfo response');
+                }
+
+                accounts.forEach((account, index) => {
+                    const name = missing[start + index];
+                    cache.set(name, {
+                        entry: {
+                            domain: name,
+                            nameAccount: chunk[index].toBase58(),
+                            registered: Boolean(account),
+                            owner: account ? NameRegistryState.deserialize(account.data).owner.toBase58() : null
+                        },
+                        expiresAt: now + this.ttl
+                    });
+                });
+            }
+        }
+
+        return domainNames.map(name => cache.get(name).entry);
+    }
+
+    async lookupOne(domainName) {
+        const [entry] = await this.lookup([domainName]);
+        return entry;
+    }
+
+    // Drops cached entries after this app changes them on chain
+    invalidate(domainNames, network = this.walletManager.getCurrentNetwork()) {
+        const cache = this.getNetworkCache(network);
+        domainNames.forEach(name => cache.delete(name));
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,77 @@
+// IndexedDB database and object store of sent-but-unconfirmed registrations, keyed by signature
+const DB_NAME = 'sns-registration';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingTransactions';
+
+/**
+ * Registrations that were signed and sent but not yet confirmed, kept across
+ * page loads so tracking can resume after a reload. Without IndexedDB
+ * (private windows in some browsers, Node) the store is a no-op.
+ */
+export class PendingTransactionStore {
+    constructor() {
+        this.db = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'signature' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Resolves with the request's result once the IndexedDB transaction commits
+    async run(mode, operation) {
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Writes are best effort: losing one only loses the resume after a reload.
+    // entry: { signature, lastValidBlockHeight, domain, network, owner, nameAccount, quote, paymentMethod, cost, sentAt }
+    // A bulk batch has batch: [{ domain, nameAccount, quote, cost }] in place of the per-name fields
+    async add(entry) {
+        try {
+            await this.run('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.log('Could not save the pending transaction:', error?.message);
+        }
+    }
+
+    async remove(signature) {
+        try {
+            await this.run('readwrite', store => store.delete(signature));
+        } catch (error) {
+            console.log('Could not remove the pending transaction:', error?.message);
+        }
+    }
+
+    // Oldest first
+    async list(network = null) {
+        const entries = (await this.run('readonly', store => store.getAll())) || [];
+        return entries
+            .filter(entry => !network || entry.network === network)
+            .sort((a, b) => a.sentAt - b.sentAt);
+    }
+}
@@ -0,0 +1,266 @@
+import {
+    ComputeBudgetInstruction,
+    ComputeBudgetProgram,
+    LAMPORTS_PER_SOL,
+    PublicKey,
+    SystemInstruction,
+    SystemProgram
+} from '@solana/web3.js';
+import {
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    TokenInstruction
+} from '@solana/spl-token';
+import {
+    DEFAULT_PYTH_PUSH_PROGRAM,
+    NAME_PROGRAM_ID,
+    REGISTER_PROGRAM_ID,
+    TOKENS_SYM_MINT,
+    devnet
+} from '@bonfida/spl-name-service';
+import { simulationError } from './fees.js';
+
+// Programs the app's transactions call, by address
+const PROGRAM_NAMES = new Map([
+    [SystemProgram.programId.toBase58(), 'System Program'],
+    [ComputeBudgetProgram.programId.toBase58(), 'Compute Budget'],
+    [TOKEN_PROGRAM_ID.toBase58(), 'Token Program'],
+    [TOKEN_2022_PROGRAM_ID.toBase58(), 'Token-2022'],
+    [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(), 'Associated Token Account'],
+    [NAME_PROGRAM_ID.toBase58(), 'SNS Name Service'],
+    [REGISTER_PROGRAM_ID.toBase58(), 'SNS Registrar'],
+    [devnet.constants.REGISTER_PROGRAM_ID.toBase58(), 'SNS Registrar'],
+    ['HP3D4D1ZCmohQGFVms2SS4LCANgJyksBf5s1F77FuFjZ', 'SNS Records'],
+    [devnet.constants.SNS_RECORDS_ID.toBase58(), 'SNS Records'],
+    [DEFAULT_PYTH_PUSH_PROGRAM.toBase58(), 'Pyth Price Feeds'],
+    ['MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', 'Memo']
+]);
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID.toBase58(), TOKEN_2022_PROGRAM_ID.toBase58()];
+
+// Instruction tags of the name service and associated token programs
+const NAME_INSTRUCTIONS = ['Create', 'Update', 'Transfer', 'Delete', 'Realloc'];
+const ASSOCIATED_TOKEN_INSTRUCTIONS = ['Create', 'CreateIdempotent', 'RecoverNested'];
+
+// SPL token account layout: mint (32), owner (32), amount (u64). Token-2022
+// accounts with extensions are longer and mark themselves with type 2 at 165.
+const TOKEN_ACCOUNT_SIZE = 165;
+const TOKEN_ACCOUNT_TYPE = 2;
+const MINT_DECIMALS_OFFSET = 44;
+
+function formatSol(lamports) {
+    return Number((lamports / LAMPORTS_PER_SOL).toFixed(9));
+}
+
+function describeInstruction(instruction) {
+    const programId = instruction.programId.toBase58();
+    const data = instruction.data;
+    let name = 'Unknown instruction';
+    let details = '';
+
+    try {
+        if (programId === SystemProgram.programId.toBase58()) {
+            name = SystemInstruction.decodeInstructionType(instruction);
+            if (name === 'Transfer') {
+                const { lamports, toPubkey } = SystemInstruction.decodeTransfer(instruction);
+                details = `${formatSol(Number(lamports))} SOL to ${toPubkey.toBase58()}`;
+            } else if (name === 'Create') {
+                const { newAccountPubkey, space } = SystemInstruction.decodeCreateAccount(instruction);
+                details = `${newAccountPubkey.toBase58()} (${space} bytes)`;
+            }
+        } else if (programId === ComputeBudgetProgram.programId.toBase58()) {
+            name = ComputeBudgetInstruction.decodeInstructionType(instruction);
+            if (name === 'SetComputeUnitLimit') {
+                details = `${ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units} units`;
+            } else if (name === 'SetComputeUnitPrice') {
+                details = `${ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports} micro-lamports per unit`;
+            }
+        } else if (TOKEN_PROGRAMS.includes(programId)) {
+            name = TokenInstruction[data[0]] || name;
+        } else if (programId === ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()) {
+            name = ASSOCIATED_TOKEN_INSTRUCTIONS[data.length === 0 ? 0 : data[0]] || name;
+        } else if (programId === NAME_PROGRAM_ID.toBase58()) {
+            name = NAME_INSTRUCTIONS[data[0]] || name;
+        }
+    } catch (error) {
+        // Undecodable data keeps the generic name
+    }
+
+    return { programId, program: PROGRAM_NAMES.get(programId) || programId, name, details };
+}
+
+// Instructions grouped by program, in order of first appearance
+export function describeInstructions(instructions) {
+    const groups = new Map();
+
+    instructions.map(describeInstruction).forEach(({ programId, program, name, details }) => {
+        if (!groups.has(programId)) {
+            groups.set(programId, { programId, program, instructions: [] });
+        }
+        groups.get(programId).instructions.push({ name, details });
+    });
+
+    return [...groups.values()];
+}
+
+// getMultipleAccountsInfo and simulation results in one shape
+function normalizeAccount(info) {
+    if (!info || info.lamports === 0) {
+        return null;
+    }
+
+    const owner = typeof info.owner === 'string' ? info.owner : info.owner.toBase58();
+    const data = Array.isArray(info.data)
+        ? Uint8Array.from(atob(info.data[0]), char => char.charCodeAt(0))
+        : info.data;
+    return { lamports: info.lamports, owner, data };
+}
+
+function parseTokenAccount(account) {
+    if (!account || !TOKEN_PROGRAMS.includes(account.owner)) {
+        return null;
+    }
+
+    const { data } = account;
+    if (data.length < TOKEN_ACCOUNT_SIZE || (data.length > TOKEN_ACCOUNT_SIZE && data[TOKEN_ACCOUNT_SIZE] !== TOKEN_ACCOUNT_TYPE)) {
+        return null;
+    }
+
+    return {
+        mint: new PublicKey(data.subarray(0, 32)).toBase58(),
+        owner: new PublicKey(data.subarray(32, 64)).toBase58(),
+        amount: new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(64, true)
+    };
+}
+
+function tokenSymbol(mint) {
+    return TOKENS_SYM_MINT.get(mint) || devnet.constants.TOKENS_SYM_MINT.get(mint) || null;
+}
+
+/**
+ * Simulates outgoing transactions and turns the result into something a
+ * person can approve: what each program is asked to do, how balances move,
+ * which accounts get created and the rent they lock up.
+ */
+export class TransactionPreviewer {
+    constructor(walletManager) {
+        this.walletManager = walletManager;
+    }
+
+    /**
+     * Sizes the compute budget for transaction (fee payer and blockhash set)
+     * and simulates the result. A failed simulation comes back as a preview
+     * with `error` and `logs` set instead of throwing, so it can be shown.
+     */
+    async preview(transaction) {
+        const wallet = this.walletManager.publicKey.toBase58();
+        let budget;
+
+        try {
+            budget = await this.walletManager.fees.prepare(transaction);
+        } catch (error) {
+            if (!error.logs) {
+                throw error;
+            }
+            return this.failed(transaction, error);
+        }
+
+        const addresses = budget.transaction.compileMessage().accountKeys.map(key => key.toBase58());
+        const before = await this.walletManager.withRpcFailover(
+            connection => connection.getMultipleAccountsInfo(addresses.map(address => new PublicKey(address)), 'confirmed')
+        );
+        const simulation = await this.walletManager.fees.simulate(budget.transaction, {
+            units: budget.units,
+            microLamports: budget.microLamports,
+            addresses
+        });
+
+        if (simulation.err) {
+            return this.failed(budget.transaction, simulationError(simulation));
+        }
+
+        const accounts = addresses.map((address, index) => ({
+            address,
+            before: normalizeAccount(before[index]),
+            after: normalizeAccount(simulation.accounts?.[index])
+        }));
+
+        const created = accounts.filter(({ before, after }) => !before && after);
+        const createdAccounts = created.map(({ address, after }) => ({
+            address,
+            owner: PROGRAM_NAMES.get(after.owner) || after.owner,
+            space: after.data.length,
+            rent: formatSol(after.lamports)
+        }));
+
+        // Rent deposits show up under created accounts rather than as transfers
+        const solChanges = accounts
+            .filter(({ before, after }) => before && (after?.lamports || 0) !== before.lamports)
+            .map(({ address, before, after }) => ({
+                address,
+                isWallet: address === wallet,
+                change: formatSol((after?.lamports || 0) - before.lamports)
+            }));
+
+        const tokenChanges = await this.getTokenChanges(accounts, wallet);
+
+        return {
+            transaction: budget.transaction,
+            programs: describeInstructions(budget.transaction.instructions),
+            solChanges,
+            tokenChanges,
+            createdAccounts,
+            rent: formatSol(created.reduce((sum, { after }) => sum + after.lamports, 0)),
+            fee: budget.fee,
+            feeSol: formatSol(budget.fee),
+            units: budget.units,
+            microLamports: budget.microLamports,
+            logs: simulation.logs || [],
+            error: null
+        };
+    }
+
+    failed(transaction, error) {
+        return {
+            transaction: null,
+            programs: describeInstructions(transaction.instructions),
+            solChanges: [],
+            tokenChanges: [],
+            createdAccounts: [],
+            rent: 0,
+            fee: null,
+            feeSol: null,
+            logs: error.logs,
+            error: error.message
+        };
+    }
+
+    async getTokenChanges(accounts, wallet) {
+        const changes = accounts.map(({ address, before, after }) => {
+            const previous = parseTokenAccount(before);
+            const next = parseTokenAccount(after);
+            const { mint, owner } = next || previous || {};
+            const delta = (next?.amount || 0n) - (previous?.amount || 0n);
+
+            return mint && delta !== 0n ? { address, mint, owner, isWallet: owner === wallet, delta } : null;
+        }).filter(Boolean);
+
+        if (changes.length === 0) {
+            return [];
+        }
+
+        // Amounts are raw units until scaled by the mint's decimals
+        const mints = [...new Set(changes.map(change => change.mint))];
+        const mintInfos = await this.walletManager.withRpcFailover(
+            connection => connection.getMultipleAccountsInfo(mints.map(mint => new PublicKey(mint)), 'confirmed')
+        );
+        const decimals = new Map(mints.map((mint, index) => [mint, mintInfos[index]?.data[MINT_DECIMALS_OFFSET] ?? 0]));
+
+        return changes.map(({ delta, ...change }) => ({
+            ...change,
+            symbol: tokenSymbol(change.mint),
+            change: Number(delta) / 10 ** decimals.get(change.mint)
+        }));
+    }
+}
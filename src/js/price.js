@@ -0,0 +1,139 @@
+import { getPythFeedAccountKey, PYTH_PULL_FEEDS } from '@bonfida/spl-name-service';
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Pyth PriceUpdateV2 account: discriminator (8) + write authority (32) + verification level
+function decodePriceUpdate(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = 40;
+
+    // A "Partial" verification level carries an extra num_signatures byte
+    offset += view.getUint8(offset) === 0 ? 2 : 1;
+
+    // Skip the 32-byte feed id
+    offset += 32;
+
+    const price = view.getBigInt64(offset, true);
+    const confidence = view.getBigUint64(offset + 8, true);
+    const exponent = view.getInt32(offset + 16, true);
+    const publishTime = view.getBigInt64(offset + 20, true);
+    const scale = 10 ** exponent;
+
+    return {
+        price: Number(price) * scale,
+        confidence: Number(confidence) * scale,
+        publishTime: Number(publishTime) * 1000
+    };
+}
+
+function withTimeout(promise, ms, message) {
+    const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error(message)), ms)
+    );
+    return Promise.race([promise, timeoutPromise]);
+}
+
+// Reads the SOL/USD feed the SNS registrar itself prices against
+export class PythPriceSource {
+    constructor(getConnection, feedId = PYTH_PULL_FEEDS.get(WRAPPED_SOL_MINT)) {
+        this.name = 'Pyth';
+        this.getConnection = getConnection;
+        [this.priceAccount] = getPythFeedAccountKey(0, feedId);
+    }
+
+    async fetchPrice() {
+        const connection = this.getConnection();
+        if (!connection) {
+            throw new Error('No RPC connection');
+        }
+
+        const accountInfo = await withTimeout(
+            connection.getAccountInfo(this.priceAccount, 'confirmed'),
+            5000,
+            'Price account request timed out'
+        );
+
+        if (!accountInfo) {
+            throw new Error(`Price account ${this.priceAccount.toBase58()} not found`);
+        }
+
+        return decodePriceUpdate(accountInfo.data);
+    }
+}
+
+export class HttpPriceSource {
+    constructor(
+        url = 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd&include_last_updated_at=true',
+        parse = (body) => ({
+            price: body.solana.usd,
+            confidence: null,
+            publishTime: body.solana.last_updated_at * 1000
+        }),
+        name = 'CoinGecko'
+    ) {
+        this.name = name;
+        this.url = url;
+        this.parse = parse;
+    }
+
+    async fetchPrice() {
+        const response = await withTimeout(fetch(this.url), 5000, 'Price request timed out');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return this.parse(await response.json());
+    }
+}
+
+export class PriceFeed {
+    constructor(sources, { cacheTTL = 30000, maxPriceAge = 120000 } = {}) {
+        this.sources = sources;
+        this.cacheTTL = cacheTTL;
+        this.maxPriceAge = maxPriceAge;
+        this.cachedQuote = null;
+        this.cachedAt = 0;
+    }
+
+    // Sources are tried in order until one returns a fresh price
+    async getPrice() {
+        if (this.cachedQuote && Date.now() - this.cachedAt < this.cacheTTL) {
+            return this.withAge(this.cachedQuote);
+        }
+
+        const errors = [];
+
+        for (const source of this.sources) {
+            try {
+                const quote = await source.fetchPrice();
+                const age = Date.now() - quote.publishTime;
+
+                if (!(quote.price > 0)) {
+                    throw new Error('Invalid price');
+                }
+
+                if (age > this.maxPriceAge) {
+                    throw new Error(`Stale price (${Math.round(age / 1000)}s old)`);
+                }
+
+                this.cachedQuote = { ...quote, source: source.name };
+                this.cachedAt = Date.now();
+
+                return this.withAge(this.cachedQuote);
+            } catch (error) {
+                console.log(`❌ ${source.name} price source failed:`, error.message);
+                errors.push(`${source.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`No SOL/USD price available (${errors.join('; ')})`);
+    }
+
+    getLastQuote() {
+        return this.cachedQuote ? this.withAge(this.cachedQuote) : null;
+    }
+
+    withAge(quote) {
+        return { ...quote, age: Date.now() - quote.publishTime };
+    }
+}
@@ -0,0 +1,161 @@
+import { getDomainPriceFromName } from '@bonfida/spl-name-service';
+import defaultRules from '../config/pricing-rules.json' with { type: 'json' };
+import { getCluster } from './clusters.js';
+
+const LAMPORT_PRECISION = 1e9;
+
+function roundAmount(amount) {
+    return Math.round(amount * LAMPORT_PRECISION) / LAMPORT_PRECISION;
+}
+
+export class PricingEngine {
+    constructor(rules = defaultRules) {
+        this.rules = rules;
+    }
+
+    // Network overrides replace the matching top-level rule sections. Clusters
+    // without their own entry are priced like the SNS deployment they run.
+    getRules(network) {
+        const networks = this.rules.networks || {};
+        const overrides = networks[network] || networks[getCluster(network)?.sns] || {};
+        return { ...this.rules, ...overrides };
+    }
+
+    isReserved(domainName, network = 'mainnet') {
+        return this.getRules(network).reservedWords.includes(domainName);
+    }
+
+    /**
+     * The first line is what the registrar charges: its USD list price,
+     * converted at solPrice (USD per SOL). The length tier, premium names and
+     * surcharges are app fees on top, paid to feeRecipient in their own
+     * transfer and only charged when one is configured; promo codes discount
+     * those fees only.
+     */
+    quote(domainName, { network = 'mainnet', promoCode = null, now = new Date(), solPrice } = {}) {
+        const rules = this.getRules(network);
+        const quote = {
+            domain: domainName,
+            network,
+            currency: rules.currency,
+            reserved: false,
+            registrarPrice: null,
+            feeRecipient: rules.feeRecipient,
+            lineItems: [],
+            promoCode: null,
+            promoError: null,
+            fee: 0,
+            total: 0
+        };
+
+        if (this.isReserved(domainName, network)) {
+            quote.reserved = true;
+            return quote;
+        }
+
+        if (!(solPrice > 0)) {
+            throw new Error('A SOL/USD price is needed to quote the registrar price');
+        }
+
+        const usd = getDomainPriceFromName(domainName);
+        quote.registrarPrice = { usd, sol: roundAmount(usd / solPrice) };
+        quote.lineItems.push({ id: 'registrar', label: `SNS registrar price ($${usd})`, amount: quote.registrarPrice.sol });
+
+        const fees = rules.feeRecipient ? this.getAppFees(rules, domainName) : [];
+        quote.lineItems.push(...fees);
+
+        if (promoCode) {
+            const promo = this.resolvePromoCode(rules, promoCode, this.sumLineItems(fees), now);
+            if (promo.error) {
+                quote.promoError = promo.error;
+            } else {
+                const discount = { id: 'promo', label: `Promo code ${promo.code}`, amount: -promo.discount };
+                quote.promoCode = promo.code;
+                quote.lineItems.push(discount);
+                fees.push(discount);
+            }
+        }
+
+        quote.fee = Math.max(0, this.sumLineItems(fees));
+        quote.total = roundAmount(quote.registrarPrice.sol + quote.fee);
+        return quote;
+    }
+
+    getAppFees(rules, domainName) {
+        const length = [...domainName].length;
+        const tier = rules.lengthTiers.find(t => t.maxLength === null || length <= t.maxLength);
+        const fees = [{ id: 'length', label: `${tier.label} fee`, amount: tier.price }];
+
+        if (rules.premiumWords.words.includes(domainName)) {
+            fees.push({ id: 'premium', label: 'Premium name fee', amount: rules.premiumWords.surcharge });
+        }
+
+        for (const surcharge of rules.surcharges) {
+            const pattern = new RegExp(surcharge.pattern, surcharge.flags);
+            if (pattern.test(domainName)) {
+                fees.push({ id: surcharge.id, label: `${surcharge.label} fee`, amount: surcharge.amount });
+            }
+        }
+
+        return fees;
+    }
+
+    // Subdomains are created by the parent owner; any fee goes to feeRecipient
+    // and the name account rent is shown as a refundable deposit
+    quoteSubdomain(subdomainName, { network = 'mainnet', rentLamports = 0 } = {}) {
+        const rules = this.getRules(network).subdomains;
+        const label = subdomainName.split('.')[0];
+        const quote = {
+            domain: subdomainName,
+            network,
+            currency: 'SOL',
+            reserved: false,
+            space: rules.space,
+            feeRecipient: rules.feeRecipient,
+            lineItems: [],
+            fee: 0,
+            total: 0
+        };
+
+        if (rules.reservedWords.includes(label)) {
+            quote.reserved = true;
+            return quote;
+        }
+
+        const length = [...label].length;
+        const tier = rules.lengthTiers.find(t => t.maxLength === null || length <= t.maxLength);
+        quote.lineItems.push({ id: 'length', label: tier.label, amount: tier.price });
+        quote.fee = this.sumLineItems(quote.lineItems);
+
+        quote.lineItems.push({ id: 'rent', label: 'Rent deposit (refunded on delete)', amount: rentLamports / LAMPORT_PRECISION });
+        quote.total = this.sumLineItems(quote.lineItems);
+        return quote;
+    }
+
+    resolvePromoCode(rules, promoCode, subtotal, now) {
+        const code = promoCode.trim().toUpperCase();
+        const promo = rules.promoCodes?.[code];
+
+        if (!promo) {
+            return { error: `Promo code ${code} is not valid` };
+        }
+
+        if (promo.expiresAt && new Date(promo.expiresAt) < now) {
+            return { error: `Promo code ${code} has expired` };
+        }
+
+        if (subtotal <= 0) {
+            return { error: `Promo code ${code} only discounts app fees, and none are charged on this network` };
+        }
+
+        const discount = promo.type === 'percent'
+            ? subtotal * promo.value / 100
+            : Math.min(promo.value, subtotal);
+
+        return { code, discount: roundAmount(discount) };
+    }
+
+    sumLineItems(lineItems) {
+        return roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    }
+}
@@ -0,0 +1,299 @@
+import { Transaction, PublicKey, PACKET_DATA_SIZE } from '@solana/web3.js';
+import {
+    Record,
+    RecordVersion,
+    serializeRecordV2Content,
+    deserializeRecordV2Content
+} from '@bonfida/spl-name-service';
+
+// Name registry header (96) followed by the SNS record header (8)
+const RECORD_HEADER_OFFSET = 96;
+const RECORD_HEADER_LEN = 8;
+
+// Byte length of the staleness / right of association ids, per validation type
+const VALIDATION_LENGTHS = [0, 32, 20, 32];
+const SOLANA_VALIDATION = 1;
+
+const EVM_ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+function validatePublicKey(value) {
+    try {
+        new PublicKey(value);
+        return null;
+    } catch (error) {
+        return 'Must be a valid Solana address';
+    }
+}
+
+function validateUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? null : 'URL must start with http:// or https://';
+    } catch (error) {
+        return 'Must be a valid URL';
+    }
+}
+
+// Record types the editor exposes, in display order
+export const RECORD_TYPES = [
+    {
+        record: Record.SOL,
+        label: 'SOL Address',
+        placeholder: 'Solana wallet address',
+        validate: validatePublicKey
+    },
+    {
+        record: Record.ETH,
+        label: 'ETH Address',
+        placeholder: '0x...',
+        validate: (value) => EVM_ADDRESS_REGEX.test(value) ? null : 'Must be a 0x-prefixed 20-byte hex address'
+    },
+    {
+        record: Record.Url,
+        label: 'Website',
+        placeholder: 'https://example.com',
+        validate: validateUrl
+    },
+    {
+        record: Record.IPFS,
+        label: 'IPFS',
+        placeholder: 'ipfs://Qm...',
+        validate: (value) => /^ipfs:\/\/[a-zA-Z0-9]{46,}$/.test(value) ? null : 'Must be an ipfs:// link to a CID'
+    },
+    {
+        record: Record.ARWV,
+        label: 'Arweave',
+        placeholder: 'Arweave transaction id',
+        validate: (value) => /^[a-zA-Z0-9_-]{43}$/.test(value) ? null : 'Must be a 43-character Arweave transaction id'
+    },
+    {
+        record: Record.Twitter,
+        label: 'Twitter',
+        placeholder: 'handle',
+        validate: (value) => /^[A-Za-z0-9_]{1,15}$/.test(value) ? null : 'Must be a Twitter handle without @ (max 15 characters)'
+    },
+    {
+        record: Record.Discord,
+        label: 'Discord',
+        placeholder: 'username',
+        validate: (value) => /^[a-z0-9_.]{2,32}$/.test(value) ? null : 'Must be a Discord username (2-32 lowercase characters)'
+    },
+    {
+        record: Record.Github,
+        label: 'GitHub',
+        placeholder: 'username',
+        validate: (value) => /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/.test(value) ? null : 'Must be a GitHub username'
+    },
+    {
+        record: Record.Telegram,
+        label: 'Telegram',
+        placeholder: 'username',
+        validate: (value) => /^[A-Za-z0-9_]{5,32}$/.test(value) ? null : 'Must be a Telegram username (5-32 characters)'
+    },
+    {
+        record: Record.Email,
+        label: 'Email',
+        placeholder: 'you@example.com',
+        validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'Must be a valid email address'
+    }
+];
+
+export class RecordsManager {
+    constructor(walletManager, domainManager) {
+        this.walletManager = walletManager;
+        this.domainManager = domainManager;
+    }
+
+    getRecordType(record) {
+        const type = RECORD_TYPES.find(t => t.record === record);
+        if (!type) {
+            throw new Error(`Unsupported record type: ${record}`);
+        }
+        return type;
+    }
+
+    validateRecord(record, value) {
+        const type = this.getRecordType(record);
+        const content = (value || '').trim();
+
+        // An empty value means the record should be deleted
+        if (!content) {
+            return { isValid: true };
+        }
+
+        const error = type.validate(content);
+        if (error) {
+            return { isValid: false, error: `${type.label}: ${error}` };
+        }
+
+        try {
+            serializeRecordV2Content(content, record);
+        } catch (serializeError) {
+            return { isValid: false, error: `${type.label}: ${serializeError.message}` };
+        }
+
+        return { isValid: true };
+    }
+
+    getRecordKey(domainName, record) {
+        const sns = this.domainManager.getSNSBindings();
+        return sns.getDomainKeySync(`${record}.${domainName}`, RecordVersion.V2).pubkey;
+    }
+
+    // Reads every supported record of a domain in one RPC call
+    async getRecords(domainName) {
+        const connection = this.walletManager.connection;
+        if (!connection) {
+            throw new Error('No RPC connection');
+        }
+
+        const keys = RECORD_TYPES.map(type => this.getRecordKey(domainName, type.record));
+        const [accounts, owner] = await Promise.all([
+            connection.getMultipleAccountsInfo(keys),
+            this.domainManager.getDomainOwner(domainName).catch(() => null)
+        ]);
+
+        return RECORD_TYPES.map((type, index) => {
+            const entry = {
+                record: type.record,
+                label: type.label,
+                placeholder: type.placeholder,
+                recordKey: keys[index].toBase58(),
+                exists: false,
+                value: '',
+                stale: false,
+                error: null
+            };
+
+            const account = accounts[index];
+            if (!account) {
+                return entry;
+            }
+
+            entry.exists = true;
+
+            try {
+                const parsed = this.parseRecordAccount(account.data);
+                entry.value = deserializeRecordV2Content(parsed.content, type.record);
+                // A record is stale unless its current owner signed off on it
+                entry.stale = !owner || !parsed.stalenessId || !owner.equals(parsed.stalenessId);
+            } catch (error) {
+                console.error(`Failed to parse ${type.record} record:`, error);
+                entry.error = 'Record content could not be decoded';
+            }
+
+            return entry;
+        });
+    }
+
+    parseRecordAccount(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const stalenessValidation = view.getUint16(RECORD_HEADER_OFFSET, true);
+        const roaValidation = view.getUint16(RECORD_HEADER_OFFSET + 2, true);
+        const contentLength = view.getUint32(RECORD_HEADER_OFFSET + 4, true);
+
+        const stalenessLength = VALIDATION_LENGTHS[stalenessValidation] ?? 0;
+        const roaLength = VALIDATION_LENGTHS[roaValidation] ?? 0;
+        const stalenessOffset = RECORD_HEADER_OFFSET + RECORD_HEADER_LEN;
+        const contentOffset = stalenessOffset + stalenessLength + roaLength;
+
+        return {
+            stalenessId: stalenessValidation === SOLANA_VALIDATION
+                ? new PublicKey(data.subarray(stalenessOffset, stalenessOffset + stalenessLength))
+                : null,
+            content: data.subarray(contentOffset, contentOffset + contentLength)
+        };
+    }
+
+    // Diffs the submitted values against chain state and applies every
+    // create, update and delete in a single transaction
+    async saveRecords(domainName, values) {
+        try {
+            if (!this.walletManager.isConnected) {
+                throw new Error('Wallet not connected');
+            }
+
+            const owner = this.walletManager.publicKey;
+            const domainOwner = await this.domainManager.getDomainOwner(domainName);
+            if (!domainOwner || !domainOwner.equals(owner)) {
+                throw new Error(`You do not own ${domainName}.sol`);
+            }
+
+            for (const [record, value] of Object.entries(values)) {
+                const validation = this.validateRecord(record, value);
+                if (!validation.isValid) {
+                    throw new Error(validation.error);
+                }
+            }
+
+            const current = await this.getRecords(domainName);
+            const sns = this.domainManager.getSNSBindings();
+            const transaction = new Transaction();
+            const changes = { created: [], updated: [], deleted: [] };
+
+            for (const entry of current) {
+                if (!(entry.record in values)) {
+                    continue;
+                }
+
+                const value = (values[entry.record] || '').trim();
+
+                if (!value) {
+                    if (entry.exists) {
+                        transaction.add(sns.deleteRecordV2(domainName, entry.record, owner, owner));
+                        changes.deleted.push(entry.record);
+                    }
+                    continue;
+                }
+
+                if (entry.exists && value === entry.value && !entry.stale) {
+                    continue;
+                }
+
+                if (entry.exists) {
+                    transaction.add(sns.updateRecordV2Instruction(domainName, entry.record, value, owner, owner));
+                    changes.updated.push(entry.record);
+                } else {
+                    transaction.add(sns.createRecordV2Instruction(domainName, entry.record, value, owner, owner));
+                    changes.created.push(entry.record);
+                }
+
+                // Mark the record as current for this owner
+                transaction.add(sns.validateRecordV2Content(true, domainName, entry.record, owner, owner, owner));
+
+                // A SOL record pointing at the signing wallet can prove right of association too
+                if (entry.record === Record.SOL && value === owner.toBase58()) {
+                    transaction.add(sns.validateRecordV2Content(false, domainName, entry.record, owner, owner, owner));
+                }
+            }
+
+            if (transaction.instructions.length === 0) {
+                throw new Error('No record changes to save');
+            }
+
+            const size = this.walletManager.getTransactionSize(transaction);
+            if (size > PACKET_DATA_SIZE) {
+                throw new Error(`Too many record changes for one transaction (${size}/${PACKET_DATA_SIZE} bytes). Save fewer records at a time.`);
+            }
+
+            const result = await this.walletManager.signAndSendTransaction(transaction);
+
+            if (result.success) {
+                return {
+                    success: true,
+                    signature: result.signature,
+                    domain: domainName,
+                    ...changes,
+                    network: this.walletManager.getCurrentNetwork(),
+                    explorerUrl: this.walletManager.getExplorerUrl(result.signature)
+                };
+            } else {
+                throw new Error('Transaction failed');
+            }
+
+        } catch (error) {
+            console.error('Record update error:', error);
+            throw new Error(error.message || 'Failed to update records');
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import { Connection } from '@solana/web3.js';
+import { getCluster, normalizeRpcUrl } from './clusters.js';
+
+// localStorage key holding the user's endpoints: [{ network, url }]
+const CUSTOM_ENDPOINTS_KEY = 'sns:rpcEndpoints';
+
+// Only the most recent samples count, so an endpoint can recover its rank
+const SAMPLE_WINDOW = 10;
+const PROBE_TIMEOUT = 3000;
+
+// Ranking: average latency plus a penalty per failed request. Endpoints
+// nobody has measured yet sit between fast and failing ones.
+const UNTESTED_LATENCY = 1000;
+const ERROR_PENALTY_MS = 5000;
+
+// An endpoint is degraded when half its recent requests failed, its latest
+// requests all failed, or it got this slow
+const DEGRADED_ERROR_RATE = 0.5;
+const DEGRADED_FAILURE_STREAK = 2;
+const DEGRADED_LATENCY = 3000;
+
+function loadCustomEndpoints() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_ENDPOINTS_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * The RPC endpoints of each cluster (its public endpoints from clusters.js), with the user's own endpoints persisted
+ * locally and a rolling latency/error record per endpoint used for ranking.
+ */
+export class RpcEndpointManager {
+    constructor() {
+        this.custom = typeof localStorage !== 'undefined' ? loadCustomEndpoints() : [];
+        this.samples = new Map(); // url -> [{ ok, latency, error }]
+    }
+
+    getEndpoints(network) {
+        const custom = this.custom.filter(entry => entry.network === network).map(entry => entry.url);
+        const defaults = (getCluster(network)?.rpc || []).filter(url => !custom.includes(url));
+        return [...custom, ...defaults];
+    }
+
+    isCustom(network, url) {
+        return this.custom.some(entry => entry.network === network && entry.url === url);
+    }
+
+    addEndpoint(network, url) {
+        const normalized = normalizeRpcUrl(url);
+
+        if (!getCluster(network)) {
+            throw new Error(`Unsupported network: ${network}`);
+        }
+
+        if (this.getEndpoints(network).includes(normalized)) {
+            throw new Error(`${normalized} is already in the ${network} list`);
+        }
+
+        this.custom.push({ network, url: normalized });
+        this.save();
+        return normalized;
+    }
+
+    removeEndpoint(network, url) {
+        this.custom = this.custom.filter(entry => !(entry.network === network && entry.url === url));
+        this.samples.delete(url);
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem(CUSTOM_ENDPOINTS_KEY, JSON.stringify(this.custom));
+    }
+
+    record(url, { ok, latency = null, error = null }) {
+        const samples = this.samples.get(url) || [];
+        samples.push({ ok, latency, error });
+        this.samples.set(url, samples.slice(-SAMPLE_WINDOW));
+    }
+
+    getStats(url) {
+        const samples = this.samples.get(url) || [];
+        const successes = samples.filter(sample => sample.ok);
+        const failures = samples.filter(sample => !sample.ok);
+
+        const latency = successes.length > 0
+            ? Math.round(successes.reduce((sum, sample) => sum + sample.latency, 0) / successes.length)
+            : null;
+        const errorRate = samples.length > 0 ? failures.length / samples.length : 0;
+        const recent = samples.slice(-DEGRADED_FAILURE_STREAK);
+        const failing = recent.length === DEGRADED_FAILURE_STREAK && recent.every(sample => !sample.ok);
+
+        return {
+            url,
+            samples: samples.length,
+            latency,
+            errorRate,
+            lastError: failures.at(-1)?.error || null,
+            degraded: failing || errorRate >= DEGRADED_ERROR_RATE || latency > DEGRADED_LATENCY
+        };
+    }
+
+    score(url) {
+        const { samples, latency, errorRate } = this.getStats(url);
+        if (samples === 0) {
+            return UNTESTED_LATENCY;
+        }
+        return (latency ?? DEGRADED_LATENCY) + errorRate * ERROR_PENALTY_MS;
+    }
+
+    // Best endpoint first; ties keep the configured order (custom endpoints first)
+    rank(network) {
+        return this.getEndpoints(network)
+            .map((url, index) => ({ url, index, score: this.score(url) }))
+            .sort((a, b) => a.score - b.score || a.index - b.index)
+            .map(entry => entry.url);
+    }
+
+    // Times a getVersion call against url and records the outcome
+    async probe(url, { timeout = PROBE_TIMEOUT } = {}) {
+        const startTime = Date.now();
+
+        try {
+            const timeoutPromise = new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Connection timeout')), timeout)
+            );
+            const version = await Promise.race([new Connection(url, 'confirmed').getVersion(), timeoutPromise]);
+
+            this.record(url, { ok: true, latency: Date.now() - startTime });
+            return { ...this.getStats(url), healthy: true, version };
+        } catch (error) {
+            this.record(url, { ok: false, error: error.message });
+            return { ...this.getStats(url), healthy: false, error: error.message };
+        }
+    }
+
+    async probeAll(network) {
+        return Promise.all(this.getEndpoints(network).map(url => this.probe(url)));
+    }
+}
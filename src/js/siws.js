@@ -0,0 +1,56 @@
+// Sign-In-With-Solana message, modelled on EIP-4361. Shared by the app, which
+// asks the wallet to sign it, and the server, which parses and checks it.
+
+const HEADER_SUFFIX = ' wants you to sign in with your Solana account:';
+
+const FIELDS = [
+    ['uri', 'URI'],
+    ['version', 'Version'],
+    ['network', 'Chain ID'],
+    ['nonce', 'Nonce'],
+    ['issuedAt', 'Issued At'],
+    ['expirationTime', 'Expiration Time']
+];
+
+export const DEFAULT_STATEMENT = 'Sign in to the SNS registration app. This request will not trigger a transaction or cost any fees.';
+
+export function createSignInMessage({ domain, address, statement = DEFAULT_STATEMENT, uri, version = '1', network, nonce, issuedAt, expirationTime }) {
+    const values = { uri, version, network, nonce, issuedAt, expirationTime };
+    const missing = FIELDS.filter(([key]) => !values[key]).map(([, label]) => label);
+    if (!domain || !address || missing.length > 0) {
+        throw new Error(`Sign-in message is missing: ${[!domain && 'domain', !address && 'address', ...missing].filter(Boolean).join(', ')}`);
+    }
+
+    return [
+        `${domain}${HEADER_SUFFIX}`,
+        address,
+        '',
+        statement,
+        '',
+        ...FIELDS.map(([key, label]) => `${label}: ${values[key]}`)
+    ].join('\n');
+}
+
+// Returns the message fields, or null when the text is not a sign-in message
+export function parseSignInMessage(message) {
+    const lines = String(message).split('\n');
+    if (lines.length !== 5 + FIELDS.length || !lines[0].endsWith(HEADER_SUFFIX) || lines[2] !== '' || lines[4] !== '') {
+        return null;
+    }
+
+    const parsed = {
+        domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+        address: lines[1],
+        statement: lines[3]
+    };
+
+    for (const [index, [key, label]] of FIELDS.entries()) {
+        const line = lines[5 + index];
+        if (!line.startsWith(`${label}: `)) {
+            return null;
+        }
+        parsed[key] = line.slice(label.length + 2);
+    }
+
+    return parsed;
+}
@@ -0,0 +1,272 @@
+import { Transaction, SystemProgram, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { NameRegistryState, deleteInstruction } from '@bonfida/spl-name-service';
+import { parseDomainName, validateDomainName, validateSubdomainName } from './validation.js';
+
+// 32 zero bytes: subdomains have no name class, record V2 accounts do
+const NO_CLASS = PublicKey.default.toBase58();
+
+export class SubdomainManager {
+    constructor(walletManager, domainManager) {
+        this.walletManager = walletManager;
+        this.domainManager = domainManager;
+        this.rentCache = new Map();
+    }
+
+    getConnection() {
+        const connection = this.walletManager.connection;
+        if (!connection) {
+            throw new Error('No RPC connection');
+        }
+        return connection;
+    }
+
+    async getQuote(subdomainName) {
+        const network = this.walletManager.getCurrentNetwork();
+        const space = this.domainManager.pricingEngine.getRules(network).subdomains.space;
+        const cacheKey = `${network}:${space}`;
+
+        if (!this.rentCache.has(cacheKey)) {
+            const rent = await this.getConnection().getMinimumBalanceForRentExemption(space + NameRegistryState.HEADER_LEN);
+            this.rentCache.set(cacheKey, rent);
+        }
+
+        return this.domainManager.pricingEngine.quoteSubdomain(subdomainName, {
+            network,
+            rentLamports: this.rentCache.get(cacheKey)
+        });
+    }
+
+    // Reads the parent and subdomain accounts in one lookup
+    async checkAvailability(subdomainName) {
+        const network = this.walletManager.getCurrentNetwork();
+
+        try {
+            const validation = validateSubdomainName(subdomainName);
+            if (!validation.isValid) {
+                return { success: false, error: validation.error, network };
+            }
+
+            const { name, parent } = parseDomainName(subdomainName);
+            const [parentEntry, subdomainEntry] = await this.domainManager.lookup.lookup([parent, name]);
+            const result = { success: true, isSubdomain: true, domain: name, parent, network };
+
+            if (!parentEntry.registered) {
+                return { ...result, available: false, parentRegistered: false };
+            }
+
+            const walletKey = this.walletManager.publicKey;
+
+            result.parentRegistered = true;
+            result.parentOwner = parentEntry.owner;
+            result.isParentOwner = Boolean(walletKey && parentEntry.owner === walletKey.toBase58());
+
+            if (subdomainEntry.registered) {
+                return { ...result, available: false, owner: subdomainEntry.owner };
+            }
+
+            const quote = await this.getQuote(name);
+            if (quote.reserved) {
+                return { success: false, error: `${name}.sol is reserved and cannot be created`, network };
+            }
+
+            return { ...result, available: true, quote };
+
+        } catch (error) {
+            console.error('Subdomain availability check error:', error);
+            return {
+                success: false,
+                error: `Failed to check subdomain availability: ${error.message}`,
+                network
+            };
+        }
+    }
+
+    async getSubdomains(parentName) {
+        const validation = validateDomainName(parentName);
+        if (!validation.isValid) {
+            throw new Error(validation.error);
+        }
+
+        const connection = this.getConnection();
+        const sns = this.domainManager.getSNSBindings();
+        const parentKey = sns.getDomainKeySync(parentName).pubkey;
+
+        const accounts = await connection.getProgramAccounts(sns.nameProgramId, {
+            filters: [
+                { memcmp: { offset: 0, bytes: parentKey.toBase58() } },
+                { memcmp: { offset: 64, bytes: NO_CLASS } }
+            ]
+        });
+
+        const subdomains = await Promise.all(accounts.map(async ({ pubkey, account }) => {
+            let label;
+            try {
+                label = await sns.reverseLookup(connection, pubkey, parentKey);
+            } catch (error) {
+                // Record V1 accounts share the parent but have no reverse entry
+                return null;
+            }
+
+            label = label.replace(/^\0/, '');
+            const state = NameRegistryState.deserialize(account.data);
+
+            return {
+                name: `${label}.${parentName}`,
+                label,
+                nameAccount: pubkey.toBase58(),
+                owner: state.owner.toBase58(),
+                lamports: account.lamports,
+                explorerUrl: this.walletManager.getExplorerAddressUrl(pubkey.toBase58())
+            };
+        }));
+
+        return subdomains
+            .filter(Boolean)
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    async requireParentOwner(parent) {
+        const parentOwner = await this.domainManager.getDomainOwner(parent);
+        if (!parentOwner || !parentOwner.equals(this.walletManager.publicKey)) {
+            throw new Error(`Only the owner of ${parent}.sol can manage its subdomains`);
+        }
+    }
+
+    async createSubdomain(subdomainName, assignee = null, onStatus = () => {}) {
+        try {
+            if (!this.walletManager.isConnected) {
+                throw new Error('Wallet not connected');
+            }
+
+            const validation = validateSubdomainName(subdomainName);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+
+            const { name, parent } = parseDomainName(subdomainName);
+            const connection = this.getConnection();
+            const sns = this.domainManager.getSNSBindings();
+            const wallet = this.walletManager.publicKey;
+
+            await this.requireParentOwner(parent);
+
+            if (await connection.getAccountInfo(sns.getDomainKeySync(name).pubkey)) {
+                throw new Error(`${name}.sol already exists`);
+            }
+
+            const quote = await this.getQuote(name);
+            if (quote.reserved) {
+                throw new Error(`${name}.sol is reserved and cannot be created`);
+            }
+
+            const owner = assignee ? await this.domainManager.resolveRecipient(assignee) : wallet;
+            const balance = await connection.getBalance(wallet);
+            const required = Math.ceil((quote.total + this.domainManager.networkFee) * LAMPORTS_PER_SOL);
+            if (balance < required) {
+                throw new Error(`Insufficient SOL balance. Required: ${required / LAMPORTS_PER_SOL} SOL`);
+            }
+
+            const transaction = new Transaction();
+
+            if (quote.fee > 0) {
+                if (!quote.feeRecipient) {
+                    throw new Error('Subdomain fees are configured without a fee recipient');
+                }
+
+                transaction.add(SystemProgram.transfer({
+                    fromPubkey: wallet,
+                    toPubkey: new PublicKey(quote.feeRecipient),
+                    lamports: Math.ceil(quote.fee * LAMPORTS_PER_SOL)
+                }));
+            }
+
+            // The devnet binding returns instruction groups, mainnet a flat list
+            const instructions = await sns.createSubdomain(connection, name, wallet, quote.space);
+            transaction.add(...instructions.flat());
+
+            // Assigning in the same transaction lets the parent owner pay the rent
+            if (!owner.equals(wallet)) {
+                transaction.add(await sns.transferSubdomain(connection, name, owner, false, wallet));
+            }
+
+            const result = await this.walletManager.signAndSendTransaction(transaction, onStatus);
+
+            if (result.success) {
+                this.domainManager.lookup.invalidate([name]);
+
+                return {
+                    success: true,
+                    signature: result.signature,
+                    domain: name,
+                    parent,
+                    owner: owner.toBase58(),
+                    cost: quote.total,
+                    network: this.walletManager.getCurrentNetwork(),
+                    explorerUrl: this.walletManager.getExplorerUrl(result.signature)
+                };
+            } else {
+                throw new Error('Transaction failed');
+            }
+
+        } catch (error) {
+            console.error('Subdomain creation error:', error);
+            throw new Error(error.message || 'Failed to create subdomain');
+        }
+    }
+
+    // Deleting refunds the rent to the wallet. A parent owner can reclaim a
+    // subdomain assigned to someone else before deleting it.
+    async deleteSubdomain(subdomainName, onStatus = () => {}) {
+        try {
+            if (!this.walletManager.isConnected) {
+                throw new Error('Wallet not connected');
+            }
+
+            const validation = validateSubdomainName(subdomainName);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+
+            const { name, parent } = parseDomainName(subdomainName);
+            const connection = this.getConnection();
+            const sns = this.domainManager.getSNSBindings();
+            const wallet = this.walletManager.publicKey;
+            const subdomainKey = sns.getDomainKeySync(name).pubkey;
+
+            const owner = await this.domainManager.getDomainOwner(name);
+            if (!owner) {
+                throw new Error(`${name}.sol does not exist`);
+            }
+
+            const transaction = new Transaction();
+
+            if (!owner.equals(wallet)) {
+                await this.requireParentOwner(parent);
+                transaction.add(await sns.transferSubdomain(connection, name, wallet, true, owner));
+            }
+
+            transaction.add(deleteInstruction(sns.nameProgramId, subdomainKey, wallet, wallet));
+
+            const result = await this.walletManager.signAndSendTransaction(transaction, onStatus);
+
+            if (result.success) {
+                this.domainManager.lookup.invalidate([name]);
+
+                return {
+                    success: true,
+                    signature: result.signature,
+                    domain: name,
+                    parent,
+                    network: this.walletManager.getCurrentNetwork(),
+                    explorerUrl: this.walletManager.getExplorerUrl(result.signature)
+                };
+            } else {
+                throw new Error('Transaction failed');
+            }
+
+        } catch (error) {
+            console.error('Subdomain deletion error:', error);
+            throw new Error(error.message || 'Failed to delete subdomain');
+        }
+    }
+}
@@ -0,0 +1,118 @@
+import defaultWords from '../config/suggestion-words.json' with { type: 'json' };
+import { validateDomainName } from './validation.js';
+
+const VOWELS = /[aeiouy]/g;
+const CONSONANT_RUNS = /[^aeiouy]+/g;
+
+// 0-1, higher for names that are easy to say and type
+export function readabilityScore(name) {
+    const letters = name.replace(/[^a-z]/g, '');
+    const hyphens = (name.match(/-/g) || []).length;
+    const digits = (name.match(/[0-9]/g) || []).length;
+
+    let score = 1 - 0.15 * hyphens - 0.1 * digits;
+
+    if (letters.length > 0) {
+        // Pronounceable words sit around 40% vowels with short consonant clusters
+        const vowelRatio = (letters.match(VOWELS) || []).length / letters.length;
+        const longestRun = Math.max(0, ...(letters.match(CONSONANT_RUNS) || []).map(run => run.length));
+        score -= Math.abs(vowelRatio - 0.4) + 0.1 * Math.max(0, longestRun - 2);
+    }
+
+    return Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+}
+
+function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+    return `${word}s`;
+}
+
+function singularize(word) {
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return null;
+}
+
+export class SuggestionEngine {
+    constructor(words = defaultWords) {
+        this.words = words;
+    }
+
+    // Every candidate derived from the name, tagged with how it was built
+    generate(baseDomain) {
+        const { prefixes, suffixes, leetspeak, minHyphenPart, minTruncatedLength } = this.words;
+        const base = baseDomain.replace(/-/g, '');
+        const candidates = [];
+        const add = (domain, kind) => candidates.push({ domain, kind });
+
+        for (const prefix of prefixes) {
+            add(`${prefix}${baseDomain}`, 'prefix');
+        }
+
+        for (const suffix of suffixes) {
+            add(`${baseDomain}${suffix}`, 'suffix');
+            if (/^[a-z]{2,}$/.test(suffix)) {
+                add(`${baseDomain}-${suffix}`, 'suffix');
+            }
+        }
+
+        // Split the name into two readable parts
+        for (let index = minHyphenPart; index <= base.length - minHyphenPart; index++) {
+            add(`${base.slice(0, index)}-${base.slice(index)}`, 'hyphenated');
+        }
+
+        const singular = singularize(baseDomain);
+        if (singular) {
+            add(singular, 'singular');
+        } else {
+            add(pluralize(baseDomain), 'plural');
+        }
+
+        // One substitution per letter, then all of them at once
+        const letters = Object.keys(leetspeak).filter(letter => baseDomain.includes(letter));
+        for (const letter of letters) {
+            add(baseDomain.replaceAll(letter, leetspeak[letter]), 'leetspeak');
+        }
+        if (letters.length > 1) {
+            add(letters.reduce((name, letter) => name.replaceAll(letter, leetspeak[letter]), baseDomain), 'leetspeak');
+        }
+
+        for (let length = base.length - 1; length >= minTruncatedLength; length--) {
+            add(base.slice(0, length), 'truncated');
+        }
+
+        const seen = new Set([baseDomain]);
+        return candidates.filter(({ domain }) => {
+            if (seen.has(domain) || !validateDomainName(domain).isValid) {
+                return false;
+            }
+            seen.add(domain);
+            return true;
+        });
+    }
+
+    // Best first: readable, short and cheap, in that order of weight.
+    // getPrice returns null for names that cannot be registered.
+    rank(candidates, getPrice) {
+        const priced = candidates
+            .map(candidate => ({ ...candidate, price: getPrice(candidate.domain) }))
+            .filter(candidate => candidate.price !== null);
+
+        const lowestPrice = Math.min(...priced.map(candidate => candidate.price));
+
+        return priced
+            .map(candidate => {
+                const readability = readabilityScore(candidate.domain);
+                const priceScore = candidate.price > 0 ? lowestPrice / candidate.price : 1;
+                const score = 0.5 * readability + 0.3 * (1 - candidate.domain.length / 32) + 0.2 * priceScore;
+                return { ...candidate, readability, score };
+            })
+            .sort((a, b) => (b.score - a.score) || a.domain.localeCompare(b.domain));
+    }
+
+    suggest(baseDomain, getPrice) {
+        return this.rank(this.generate(baseDomain), getPrice);
+    }
+}
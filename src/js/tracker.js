@@ -0,0 +1,123 @@
+// Commitment levels in the order a transaction reaches them
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+// Polling backs up the websocket subscriptions, which not every RPC serves
+const POLL_INTERVAL = 2000;
+
+const EXPIRED_MESSAGE = 'Transaction expired before it was confirmed. It was never processed, so nothing was charged.';
+
+/**
+ * Follows a sent transaction through processed, confirmed and finalized,
+ * from signature subscriptions with getSignatureStatuses polling as the
+ * fallback, and notices when its blockhash expires without it landing.
+ */
+export class TransactionTracker {
+    constructor(walletManager) {
+        this.walletManager = walletManager;
+    }
+
+    /**
+     * Resolves once signature reaches `until` and keeps reporting later levels
+     * through onStatus(commitment, { signature, slot }) until finalized.
+     * Rejects when the transaction fails on chain, or with `expired` set once
+     * it provably can no longer land: the finalized block height is past
+     * lastValidBlockHeight and the cluster has no record of the signature.
+     */
+    track(signature, { lastValidBlockHeight }, onStatus = () => {}, { until = 'confirmed' } = {}) {
+        const connection = this.walletManager.connection;
+        const target = COMMITMENTS.indexOf(until);
+        const subscriptions = new Map(); // commitment -> subscription id
+        let reached = -1;
+        let done = false;
+        let timer = null;
+
+        return new Promise((resolve, reject) => {
+            const stop = () => {
+                done = true;
+                clearTimeout(timer);
+                subscriptions.forEach(id => connection.removeSignatureListener(id).catch(() => {}));
+                subscriptions.clear();
+            };
+
+            const fail = (error) => {
+                stop();
+                reject(error);
+            };
+
+            const reach = (commitment, err, slot = null) => {
+                if (done) {
+                    return;
+                }
+
+                if (err) {
+                    fail(new Error(`Transaction failed: ${JSON.stringify(err)}`));
+                    return;
+                }
+
+                const level = COMMITMENTS.indexOf(commitment);
+                while (reached < level) {
+                    reached += 1;
+                    onStatus(COMMITMENTS[reached], { signature, slot });
+                }
+
+                if (reached >= target) {
+                    resolve({ signature, commitment: COMMITMENTS[reached], slot });
+                }
+
+                if (reached === COMMITMENTS.length - 1) {
+                    stop();
+                }
+            };
+
+            try {
+                COMMITMENTS.forEach((commitment) => {
+                    const id = connection.onSignature(signature, (result, context) => {
+                        subscriptions.delete(commitment);
+                        reach(commitment, result.err, context.slot);
+                    }, commitment);
+                    subscriptions.set(commitment, id);
+                });
+            } catch (error) {
+                console.log('Signature subscription failed, polling instead:', error.message);
+            }
+
+            const poll = async () => {
+                try {
+                    const { value: [status] } = await this.walletManager.withRpcFailover(
+                        rpc => rpc.getSignatureStatuses([signature])
+                    );
+
+                    if (status) {
+                        reach(status.confirmationStatus || 'processed', status.err, status.slot);
+                    } else if (await this.isExpired(signature, lastValidBlockHeight)) {
+                        onStatus('expired', { signature });
+                        fail(Object.assign(new Error(EXPIRED_MESSAGE), { expired: true, signature }));
+                    }
+                } catch (error) {
+                    console.log('Signature status poll failed:', error.message);
+                }
+
+                if (!done) {
+                    timer = setTimeout(poll, POLL_INTERVAL);
+                }
+            };
+
+            poll();
+        });
+    }
+
+    // Past lastValidBlockHeight on the finalized fork, no validator will take the transaction
+    async isExpired(signature, lastValidBlockHeight) {
+        const blockHeight = await this.walletManager.withRpcFailover(
+            connection => connection.getBlockHeight('finalized')
+        );
+        if (blockHeight <= lastValidBlockHeight) {
+            return false;
+        }
+
+        const { value: [status] } = await this.walletManager.withRpcFailover(
+            connection => connection.getSignatureStatuses([signature], { searchTransactionHistory: true })
+        );
+        return !status;
+    }
+}
@@ -1,4 +1,63 @@
 import '../styles.css';
+import { getCluster } from './clusters.js';
+
+// Copy for the four-step transaction tracker, per kind of transaction
+const TRANSACTION_COPY = {
+    registration: {
+        steps: [
+            ['Preparing Transaction', 'Creating domain registration transaction...'],
+            ['Wallet Approval', 'Please approve the transaction in your wallet'],
+            ['Processing', 'Transaction submitted to blockchain'],
+            ['Confirmation', 'Domain registered successfully']
+        ],
+        title: 'Registration Complete!',
+        ownership: 'Yours Forever ✨'
+    },
+    transfer: {
+        steps: [
+            ['Preparing Transaction', 'Creating domain transfer transaction...'],
+            ['Wallet Approval', 'Please approve the transfer in your wallet'],
+            ['Processing', 'Transaction submitted to blockchain'],
+            ['Confirmation', 'Domain transferred successfully']
+        ],
+        title: 'Transfer Complete!',
+        ownership: 'Transferred to recipient'
+    },
+    subdomain: {
+        steps: [
+            ['Preparing Transaction', 'Creating subdomain transaction...'],
+            ['Wallet Approval', 'Please approve the transaction in your wallet'],
+            ['Processing', 'Transaction submitted to blockchain'],
+            ['Confirmation', 'Subdomain created successfully']
+        ],
+        title: 'Subdomain Created!',
+        ownership: 'Owned by your wallet'
+    },
+    subdomainDeletion: {
+        steps: [
+            ['Preparing Transaction', 'Creating subdomain deletion transaction...'],
+            ['Wallet Approval', 'Please approve the deletion in your wallet'],
+            ['Processing', 'Transaction submitted to blockchain'],
+            ['Confirmation', 'Subdomain deleted and rent refunded']
+        ],
+        title: 'Subdomain Deleted',
+        ownership: 'Rent refunded to your wallet'
+    }
+};
+
+// Table order for the bulk results' status column
+const BULK_STATUS_ORDER = ['available', 'registered', 'checking', 'taken', 'unknown', 'skipped', 'failed', 'error', 'invalid'];
+
+// Pasted bulk input is arbitrary text, so names are escaped before rendering
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
 
 export class UIManager {
     constructor() {
@@ -7,7 +66,21 @@ export class UIManager {
         this.notificationTimeout = null;
         this.currentDomain = null;
         this.basePrice = 0;
+        this.usdcPrice = 0;
+        this.solPrice = null;
+        this.quote = null;
+        this.recordsDomain = null;
+        this.subdomainParent = null;
+        this.bulkRows = [];
+        this.bulkSelected = new Set();
+        this.bulkSort = { key: 'domain', direction: 1 };
+        // Rough allowance until FeeEstimator prices the actual transaction
         this.networkFee = 0.001;
+        this.networkFeeExact = false;
+        // Settles the pending showTransactionPreview promise
+        this.previewResolver = null;
+        // Signature whose later commitment updates still belong on screen
+        this.trackedSignature = null;
     }
 
     initializeElements() {
@@ -18,28 +91,102 @@ export class UIManager {
             
             // Buttons
             connectWallet: document.getElementById('connectWallet'),
+            signInButton: document.getElementById('signInButton'),
             checkAvailability: document.getElementById('checkAvailability'),
             registerDomain: document.getElementById('registerDomain'),
             closeNotification: document.getElementById('closeNotification'),
             viewDomain: document.getElementById('viewDomain'),
             requestAirdrop: document.getElementById('requestAirdrop'),
+            submitTransfer: document.getElementById('submitTransfer'),
+            cancelTransfer: document.getElementById('cancelTransfer'),
+            applyPromo: document.getElementById('applyPromo'),
+            myDomainsButton: document.getElementById('myDomainsButton'),
+            historyButton: document.getElementById('historyButton'),
+            historyPanel: document.getElementById('historyPanel'),
+            closeHistory: document.getElementById('closeHistory'),
+            historyFrom: document.getElementById('historyFrom'),
+            historyTo: document.getElementById('historyTo'),
+            historyNetwork: document.getElementById('historyNetwork'),
+            historyStatus: document.getElementById('historyStatus'),
+            historySource: document.getElementById('historySource'),
+            historyTableBody: document.getElementById('historyTableBody'),
+            exportHistoryCsv: document.getElementById('exportHistoryCsv'),
+            exportHistoryJson: document.getElementById('exportHistoryJson'),
+            watchlistButton: document.getElementById('watchlistButton'),
+            watchlistPanel: document.getElementById('watchlistPanel'),
+            closeWatchlist: document.getElementById('closeWatchlist'),
+            watchlistTableBody: document.getElementById('watchlistTableBody'),
+            watchlistWebhook: document.getElementById('watchlistWebhook'),
+            saveWatchlistWebhook: document.getElementById('saveWatchlistWebhook'),
+            refreshDomains: document.getElementById('refreshDomains'),
+            saveRecords: document.getElementById('saveRecords'),
+            cancelRecords: document.getElementById('cancelRecords'),
+            createSubdomain: document.getElementById('createSubdomain'),
+            bulkModeButton: document.getElementById('bulkModeButton'),
+            closeBulk: document.getElementById('closeBulk'),
+            rpcSettingsButton: document.getElementById('rpcSettingsButton'),
+            rpcPanel: document.getElementById('rpcPanel'),
+            closeRpcPanel: document.getElementById('closeRpcPanel'),
+            rpcNetwork: document.getElementById('rpcNetwork'),
+            rpcTableBody: document.getElementById('rpcTableBody'),
+            rpcEndpointInput: document.getElementById('rpcEndpointInput'),
+            addRpcEndpoint: document.getElementById('addRpcEndpoint'),
+            probeRpcEndpoints: document.getElementById('probeRpcEndpoints'),
+            removeCluster: document.getElementById('removeCluster'),
+            clusterName: document.getElementById('clusterName'),
+            clusterUrl: document.getElementById('clusterUrl'),
+            clusterSns: document.getElementById('clusterSns'),
+            addCluster: document.getElementById('addCluster'),
+            bulkCheck: document.getElementById('bulkCheck'),
+            bulkRegister: document.getElementById('bulkRegister'),
+            cancelSubdomains: document.getElementById('cancelSubdomains'),
 
             // Inputs
             domainInput: document.getElementById('domainInput'),
             selectedDomain: document.getElementById('selectedDomain'),
             paymentMethod: document.getElementById('paymentMethod'),
+            promoCode: document.getElementById('promoCode'),
+            transferDomain: document.getElementById('transferDomain'),
+            transferRecipient: document.getElementById('transferRecipient'),
+            subdomainLabel: document.getElementById('subdomainLabel'),
+            subdomainOwner: document.getElementById('subdomainOwner'),
+            bulkInput: document.getElementById('bulkInput'),
+            bulkFile: document.getElementById('bulkFile'),
+            bulkConcurrency: document.getElementById('bulkConcurrency'),
+            bulkSelectAll: document.getElementById('bulkSelectAll'),
+            bulkPaymentMethod: document.getElementById('bulkPaymentMethod'),
 
             // Display elements
             searchResults: document.getElementById('searchResults'),
             registrationForm: document.getElementById('registrationForm'),
             transactionStatus: document.getElementById('transactionStatus'),
+            myDomains: document.getElementById('myDomains'),
+            transferPanel: document.getElementById('transferPanel'),
+            recordsPanel: document.getElementById('recordsPanel'),
+            recordsTitle: document.getElementById('recordsTitle'),
+            recordsList: document.getElementById('recordsList'),
+            subdomainsPanel: document.getElementById('subdomainsPanel'),
+            subdomainsTitle: document.getElementById('subdomainsTitle'),
+            subdomainSuffix: document.getElementById('subdomainSuffix'),
+            subdomainQuote: document.getElementById('subdomainQuote'),
+            subdomainsList: document.getElementById('subdomainsList'),
+            bulkPanel: document.getElementById('bulkPanel'),
+            bulkProgress: document.getElementById('bulkProgress'),
+            bulkResults: document.getElementById('bulkResults'),
+            bulkTableBody: document.getElementById('bulkTableBody'),
+            bulkSummary: document.getElementById('bulkSummary'),
+            myDomainsList: document.getElementById('myDomainsList'),
             walletBalance: document.getElementById('walletBalance'),
             balanceAmount: document.getElementById('balanceAmount'),
             
             // Price elements
-            domainPrice: document.getElementById('domainPrice'),
+            quoteLines: document.getElementById('quoteLines'),
             networkFee: document.getElementById('networkFee'),
+            priorityLevel: document.getElementById('priorityLevel'),
+            customPriorityFee: document.getElementById('customPriorityFee'),
             totalCost: document.getElementById('totalCost'),
+            usdEquivalent: document.getElementById('usdEquivalent'),
+            priceTimestamp: document.getElementById('priceTimestamp'),
             
             // Notification
             notification: document.getElementById('notification'),
@@ -47,12 +194,29 @@ export class UIManager {
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingMessage: document.getElementById('loadingMessage'),
 
+            // Wallet picker
+            walletModal: document.getElementById('walletModal'),
+            closeWalletModal: document.getElementById('closeWalletModal'),
+            walletList: document.getElementById('walletList'),
+
+            // Transaction preview
+            transactionPreviewModal: document.getElementById('transactionPreviewModal'),
+            transactionPreviewTitle: document.getElementById('transactionPreviewTitle'),
+            transactionPreviewBody: document.getElementById('transactionPreviewBody'),
+            closeTransactionPreview: document.getElementById('closeTransactionPreview'),
+            cancelTransactionPreview: document.getElementById('cancelTransactionPreview'),
+            confirmTransactionPreview: document.getElementById('confirmTransactionPreview'),
+
             // Transaction status elements
             step1: document.getElementById('step1'),
             step2: document.getElementById('step2'),
             step3: document.getElementById('step3'),
             step4: document.getElementById('step4'),
+            transactionExpired: document.getElementById('transactionExpired'),
+            resignTransaction: document.getElementById('resignTransaction'),
             transactionDetails: document.getElementById('transactionDetails'),
+            transactionDetailsTitle: document.getElementById('transactionDetailsTitle'),
+            txOwnership: document.getElementById('txOwnership'),
             txHash: document.getElementById('txHash'),
             registeredDomain: document.getElementById('registeredDomain'),
             txStatus: document.getElementById('txStatus')
@@ -70,12 +234,13 @@ export class UIManager {
             }
         });
 
-        // Domain input validation and formatting
+        // Domain input validation and formatting; a single dot starts a subdomain
         this.elements.domainInput.addEventListener('input', (e) => {
             let value = e.target.value.toLowerCase();
-            value = value.replace(/[^a-z0-9-]/g, '');
+            value = value.replace(/[^a-z0-9.-]/g, '');
             value = value.replace(/--+/g, '-');
-            if (value.startsWith('-')) {
+            value = value.replace(/\.\.+/g, '.');
+            if (value.startsWith('-') || value.startsWith('.')) {
                 value = value.substring(1);
             }
             e.target.value = value;
@@ -99,11 +264,67 @@ export class UIManager {
             this.updatePricing();
         });
 
+        this.elements.priorityLevel.addEventListener('change', () => {
+            this.elements.customPriorityFee.classList.toggle('hidden', this.elements.priorityLevel.value !== 'custom');
+        });
+
+        // Enter key for promo code
+        this.elements.promoCode.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.elements.applyPromo.click();
+            }
+        });
+
         // Close notification
         this.elements.closeNotification.addEventListener('click', () => {
             this.hideNotification();
         });
 
+        // Wallet picker
+        this.elements.closeWalletModal.addEventListener('click', () => {
+            this.hideWalletPicker();
+        });
+
+        this.elements.walletModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.walletModal) {
+                this.hideWalletPicker();
+                return;
+            }
+
+            const option = e.target.closest('[data-wallet-name]');
+            if (option) {
+                window.dispatchEvent(new CustomEvent('walletSelected', {
+                    detail: { name: option.dataset.walletName }
+                }));
+            }
+        });
+
+        // Transaction preview: anything but Continue cancels
+        this.elements.confirmTransactionPreview.addEventListener('click', () => {
+            this.hideTransactionPreview(true);
+        });
+
+        this.elements.cancelTransactionPreview.addEventListener('click', () => {
+            this.hideTransactionPreview(false);
+        });
+
+        this.elements.closeTransactionPreview.addEventListener('click', () => {
+            this.hideTransactionPreview(false);
+        });
+
+        this.elements.transactionPreviewModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.transactionPreviewModal) {
+                this.hideTransactionPreview(false);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isWalletPickerVisible()) {
+                this.hideWalletPicker();
+            }
+        });
+
         // View domain button
         if (this.elements.viewDomain) {
             this.elements.viewDomain.addEventListener('click', () => {
@@ -113,6 +334,199 @@ export class UIManager {
             });
         }
 
+        // Transfer and Records buttons on My Domains cards
+        this.elements.myDomainsList.addEventListener('click', (e) => {
+            const transferButton = e.target.closest('[data-transfer-domain]');
+            if (transferButton) {
+                this.showTransferForm(transferButton.dataset.transferDomain);
+                return;
+            }
+
+            const recordsButton = e.target.closest('[data-records-domain]');
+            if (recordsButton) {
+                window.dispatchEvent(new CustomEvent('recordsEditRequested', {
+                    detail: { domain: recordsButton.dataset.recordsDomain }
+                }));
+                return;
+            }
+
+            const subdomainsButton = e.target.closest('[data-subdomains-domain]');
+            if (subdomainsButton) {
+                window.dispatchEvent(new CustomEvent('subdomainsManageRequested', {
+                    detail: { domain: subdomainsButton.dataset.subdomainsDomain }
+                }));
+            }
+        });
+
+        // "Create Subdomain" from a subdomain search result, and suggested alternatives
+        this.elements.searchResults.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-create-subdomain]');
+            if (button) {
+                window.dispatchEvent(new CustomEvent('subdomainsManageRequested', {
+                    detail: { domain: button.dataset.createSubdomain, label: button.dataset.label }
+                }));
+                return;
+            }
+
+            // Suggested alternatives and the retry of an unconfirmed check
+            const checkButton = e.target.closest('[data-check-domain]');
+            if (checkButton) {
+                this.elements.domainInput.value = checkButton.dataset.checkDomain;
+                this.elements.checkAvailability.click();
+                return;
+            }
+
+            const loadMoreButton = e.target.closest('[data-load-more-suggestions]');
+            if (loadMoreButton) {
+                window.dispatchEvent(new CustomEvent('suggestionsMoreRequested', {
+                    detail: { domain: loadMoreButton.dataset.loadMoreSuggestions }
+                }));
+                return;
+            }
+
+            const watchButton = e.target.closest('[data-watch-domain]');
+            if (watchButton) {
+                window.dispatchEvent(new CustomEvent('watchDomainRequested', {
+                    detail: { domain: watchButton.dataset.watchDomain }
+                }));
+            }
+        });
+
+        // Assign and Delete buttons on subdomain cards
+        this.elements.subdomainsList.addEventListener('click', (e) => {
+            const assignButton = e.target.closest('[data-assign-subdomain]');
+            if (assignButton) {
+                this.showTransferForm(assignButton.dataset.assignSubdomain);
+                return;
+            }
+
+            const deleteButton = e.target.closest('[data-delete-subdomain]');
+            if (deleteButton) {
+                window.dispatchEvent(new CustomEvent('subdomainDeleteRequested', {
+                    detail: { domain: deleteButton.dataset.deleteSubdomain }
+                }));
+            }
+        });
+
+        this.elements.cancelSubdomains.addEventListener('click', () => {
+            this.hideSubdomainsPanel();
+        });
+
+        // Bulk mode
+        this.elements.bulkModeButton.addEventListener('click', () => {
+            this.elements.bulkPanel.classList.toggle('hidden');
+            if (!this.elements.bulkPanel.classList.contains('hidden')) {
+                this.elements.bulkInput.focus();
+            }
+        });
+
+        this.elements.closeBulk.addEventListener('click', () => {
+            this.elements.bulkPanel.classList.add('hidden');
+        });
+
+        // Registration history
+        this.elements.closeHistory.addEventListener('click', () => {
+            this.hideHistory();
+        });
+
+        // Watchlist
+        this.elements.closeWatchlist.addEventListener('click', () => {
+            this.hideWatchlist();
+        });
+
+        this.elements.watchlistTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unwatch-domain]');
+            if (button) {
+                window.dispatchEvent(new CustomEvent('unwatchDomainRequested', {
+                    detail: { domain: button.dataset.unwatchDomain, network: button.dataset.network }
+                }));
+            }
+        });
+
+        // RPC settings
+        this.elements.closeRpcPanel.addEventListener('click', () => {
+            this.hideRpcPanel();
+        });
+
+        this.elements.rpcEndpointInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.elements.addRpcEndpoint.click();
+            }
+        });
+
+        this.elements.rpcTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-rpc]');
+            if (button) {
+                window.dispatchEvent(new CustomEvent('rpcEndpointRemoveRequested', {
+                    detail: { network: this.getRpcPanelNetwork(), url: button.dataset.removeRpc }
+                }));
+            }
+        });
+
+        this.elements.bulkFile.addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.elements.bulkInput.value = await file.text();
+            }
+        });
+
+        this.elements.bulkResults.querySelector('thead').addEventListener('click', (e) => {
+            const header = e.target.closest('[data-sort]');
+            if (header) {
+                const { sort } = header.dataset;
+                this.bulkSort = {
+                    key: sort,
+                    direction: this.bulkSort.key === sort ? -this.bulkSort.direction : 1
+                };
+                this.renderBulkTable();
+            }
+        });
+
+        this.elements.bulkTableBody.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-bulk-domain]');
+            if (checkbox) {
+                const { bulkDomain } = checkbox.dataset;
+                if (checkbox.checked) {
+                    this.bulkSelected.add(bulkDomain);
+                } else {
+                    this.bulkSelected.delete(bulkDomain);
+                }
+                this.updateBulkSummary();
+            }
+        });
+
+        this.elements.bulkSelectAll.addEventListener('change', (e) => {
+            this.bulkSelected = e.target.checked
+                ? new Set(this.bulkRows.filter(row => row.status === 'available').map(row => row.domain))
+                : new Set();
+            this.renderBulkTable();
+        });
+
+        this.elements.bulkPaymentMethod.addEventListener('change', () => {
+            this.updateBulkSummary();
+        });
+
+        this.elements.subdomainLabel.addEventListener('input', (e) => {
+            e.target.value = e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, '').replace(/--+/g, '-');
+        });
+
+        this.elements.cancelTransfer.addEventListener('click', () => {
+            this.hideTransferForm();
+        });
+
+        this.elements.cancelRecords.addEventListener('click', () => {
+            this.hideRecordsForm();
+        });
+
+        // Clear a record's error as soon as it is edited
+        this.elements.recordsList.addEventListener('input', (e) => {
+            const field = e.target.closest('[data-record]');
+            if (field) {
+                this.setRecordError(field.dataset.record, null);
+            }
+        });
+
         // Auto-hide notification
         this.elements.notification.addEventListener('transitionend', (e) => {
             if (e.propertyName === 'opacity' && !this.elements.notification.classList.contains('hidden')) {
@@ -121,28 +535,37 @@ export class UIManager {
         });
     }
 
+    // Fills both network pickers; clusters come from getClusters() in clusters.js
+    setClusterOptions(clusters) {
+        const options = clusters
+            .map(cluster => `<option value="${escapeHtml(cluster.id)}">${escapeHtml(cluster.label)}</option>`)
+            .join('');
+
+        for (const select of [this.elements.networkSelect, this.elements.rpcNetwork]) {
+            const { value } = select;
+            select.innerHTML = options;
+            if (clusters.some(cluster => cluster.id === value)) {
+                select.value = value;
+            }
+        }
+    }
+
     updateNetworkStatus(network, isHealthy = true) {
         const statusDot = this.elements.networkStatus.querySelector('.status-dot');
         const statusText = this.elements.networkStatus.querySelector('.status-text');
+        const cluster = getCluster(network);
         
-        statusText.textContent = network.charAt(0).toUpperCase() + network.slice(1);
+        statusText.textContent = cluster.label;
         
         // Update status dot color
-        statusDot.className = `status-dot ${network}`;
+        statusDot.className = `status-dot ${cluster.custom ? 'custom' : cluster.id}`;
+        statusDot.style.background = isHealthy ? '' : 'var(--error-color)';
         
         // Update network select
         this.elements.networkSelect.value = network;
         
         // Show/hide airdrop button based on network
-        if (network === 'devnet') {
-            this.elements.requestAirdrop.classList.remove('hidden');
-        } else {
-            this.elements.requestAirdrop.classList.add('hidden');
-        }
-        
-        if (!isHealthy) {
-            statusDot.style.background = 'var(--error-color)';
-        }
+        this.elements.requestAirdrop.classList.toggle('hidden', !cluster.airdrop);
     }
 
     setupNotificationAutoHide() {
@@ -152,6 +575,209 @@ export class UIManager {
         }, 5000);
     }
 
+    // wallets: [{ name, url, icon, installed }] from WalletManager.getAvailableWallets()
+    showWalletPicker(wallets) {
+        this.elements.walletList.innerHTML = wallets.map(wallet => {
+            const name = escapeHtml(wallet.name);
+            const icon = wallet.icon
+                ? `<img class="wallet-icon" src="${escapeHtml(wallet.icon)}" alt="">`
+                : '<span class="wallet-icon"></span>';
+
+            if (!wallet.installed) {
+                return `
+                    <a class="wallet-option not-installed" href="${wallet.url}" target="_blank" rel="noopener">
+                        ${icon}
+                        <span>${name}</span>
+                        <span class="wallet-option-status">Install</span>
+                    </a>
+                `;
+            }
+
+            return `
+                <button class="wallet-option" data-wallet-name="${name}">
+                    ${icon}
+                    <span>${name}</span>
+                    <span class="wallet-option-status">Detected</span>
+                </button>
+            `;
+        }).join('');
+
+        this.elements.walletModal.classList.remove('hidden');
+    }
+
+    hideWalletPicker() {
+        this.elements.walletModal.classList.add('hidden');
+    }
+
+    isWalletPickerVisible() {
+        return !this.elements.walletModal.classList.contains('hidden');
+    }
+
+    /**
+     * Shows what a simulated transaction will do (see TransactionPreviewer)
+     * and resolves to true if the user continues to the wallet. A failed
+     * simulation is shown with its logs and resolves to false right away.
+     */
+    showTransactionPreview(preview) {
+        this.hideTransactionPreview(false);
+
+        const failed = Boolean(preview.error);
+        this.elements.transactionPreviewTitle.textContent = failed ? 'Transaction Would Fail' : 'Review Transaction';
+        this.elements.transactionPreviewBody.innerHTML = this.renderTransactionPreview(preview);
+        this.elements.confirmTransactionPreview.classList.toggle('hidden', failed);
+        this.elements.cancelTransactionPreview.textContent = failed ? 'Close' : 'Cancel';
+        this.elements.transactionPreviewModal.classList.remove('hidden');
+
+        if (failed) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            this.previewResolver = resolve;
+        });
+    }
+
+    hideTransactionPreview(approved = false) {
+        this.elements.transactionPreviewModal.classList.add('hidden');
+
+        if (this.previewResolver) {
+            const resolve = this.previewResolver;
+            this.previewResolver = null;
+            resolve(approved);
+        }
+    }
+
+    renderTransactionPreview(preview) {
+        const formatChange = (change, unit) => `${change > 0 ? '+' : ''}${change} ${escapeHtml(unit)}`;
+        const label = (address, isWallet) => isWallet ? 'Your wallet' : this.formatAddress(address);
+        const sections = [];
+
+        if (preview.error) {
+            sections.push(`<p class="preview-error">${escapeHtml(preview.error)}</p>`);
+        }
+
+        sections.push(`
+            <h4>Instructions</h4>
+            <ul class="preview-list">
+                ${preview.programs.map(group => `
+                    <li>
+                        <strong>${escapeHtml(group.program)}</strong>
+                        <ul>
+                            ${group.instructions.map(instruction => `
+                                <li>${escapeHtml(instruction.name)}${instruction.details ? ` <span class="preview-detail">${escapeHtml(instruction.details)}</span>` : ''}</li>
+                            `).join('')}
+                        </ul>
+                    </li>
+                `).join('')}
+            </ul>
+        `);
+
+        if (preview.solChanges.length > 0 || preview.tokenChanges.length > 0) {
+            sections.push(`
+                <h4>Balance Changes</h4>
+                <ul class="preview-list">
+                    ${preview.solChanges.map(entry => `
+                        <li>${label(entry.address, entry.isWallet)} <span class="preview-change ${entry.change > 0 ? 'positive' : 'negative'}">${formatChange(entry.change, 'SOL')}</span></li>
+                    `).join('')}
+                    ${preview.tokenChanges.map(entry => `
+                        <li>${label(entry.owner, entry.isWallet)} <span class="preview-change ${entry.change > 0 ? 'positive' : 'negative'}">${formatChange(entry.change, entry.symbol || this.formatAddress(entry.mint))}</span></li>
+                    `).join('')}
+                </ul>
+            `);
+        }
+
+        if (preview.createdAccounts.length > 0) {
+            sections.push(`
+                <h4>Accounts Created</h4>
+                <ul class="preview-list">
+                    ${preview.createdAccounts.map(account => `
+                        <li>${this.formatAddress(account.address)} <span class="preview-detail">${escapeHtml(account.owner)}, ${account.space} bytes, ${account.rent} SOL rent</span></li>
+                    `).join('')}
+                </ul>
+                <p class="preview-total">Rent paid: ${preview.rent} SOL</p>
+            `);
+        }
+
+        if (!preview.error) {
+            sections.push(`<p class="preview-total">Network fee: ${preview.feeSol} SOL</p>`);
+        }
+
+        if (preview.error && preview.logs.length > 0) {
+            sections.push(`
+                <h4>Program Logs</h4>
+                <pre class="preview-logs">${preview.logs.map(escapeHtml).join('\n')}</pre>
+            `);
+        }
+
+        return sections.join('');
+    }
+
+    showRpcPanel(network) {
+        this.elements.rpcNetwork.value = network;
+        this.elements.rpcPanel.classList.remove('hidden');
+    }
+
+    hideRpcPanel() {
+        this.elements.rpcPanel.classList.add('hidden');
+    }
+
+    isRpcPanelVisible() {
+        return !this.elements.rpcPanel.classList.contains('hidden');
+    }
+
+    getRpcPanelNetwork() {
+        return this.elements.rpcNetwork.value;
+    }
+
+    // Only clusters added by the user can be removed
+    updateRemoveClusterButton() {
+        const cluster = getCluster(this.getRpcPanelNetwork());
+        this.elements.removeCluster.classList.toggle('hidden', !cluster?.custom);
+    }
+
+    getClusterForm() {
+        return {
+            label: this.elements.clusterName.value,
+            url: this.elements.clusterUrl.value,
+            sns: this.elements.clusterSns.value || null
+        };
+    }
+
+    clearClusterForm() {
+        this.elements.clusterName.value = '';
+        this.elements.clusterUrl.value = '';
+    }
+
+    // endpoints come ranked from WalletManager.getRpcEndpointStatus
+    renderRpcEndpoints(endpoints) {
+        this.elements.rpcTableBody.innerHTML = endpoints.map(endpoint => {
+            const url = escapeHtml(endpoint.url);
+            const status = endpoint.samples === 0 ? 'untested' : endpoint.degraded ? 'degraded' : 'healthy';
+            const title = endpoint.lastError ? ` title="${escapeHtml(endpoint.lastError)}"` : '';
+
+            return `
+                <tr>
+                    <td>${url}${endpoint.active ? '<span class="rpc-active">active</span>' : ''}</td>
+                    <td><span class="rpc-status ${status}"${title}>${status}</span></td>
+                    <td>${endpoint.latency === null ? '—' : `${endpoint.latency} ms`}</td>
+                    <td>${endpoint.samples === 0 ? '—' : `${Math.round(endpoint.errorRate * 100)}%`}</td>
+                    <td>${endpoint.custom ? `<button class="btn btn-secondary" data-remove-rpc="${url}">Remove</button>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Shown only with a backend API and a connected wallet
+    updateSignInButton(visible, signedIn = false, session = null) {
+        const button = this.elements.signInButton;
+        button.classList.toggle('hidden', !visible);
+        button.classList.toggle('connected', signedIn);
+        button.textContent = signedIn ? 'Sign Out' : 'Sign In';
+        button.title = signedIn
+            ? `Signed in until ${new Date(session.expiresAt).toLocaleString()}`
+            : 'Sign in with your wallet to use your registration history';
+    }
+
     updateWalletButton(isConnected, publicKey = null, balance = 0, network = 'mainnet') {
         if (isConnected && publicKey) {
             const shortKey = `${publicKey.slice(0, 4)}...${publicKey.slice(-4)}`;
@@ -162,28 +788,45 @@ export class UIManager {
             // Show balance
             this.elements.balanceAmount.textContent = balance.toFixed(4);
             this.elements.walletBalance.classList.remove('hidden');
+            this.elements.myDomainsButton.classList.remove('hidden');
+            this.elements.historyButton.classList.remove('hidden');
             
-            // Show airdrop button only on devnet
-            if (network === 'devnet') {
-                this.elements.requestAirdrop.classList.remove('hidden');
-            } else {
-                this.elements.requestAirdrop.classList.add('hidden');
-            }
+            // Show airdrop button only on test clusters
+            this.elements.requestAirdrop.classList.toggle('hidden', !getCluster(network)?.airdrop);
         } else {
             this.elements.connectWallet.textContent = 'Connect Wallet';
             this.elements.connectWallet.classList.remove('connected');
             this.elements.connectWallet.title = '';
             this.elements.walletBalance.classList.add('hidden');
             this.elements.requestAirdrop.classList.add('hidden');
+            this.elements.myDomainsButton.classList.add('hidden');
+            this.elements.historyButton.classList.add('hidden');
+            this.hideMyDomains();
+            this.hideHistory();
         }
     }
 
     showSearchResults(result) {
-        const { available, domain, basePrice, totalPrice, error, suggestions = [], network } = result;
+        const { status, available, domain, totalPrice, usdcPrice, priceUSD, solPrice, quote, error, network } = result;
         
         this.lastSearched = domain;
         
-        if (error) {
+        if (status === 'unknown') {
+            // The name may be taken, so registration stays closed until a check succeeds
+            this.elements.searchResults.innerHTML = `
+                <div class="result-content">
+                    <div class="result-icon">⚠️</div>
+                    <div class="result-text">
+                        <h3>Could not confirm ${domain}.sol</h3>
+                        <p>${error}</p>
+                        <p><small>Network: ${network}</small></p>
+                        <button class="btn btn-secondary" data-check-domain="${domain}">Check again</button>
+                    </div>
+                </div>
+            `;
+            this.elements.searchResults.className = 'search-results unknown';
+            this.hideRegistrationForm();
+        } else if (error) {
             this.elements.searchResults.innerHTML = `
                 <div class="result-content">
                     <div class="result-icon">❌</div>
@@ -202,31 +845,20 @@ export class UIManager {
                     <div class="result-icon">✅</div>
                     <div class="result-text">
                         <h3>${domain}.sol is available!</h3>
-                        <p>Price: ${totalPrice} SOL (one-time purchase)</p>
+                        <p>Price: ${totalPrice} SOL${solPrice ? ` (~$${priceUSD})` : ''} or ${usdcPrice} USDC${quote.fee > 0 ? ` + ${quote.fee} SOL in app fees` : ''} (one-time purchase)</p>
+                        <ul class="quote-items">
+                            ${quote.lineItems.map(item => `<li>${item.label}: ${item.amount} ${quote.currency}</li>`).join('')}
+                        </ul>
                         <p>Own forever - No renewal fees</p>
                         <p><small>Network: ${network}</small></p>
+                        <p><small>${this.formatPriceQuote(solPrice)}</small></p>
                     </div>
                 </div>
             `;
             this.elements.searchResults.className = 'search-results available';
-            this.showRegistrationForm(domain, basePrice, totalPrice);
+            this.showRegistrationForm(result);
         } else {
-            let suggestionsHtml = '';
-            if (suggestions.length > 0) {
-                suggestionsHtml = `
-                    <div style="margin-top: 16px;">
-                        <h4>Available alternatives:</h4>
-                        <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
-                            ${suggestions.map(s => `
-                                <button class="btn btn-secondary" onclick="document.getElementById('domainInput').value='${s.domain}'; document.getElementById('checkAvailability').click();" style="padding: 6px 12px; font-size: 0.9rem;">
-                                    ${s.domain}.sol (${s.price} SOL)
-                                </button>
-                            `).join('')}
-                        </div>
-                    </div>
-                `;
-            }
-            
+            // Alternatives stream in through addSuggestion()
             this.elements.searchResults.innerHTML = `
                 <div class="result-content">
                     <div class="result-icon">❌</div>
@@ -234,9 +866,15 @@ export class UIManager {
                         <h3>${domain}.sol is not available</h3>
                         <p>This domain is already registered.</p>
                         <p><small>Network: ${network}</small></p>
+                        <button class="btn btn-secondary" data-watch-domain="${domain}">Watch this name</button>
                     </div>
                 </div>
-                ${suggestionsHtml}
+                <div class="suggestions">
+                    <h4>Available alternatives:</h4>
+                    <div class="suggestion-list"></div>
+                    <p class="suggestion-status">Finding alternatives...</p>
+                    <button class="btn btn-secondary suggestion-more hidden" data-load-more-suggestions="${domain}">Load more</button>
+                </div>
             `;
             this.elements.searchResults.className = 'search-results unavailable';
             this.hideRegistrationForm();
@@ -245,16 +883,102 @@ export class UIManager {
         this.elements.searchResults.classList.remove('hidden');
     }
 
+    addSuggestion(baseDomain, { domain, price }) {
+        const list = this.elements.searchResults.querySelector('.suggestion-list');
+        if (this.lastSearched !== baseDomain || !list) {
+            return;
+        }
+
+        list.insertAdjacentHTML('beforeend', `
+            <button class="btn btn-secondary suggestion-button" data-check-domain="${domain}">
+                ${domain}.sol (${price} SOL)
+            </button>
+        `);
+    }
+
+    setSuggestionsStatus(baseDomain, { loading = false, hasMore = false, error = null } = {}) {
+        const status = this.elements.searchResults.querySelector('.suggestion-status');
+        if (this.lastSearched !== baseDomain || !status) {
+            return;
+        }
+
+        const count = this.elements.searchResults.querySelectorAll('.suggestion-button').length;
+        if (loading) {
+            status.textContent = 'Finding alternatives...';
+        } else if (error) {
+            status.textContent = `Could not load alternatives: ${error}`;
+        } else if (count === 0) {
+            status.textContent = 'No available alternatives found';
+        } else {
+            status.textContent = '';
+        }
+
+        status.classList.toggle('hidden', !status.textContent);
+        this.elements.searchResults.querySelector('[data-load-more-suggestions]')
+            .classList.toggle('hidden', loading || !hasMore);
+    }
+
+    showSubdomainResult(result) {
+        const { available, domain, parent, parentRegistered, isParentOwner, owner, quote, error, network } = result;
+
+        this.lastSearched = domain;
+        this.hideRegistrationForm();
+
+        let icon = '❌';
+        let title;
+        let body;
+        let className = 'search-results unavailable';
+
+        if (error) {
+            title = 'Error';
+            body = `<p>${error}</p>`;
+            className = 'search-results';
+        } else if (!parentRegistered) {
+            title = `${parent}.sol is not registered`;
+            body = '<p>Register the parent domain before creating subdomains under it.</p>';
+        } else if (!available) {
+            title = `${domain}.sol already exists`;
+            body = `<p>Owner: ${this.formatAddress(owner, 8, 8)}</p>`;
+        } else {
+            icon = '✅';
+            title = `${domain}.sol is available!`;
+            className = 'search-results available';
+            body = `
+                <ul class="quote-items">
+                    ${quote.lineItems.map(item => `<li>${item.label}: ${item.amount} ${quote.currency}</li>`).join('')}
+                </ul>
+                ${isParentOwner
+                    ? `<button class="btn btn-primary" data-create-subdomain="${parent}" data-label="${domain.split('.')[0]}">Create Subdomain</button>`
+                    : `<p>Only the owner of ${parent}.sol can create this subdomain.</p>`}
+            `;
+        }
+
+        this.elements.searchResults.innerHTML = `
+            <div class="result-content">
+                <div class="result-icon">${icon}</div>
+                <div class="result-text">
+                    <h3>${title}</h3>
+                    ${body}
+                    <p><small>Network: ${network}</small></p>
+                </div>
+            </div>
+        `;
+        this.elements.searchResults.className = className;
+        this.elements.searchResults.classList.remove('hidden');
+    }
+
     hideSearchResults() {
         this.elements.searchResults.classList.add('hidden');
     }
 
-    showRegistrationForm(domain, basePrice, totalPrice) {
+    showRegistrationForm({ domain, totalPrice, usdcPrice, solPrice = null, quote }) {
         this.elements.selectedDomain.value = `${domain}.sol`;
+        this.elements.promoCode.value = '';
         this.currentDomain = domain;
-        this.basePrice = basePrice;
         this.totalPrice = totalPrice;
-        this.updatePricing();
+        this.usdcPrice = usdcPrice;
+        this.solPrice = solPrice;
+        this.updateQuote(quote);
         this.elements.registrationForm.classList.remove('hidden');
         
         // Scroll to form
@@ -268,17 +992,111 @@ export class UIManager {
         this.elements.registrationForm.classList.add('hidden');
     }
 
+    updateQuote(quote) {
+        this.quote = quote;
+        this.basePrice = quote.total;
+        this.totalPrice = quote.total + this.networkFee;
+        this.updatePricing();
+    }
+
     updatePricing() {
-        if (!this.basePrice) return;
+        if (!this.quote) return;
         
         const paymentMethod = this.elements.paymentMethod.value;
+        this.updateUSDEquivalent(paymentMethod);
         
-        this.elements.domainPrice.textContent = `${this.basePrice} ${paymentMethod}`;
-        this.elements.networkFee.textContent = `~${this.networkFee} ${paymentMethod}`;
-        this.elements.totalCost.textContent = `${(this.basePrice + this.networkFee).toFixed(4)} ${paymentMethod}`;
+        // Network fees are always paid in SOL, whatever the domain is paid with
+        const fee = this.networkFeeExact ? `${this.networkFee} SOL` : `~${this.networkFee} SOL`;
+        if (!this.elements.networkFee.classList.contains('calculating')) {
+            this.elements.networkFee.textContent = fee;
+        }
+
+        if (paymentMethod === 'USDC') {
+            // The registrar takes its USD price in USDC; app fees stay in SOL
+            this.renderQuoteLines([
+                { label: 'SNS registrar price', amount: this.usdcPrice, currency: 'USDC' },
+                ...this.quote.lineItems.filter(item => item.id !== 'registrar')
+            ], this.quote.currency);
+            const appFees = this.quote.fee > 0 ? `${this.quote.fee} SOL + ` : '';
+            this.elements.totalCost.textContent = `${this.usdcPrice} USDC + ${appFees}${fee}`;
+            return;
+        }
+
+        this.renderQuoteLines(this.quote.lineItems, this.quote.currency);
+        this.elements.totalCost.textContent = `${Number((this.basePrice + this.networkFee).toFixed(9))} SOL`;
+    }
+
+    getPrioritySetting() {
+        const level = this.elements.priorityLevel.value;
+        const custom = this.elements.customPriorityFee.value;
+        return { level, microLamports: level === 'custom' && custom !== '' ? Number(custom) : null };
+    }
+
+    setPrioritySetting({ level, microLamports }) {
+        this.elements.priorityLevel.value = level;
+        this.elements.customPriorityFee.value = microLamports ?? '';
+        this.elements.customPriorityFee.classList.toggle('hidden', level !== 'custom');
+    }
+
+    setNetworkFeeLoading() {
+        this.elements.networkFee.classList.add('calculating');
+        this.elements.networkFee.textContent = 'Calculating...';
+    }
+
+    // estimate comes from FeeEstimator.estimate; null falls back to the rough allowance
+    setNetworkFee(estimate, error = null) {
+        this.elements.networkFee.classList.remove('calculating');
+
+        if (estimate) {
+            this.networkFee = estimate.feeSol;
+            this.networkFeeExact = true;
+            this.elements.networkFee.title = `${estimate.units} compute units at ${estimate.microLamports} micro-lamports (${estimate.level} priority)`;
+        } else {
+            this.networkFee = 0.001;
+            this.networkFeeExact = false;
+            this.elements.networkFee.title = error || 'Connect a wallet for the exact fee';
+        }
+
+        this.updatePricing();
+    }
+
+    renderQuoteLines(lineItems, currency) {
+        this.elements.quoteLines.innerHTML = lineItems.map(item => `
+            <div class="price-row">
+                <span>${item.label}:</span>
+                <span>${item.amount} ${item.currency || currency}</span>
+            </div>
+        `).join('');
+    }
+
+    updateUSDEquivalent(paymentMethod) {
+        this.elements.priceTimestamp.textContent = this.formatPriceQuote(this.solPrice);
+
+        if (!this.solPrice) {
+            this.elements.usdEquivalent.textContent = 'N/A';
+            return;
+        }
+
+        const feeUSD = (this.networkFee + this.quote.fee) * this.solPrice.price;
+        const totalUSD = paymentMethod === 'USDC'
+            ? this.usdcPrice + feeUSD
+            : (this.basePrice + this.networkFee) * this.solPrice.price;
+
+        this.elements.usdEquivalent.textContent = `~$${totalUSD.toFixed(2)}`;
     }
 
-    showTransactionStatus() {
+    formatPriceQuote(quote) {
+        if (!quote) {
+            return 'SOL/USD price unavailable';
+        }
+
+        const confidence = quote.confidence ? ` ±$${quote.confidence.toFixed(2)}` : '';
+        const updatedAt = new Date(quote.publishTime).toLocaleTimeString();
+        return `SOL/USD $${quote.price.toFixed(2)}${confidence} via ${quote.source} (as of ${updatedAt}, ${Math.round(quote.age / 1000)}s ago)`;
+    }
+
+    showTransactionStatus(action = 'registration') {
+        this.applyTransactionCopy(action);
         this.elements.transactionStatus.classList.remove('hidden');
         this.resetTransactionSteps();
         this.setTransactionStep(1, 'active');
@@ -291,14 +1109,56 @@ export class UIManager {
         });
     }
 
+    applyTransactionCopy(action) {
+        const copy = TRANSACTION_COPY[action];
+
+        copy.steps.forEach(([title, description], index) => {
+            const element = this.elements[`step${index + 1}`];
+            element.querySelector('.step-text h4').textContent = title;
+            element.querySelector('.step-text p').textContent = description;
+        });
+
+        this.elements.transactionDetailsTitle.textContent = copy.title;
+        this.elements.txOwnership.textContent = copy.ownership;
+    }
+
     resetTransactionSteps() {
         [1, 2, 3, 4].forEach(step => {
             const element = this.elements[`step${step}`];
-            element.classList.remove('active', 'completed');
+            element.classList.remove('active', 'completed', 'error');
             const statusElement = element.querySelector('.step-status');
             statusElement.innerHTML = '';
         });
         this.elements.transactionDetails.classList.add('hidden');
+        this.elements.transactionExpired.classList.add('hidden');
+        this.trackedSignature = null;
+    }
+
+    // Maps WalletManager.signAndSendTransaction statuses onto the four steps:
+    // wallet approval, sent (processing), processed (confirmation), confirmed
+    updateTransactionProgress(status, detail = {}) {
+        if (status === 'signing') {
+            this.setTransactionStep(1, 'completed');
+            this.setTransactionStep(2, 'active');
+        } else if (status === 'sent') {
+            this.trackedSignature = detail.signature;
+            this.setTransactionStep(2, 'completed');
+            this.setTransactionStep(3, 'active');
+        } else if (status === 'processed') {
+            this.setTransactionStep(3, 'completed');
+            this.setTransactionStep(4, 'active');
+        } else if (status === 'confirmed') {
+            this.setTransactionStep(4, 'completed');
+        } else if (status === 'finalized' && detail.signature === this.trackedSignature) {
+            // Arrives after the success message, which shows 'Confirmed' until now
+            if (this.elements.txStatus.textContent === 'Confirmed') {
+                this.elements.txStatus.textContent = 'Finalized';
+            }
+        }
+    }
+
+    showTransactionExpired() {
+        this.elements.transactionExpired.classList.remove('hidden');
     }
 
     setTransactionStep(stepNumber, status) {
@@ -318,7 +1178,7 @@ export class UIManager {
     }
 
     updateTransactionStatus(status, details = {}) {
-        const { signature, domain, success, error, network, explorerUrl } = details;
+        const { signature, domain, success, error, network, explorerUrl, verification, action = 'registration', to } = details;
         
         if (success) {
             // Complete all steps
@@ -333,7 +1193,24 @@ export class UIManager {
             this.elements.txStatus.textContent = 'Confirmed';
             this.elements.transactionDetails.classList.remove('hidden');
             
-            this.showNotification(`Domain registered successfully on ${network}! 🎉`, 'success');
+            // The backend ledger re-checks the transaction when it is configured
+            if (action === 'transfer') {
+                this.elements.txOwnership.textContent = `Transferred to ${this.formatAddress(to)}`;
+                this.showNotification(`${domain}.sol transferred on ${network}!`, 'success');
+            } else if (action === 'subdomain') {
+                if (to) {
+                    this.elements.txOwnership.textContent = `Assigned to ${this.formatAddress(to)}`;
+                }
+                this.showNotification(`${domain}.sol created on ${network}!`, 'success');
+            } else if (action === 'subdomainDeletion') {
+                this.showNotification(`${domain}.sol deleted on ${network}`, 'success');
+            } else if (verification && verification.status !== 'confirmed') {
+                this.elements.txStatus.textContent = `Ledger: ${verification.status}`;
+                const reason = verification.mismatches?.length ? `: ${verification.mismatches.join('; ')}` : '';
+                this.showNotification(`Transaction sent, but server verification reports ${verification.status}${reason}`, 'warning');
+            } else {
+                this.showNotification(`Domain registered successfully on ${network}! 🎉`, 'success');
+            }
             
             // Auto-reset after delay
             setTimeout(() => {
@@ -368,6 +1245,427 @@ export class UIManager {
         this.elements.transactionStatus.classList.add('hidden');
     }
 
+    showMyDomainsLoading(network) {
+        this.elements.myDomainsList.innerHTML = `<div class="panel-empty">Loading your domains on ${network}...</div>`;
+        this.elements.myDomains.classList.remove('hidden');
+    }
+
+    showMyDomains(domains, network) {
+        if (domains.length === 0) {
+            this.elements.myDomainsList.innerHTML = `<div class="panel-empty">No .sol domains owned by this wallet on ${network}.</div>`;
+        } else {
+            this.elements.myDomainsList.innerHTML = domains.map(domain => `
+                <div class="domain-card">
+                    <div class="domain-card-header">
+                        <h4>${domain.name ? `${escapeHtml(domain.name)}.sol` : 'Unknown name'}</h4>
+                        ${domain.isPrimary ? '<span class="badge primary">Primary</span>' : ''}
+                    </div>
+                    <div class="detail-row">
+                        <span>Name Account:</span>
+                        <a href="${escapeHtml(domain.explorerUrl)}" target="_blank" class="tx-link">${this.formatAddress(domain.nameAccount, 8, 8)}</a>
+                    </div>
+                    <div class="detail-row">
+                        <span>Owner:</span>
+                        <span class="tx-link">${this.formatAddress(domain.owner, 8, 8)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span>Registry Data:</span>
+                        <span>${domain.dataSize} bytes (${(domain.lamports / 1e9).toFixed(4)} SOL rent)</span>
+                    </div>
+                    ${domain.name ? `
+                        <div class="domain-card-actions">
+                            <button class="btn btn-secondary" data-records-domain="${escapeHtml(domain.name)}">Records</button>
+                            <button class="btn btn-secondary" data-subdomains-domain="${escapeHtml(domain.name)}">Subdomains</button>
+                            <button class="btn btn-secondary" data-transfer-domain="${escapeHtml(domain.name)}">Transfer</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+        }
+
+        this.elements.myDomains.classList.remove('hidden');
+    }
+
+    showMyDomainsError(message) {
+        this.elements.myDomainsList.innerHTML = `<div class="panel-empty">❌ ${escapeHtml(message)}</div>`;
+        this.elements.myDomains.classList.remove('hidden');
+    }
+
+    showTransferForm(domain) {
+        this.elements.transferDomain.value = `${domain}.sol`;
+        this.elements.transferRecipient.value = '';
+        this.transferDomain = domain;
+        this.elements.transferPanel.classList.remove('hidden');
+        this.elements.transferPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.elements.transferRecipient.focus();
+    }
+
+    hideTransferForm() {
+        this.elements.transferPanel.classList.add('hidden');
+        this.transferDomain = null;
+    }
+
+    showRecordsLoading(domain) {
+        this.recordsDomain = domain;
+        this.elements.recordsTitle.textContent = `Records for ${domain}.sol`;
+        this.elements.recordsList.innerHTML = '<div class="panel-empty">Loading records...</div>';
+        this.elements.saveRecords.disabled = true;
+        this.elements.recordsPanel.classList.remove('hidden');
+        this.elements.recordsPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    showRecordsForm(domain, records) {
+        this.recordsDomain = domain;
+        this.elements.recordsList.innerHTML = records.map(entry => `
+            <div class="form-group record-field" data-record="${entry.record}">
+                <label for="record-${entry.record}">
+                    ${entry.label}
+                    ${entry.exists && entry.stale ? '<span class="badge">Stale</span>' : ''}
+                </label>
+                <input type="text" id="record-${entry.record}" placeholder="${entry.placeholder}">
+                <div class="record-error hidden"></div>
+            </div>
+        `).join('');
+
+        // Values come from chain, so set them as properties rather than markup
+        for (const entry of records) {
+            this.elements.recordsList.querySelector(`#record-${entry.record}`).value = entry.value;
+            if (entry.error) {
+                this.setRecordError(entry.record, entry.error);
+            }
+        }
+
+        this.elements.saveRecords.disabled = false;
+    }
+
+    showRecordsError(message) {
+        this.elements.recordsList.innerHTML = `<div class="panel-empty">❌ ${escapeHtml(message)}</div>`;
+        this.elements.saveRecords.disabled = true;
+        this.elements.recordsPanel.classList.remove('hidden');
+    }
+
+    getRecordValues() {
+        const values = {};
+        this.elements.recordsList.querySelectorAll('[data-record]').forEach(field => {
+            values[field.dataset.record] = field.querySelector('input').value.trim();
+        });
+        return values;
+    }
+
+    setRecordError(record, message) {
+        const field = this.elements.recordsList.querySelector(`[data-record="${record}"]`);
+        if (!field) {
+            return;
+        }
+
+        const errorElement = field.querySelector('.record-error');
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+        field.classList.toggle('invalid', Boolean(message));
+    }
+
+    hideRecordsForm() {
+        this.elements.recordsPanel.classList.add('hidden');
+        this.recordsDomain = null;
+    }
+
+    showSubdomainsPanel(parent, label = '') {
+        this.subdomainParent = parent;
+        this.elements.subdomainsTitle.textContent = `Subdomains of ${parent}.sol`;
+        this.elements.subdomainSuffix.textContent = `.${parent}.sol`;
+        this.elements.subdomainLabel.value = label;
+        this.elements.subdomainOwner.value = '';
+        this.elements.subdomainQuote.innerHTML = '';
+        this.elements.subdomainsList.innerHTML = '<div class="panel-empty">Loading subdomains...</div>';
+        this.elements.subdomainsPanel.classList.remove('hidden');
+        this.elements.subdomainsPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.elements.subdomainLabel.focus();
+    }
+
+    showSubdomains(subdomains) {
+        if (subdomains.length === 0) {
+            this.elements.subdomainsList.innerHTML = `<div class="panel-empty">${escapeHtml(this.subdomainParent)}.sol has no subdomains yet.</div>`;
+            return;
+        }
+
+        this.elements.subdomainsList.innerHTML = subdomains.map(subdomain => `
+            <div class="domain-card">
+                <div class="domain-card-header">
+                    <h4>${escapeHtml(subdomain.name)}.sol</h4>
+                </div>
+                <div class="detail-row">
+                    <span>Name Account:</span>
+                    <a href="${escapeHtml(subdomain.explorerUrl)}" target="_blank" class="tx-link">${this.formatAddress(subdomain.nameAccount, 8, 8)}</a>
+                </div>
+                <div class="detail-row">
+                    <span>Owner:</span>
+                    <span class="tx-link">${this.formatAddress(subdomain.owner, 8, 8)}</span>
+                </div>
+                <div class="domain-card-actions">
+                    <button class="btn btn-secondary" data-assign-subdomain="${escapeHtml(subdomain.name)}">Assign</button>
+                    <button class="btn btn-secondary" data-delete-subdomain="${escapeHtml(subdomain.name)}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    showSubdomainsError(message) {
+        this.elements.subdomainsList.innerHTML = `<div class="panel-empty">❌ ${escapeHtml(message)}</div>`;
+    }
+
+    updateSubdomainQuote(quote) {
+        if (!quote) {
+            this.elements.subdomainQuote.innerHTML = '';
+            return;
+        }
+
+        if (quote.reserved) {
+            this.elements.subdomainQuote.innerHTML = `<li>${escapeHtml(quote.domain)}.sol is reserved</li>`;
+            return;
+        }
+
+        this.elements.subdomainQuote.innerHTML = [
+            ...quote.lineItems.map(item => `<li>${escapeHtml(item.label)}: ${escapeHtml(item.amount)} ${escapeHtml(quote.currency)}</li>`),
+            `<li>Total: ${escapeHtml(quote.total)} ${escapeHtml(quote.currency)} + ~${this.networkFee} SOL network fee</li>`
+        ].join('');
+    }
+
+    hideSubdomainsPanel() {
+        this.elements.subdomainsPanel.classList.add('hidden');
+        this.subdomainParent = null;
+    }
+
+    isSubdomainsPanelVisible() {
+        return !this.elements.subdomainsPanel.classList.contains('hidden');
+    }
+
+    startBulkResults(names) {
+        this.bulkRows = names.map(domain => ({ domain, status: 'checking' }));
+        this.bulkSelected = new Set();
+        this.elements.bulkSelectAll.checked = false;
+        this.elements.bulkResults.classList.remove('hidden');
+        this.renderBulkTable();
+    }
+
+    updateBulkRow(row) {
+        const index = this.bulkRows.findIndex(existing => existing.domain === row.domain);
+        if (index === -1) {
+            return;
+        }
+
+        this.bulkRows[index] = { ...this.bulkRows[index], ...row };
+        if (row.status === 'available') {
+            this.bulkSelected.add(row.domain);
+        } else {
+            this.bulkSelected.delete(row.domain);
+        }
+        this.renderBulkTable();
+    }
+
+    renderBulkTable() {
+        const { key, direction } = this.bulkSort;
+        const value = (row) => {
+            if (key === 'status') return BULK_STATUS_ORDER.indexOf(row.status);
+            if (key === 'domain') return row.domain;
+            return row[key] ?? Infinity;
+        };
+
+        const rows = [...this.bulkRows].sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+            return order * direction;
+        });
+
+        this.elements.bulkTableBody.innerHTML = rows.map(row => {
+            const domain = escapeHtml(row.domain);
+            const detail = row.error || (row.owner ? `Owner ${this.formatAddress(row.owner)}` : '');
+            const status = row.explorerUrl
+                ? `<a href="${escapeHtml(row.explorerUrl)}" target="_blank" class="tx-link">${row.status}</a>`
+                : row.status;
+
+            return `
+                <tr>
+                    <td>
+                        ${row.status === 'available'
+                            ? `<input type="checkbox" data-bulk-domain="${domain}" ${this.bulkSelected.has(row.domain) ? 'checked' : ''}>`
+                            : ''}
+                    </td>
+                    <td>${domain}.sol</td>
+                    <td>
+                        <span class="bulk-status ${row.status}">${status}</span>
+                        ${detail ? `<br><small>${escapeHtml(detail)}</small>` : ''}
+                    </td>
+                    <td>${row.price ?? '—'}</td>
+                    <td>${row.usdcPrice ?? '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.elements.bulkResults.querySelectorAll('th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted-asc', header.dataset.sort === key && direction === 1);
+            header.classList.toggle('sorted-desc', header.dataset.sort === key && direction === -1);
+        });
+
+        this.updateBulkSummary();
+    }
+
+    updateBulkSummary() {
+        const selected = this.bulkRows.filter(row => this.bulkSelected.has(row.domain) && row.status === 'available');
+        const paymentMethod = this.elements.bulkPaymentMethod.value;
+        const total = selected.reduce((sum, row) => sum + (paymentMethod === 'USDC' ? row.usdcPrice : row.price), 0);
+        const appFees = paymentMethod === 'USDC' ? selected.reduce((sum, row) => sum + row.fee, 0) : 0;
+        const counts = BULK_STATUS_ORDER
+            .map(status => [status, this.bulkRows.filter(row => row.status === status).length])
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${status}`)
+            .join(', ');
+
+        this.elements.bulkSummary.textContent = `${counts}. Selected: ${selected.length} name(s), ` +
+            `${Number(total.toFixed(9))} ${paymentMethod}${appFees > 0 ? ` and ${Number(appFees.toFixed(9))} SOL in app fees` : ''} plus network fees.`;
+        this.elements.bulkRegister.disabled = selected.length === 0;
+    }
+
+    getSelectedBulkDomains() {
+        return this.bulkRows
+            .filter(row => row.status === 'available' && this.bulkSelected.has(row.domain))
+            .map(row => row.domain);
+    }
+
+    getBulkConcurrency() {
+        return Number(this.elements.bulkConcurrency.value) || 5;
+    }
+
+    setBulkProgress(message) {
+        this.elements.bulkProgress.textContent = message || '';
+        this.elements.bulkProgress.classList.toggle('hidden', !message);
+    }
+
+    hideMyDomains() {
+        this.elements.myDomains.classList.add('hidden');
+    }
+
+    isMyDomainsVisible() {
+        return !this.elements.myDomains.classList.contains('hidden');
+    }
+
+    showHistoryLoading() {
+        this.elements.historySource.textContent = 'Loading registration history...';
+        this.elements.historyTableBody.innerHTML = '';
+        this.elements.historyPanel.classList.remove('hidden');
+    }
+
+    // Filter options come from the rows, keeping the current selection
+    showHistory(rows, source) {
+        const fill = (select, values, allLabel) => {
+            const selected = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` + values
+                .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(getCluster(value)?.label || value)}</option>`)
+                .join('');
+            select.value = values.includes(selected) ? selected : '';
+        };
+
+        fill(this.elements.historyNetwork, [...new Set(rows.map(row => row.network))], 'All networks');
+        fill(this.elements.historyStatus, [...new Set(rows.map(row => row.status))], 'All statuses');
+
+        this.elements.historySource.textContent = source;
+        this.elements.historyPanel.classList.remove('hidden');
+    }
+
+    renderHistoryRows(rows) {
+        if (rows.length === 0) {
+            this.elements.historyTableBody.innerHTML = '<tr><td colspan="6" class="panel-empty">No registrations match these filters.</td></tr>';
+            return;
+        }
+
+        this.elements.historyTableBody.innerHTML = rows.map(row => {
+            const signature = this.formatAddress(row.signature, 8, 8);
+            const transaction = row.explorerUrl
+                ? `<a href="${escapeHtml(row.explorerUrl)}" target="_blank" rel="noopener" class="tx-link" title="${escapeHtml(row.signature)}">${escapeHtml(signature)}</a>`
+                : `<span title="${escapeHtml(row.signature)}">${escapeHtml(signature)}</span>`;
+
+            return `
+                <tr>
+                    <td>${escapeHtml(new Date(row.createdAt).toLocaleString())}</td>
+                    <td>${escapeHtml(row.domain)}.sol</td>
+                    <td>${escapeHtml(getCluster(row.network)?.label || row.network)}</td>
+                    <td>${row.cost} ${escapeHtml(row.paymentMethod)}</td>
+                    <td><span class="bulk-status ${escapeHtml(row.status)}">${escapeHtml(row.status)}</span></td>
+                    <td>${transaction}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    getHistoryFilters() {
+        return {
+            from: this.elements.historyFrom.value,
+            to: this.elements.historyTo.value,
+            network: this.elements.historyNetwork.value,
+            status: this.elements.historyStatus.value
+        };
+    }
+
+    hideHistory() {
+        this.elements.historyPanel.classList.add('hidden');
+    }
+
+    isHistoryVisible() {
+        return !this.elements.historyPanel.classList.contains('hidden');
+    }
+
+    // entries come from Watchlist.list()
+    showWatchlist(entries, webhookUrl) {
+        this.renderWatchlist(entries);
+        this.elements.watchlistWebhook.value = webhookUrl;
+        this.elements.watchlistPanel.classList.remove('hidden');
+    }
+
+    renderWatchlist(entries) {
+        if (entries.length === 0) {
+            this.elements.watchlistTableBody.innerHTML = '<tr><td colspan="6" class="panel-empty">No watched names yet. Check a taken name and choose "Watch this name".</td></tr>';
+            return;
+        }
+
+        this.elements.watchlistTableBody.innerHTML = entries.map(entry => {
+            const status = entry.available ? 'available' : 'taken';
+            const owner = entry.owner
+                ? `<span title="${escapeHtml(entry.owner)}">${escapeHtml(this.formatAddress(entry.owner))}</span>`
+                : '—';
+
+            return `
+                <tr>
+                    <td>${escapeHtml(entry.domain)}.sol</td>
+                    <td>${escapeHtml(getCluster(entry.network)?.label || entry.network)}</td>
+                    <td>${owner}</td>
+                    <td><span class="bulk-status ${status}">${status}</span></td>
+                    <td>${escapeHtml(new Date(entry.checkedAt).toLocaleString())}</td>
+                    <td><button class="btn btn-secondary" data-unwatch-domain="${escapeHtml(entry.domain)}" data-network="${escapeHtml(entry.network)}">Remove</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    hideWatchlist() {
+        this.elements.watchlistPanel.classList.add('hidden');
+    }
+
+    isWatchlistVisible() {
+        return !this.elements.watchlistPanel.classList.contains('hidden');
+    }
+
+    // Saves content through a temporary download link
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     showNotification(message, type = 'info') {
         this.elements.notificationMessage.textContent = message;
         this.elements.notification.className = `notification ${type}`;
@@ -417,6 +1715,9 @@ export class UIManager {
         this.currentDomain = null;
         this.basePrice = 0;
         this.totalPrice = 0;
+        this.usdcPrice = 0;
+        this.solPrice = null;
+        this.quote = null;
         this.lastSearched = null;
     }
 
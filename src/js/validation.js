@@ -0,0 +1,81 @@
+function validateLabel(label, noun) {
+    if (!label) {
+        return { isValid: false, error: `${noun} is required` };
+    }
+
+    // Request bodies can carry any JSON type
+    if (typeof label !== 'string') {
+        return { isValid: false, error: `${noun} must be a string` };
+    }
+
+    if (label.length < 1) {
+        return { isValid: false, error: `${noun} must be at least 1 character` };
+    }
+
+    if (label.length > 32) {
+        return { isValid: false, error: `${noun} cannot exceed 32 characters` };
+    }
+
+    // Check for valid characters (letters, numbers, hyphens)
+    const validCharRegex = /^[a-z0-9-]+$/;
+    if (!validCharRegex.test(label)) {
+        return { isValid: false, error: `${noun} can only contain lowercase letters, numbers, and hyphens` };
+    }
+
+    // Cannot start or end with hyphen
+    if (label.startsWith('-') || label.endsWith('-')) {
+        return { isValid: false, error: `${noun} cannot start or end with a hyphen` };
+    }
+
+    // Cannot have consecutive hyphens
+    if (label.includes('--')) {
+        return { isValid: false, error: `${noun} cannot contain consecutive hyphens` };
+    }
+
+    return { isValid: true };
+}
+
+export function validateDomainName(domain) {
+    return validateLabel(domain, 'Domain name');
+}
+
+// Splits "blog.mydomain" (optionally suffixed with .sol) into its labels
+export function parseDomainName(input) {
+    const name = (input || '').trim().toLowerCase().replace(/\.sol$/, '');
+    const labels = name.split('.');
+
+    if (labels.length === 2) {
+        return { name, label: labels[0], parent: labels[1], isSubdomain: true };
+    }
+
+    return { name, label: name, parent: null, isSubdomain: false };
+}
+
+export function isSubdomainName(input) {
+    return parseDomainName(input).isSubdomain;
+}
+
+export function validateSubdomainName(input) {
+    const { name, label, parent, isSubdomain } = parseDomainName(input);
+
+    if (!isSubdomain) {
+        return {
+            isValid: false,
+            error: name.split('.').length > 2
+                ? 'Only one level of subdomain is supported'
+                : 'Subdomain must be in the form sub.parent'
+        };
+    }
+
+    const labelValidation = validateLabel(label, 'Subdomain');
+    if (!labelValidation.isValid) {
+        return labelValidation;
+    }
+
+    const parentValidation = validateLabel(parent, 'Parent domain');
+    if (!parentValidation.isValid) {
+        return parentValidation;
+    }
+
+    return { isValid: true };
+}
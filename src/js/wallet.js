@@ -1,73 +1,208 @@
-import { Connection, PublicKey, clusterApiUrl } from '@solana/web3.js';
+import { Connection, PublicKey, Transaction } from '@solana/web3.js';
+import { WalletRegistry } from './wallets.js';
+import { RpcEndpointManager } from './rpc.js';
+import { getCluster, getExplorerUrl } from './clusters.js';
+import { FeeEstimator, getComputeBudgetPlaceholder } from './fees.js';
+import { TransactionPreviewer } from './preview.js';
+import { TransactionTracker } from './tracker.js';
+import { createSignInMessage } from './siws.js';
+
+// localStorage key remembering the wallet to reconnect silently on the next visit
+const LAST_WALLET_KEY = 'sns:lastWallet';
+
+// How often every endpoint of the current network gets a health probe
+const HEALTH_CHECK_INTERVAL = 30000;
+
+// Failures worth retrying on another endpoint: timeouts, rate limits, gateway errors
+const TRANSIENT_RPC_ERROR = /time(d)? ?out|429|too many requests|fetch failed|failed to fetch|networkerror|network request failed|econnreset|econnrefused|socket hang up|50[234]|bad gateway|service unavailable/i;
+
+export function isTransientRpcError(error) {
+    return TRANSIENT_RPC_ERROR.test(error?.message || '');
+}
 
 export class WalletManager {
     constructor() {
-        this.wallet = null;
+        this.wallet = null; // The selected adapter, see wallets.js
+        this.walletSubscriptions = [];
         this.connection = null;
         this.publicKey = null;
         this.isConnected = false;
         this.currentNetwork = 'mainnet';
+        this.wallets = new WalletRegistry(() => this.getCluster().chain);
+        this.rpc = new RpcEndpointManager();
+        this.healthTimer = null;
+        this.fees = new FeeEstimator(this);
+        this.previewer = new TransactionPreviewer(this);
+        this.tracker = new TransactionTracker(this);
+        this.transactionReviewer = null;
         
         // Initialize with mainnet by default
         this.initializeConnection('mainnet');
-        this.setupWalletEventListeners();
+
+        if (typeof window !== 'undefined') {
+            this.wallets.discover();
+        }
     }
 
+    // Healthiest first, see RpcEndpointManager.rank
+    getRpcEndpoints(network = this.currentNetwork) {
+        return this.rpc.rank(network);
+    }
+
+    // Stays on the previous cluster when none of the new cluster's endpoints answer
     async initializeConnection(network = 'mainnet') {
-        this.currentNetwork = network;
-        
-        let rpcEndpoints = [];
+        const rpcEndpoints = this.getRpcEndpoints(network);
         
-        if (network === 'mainnet') {
-            rpcEndpoints = [
-                'https://rpc.ankr.com/solana',
-                'https://solana-mainnet.g.alchemy.com/v2/demo',
-                'https://api.mainnet-beta.solana.com',
-                'https://mainnet.helius-rpc.com/?api-key=',
-                'https://solana-mainnet.rpc.extrnode.com'
-            ];
-        } else {
-            rpcEndpoints = [
-                'https://api.devnet.solana.com',
-                clusterApiUrl('devnet')
-            ];
+        for (const endpoint of rpcEndpoints) {
+            console.log(`Testing ${network} RPC: ${endpoint}`);
+            const health = await this.rpc.probe(endpoint);
+
+            if (!health.healthy) {
+                console.log(`❌ ${network} RPC failed:`, endpoint, health.error);
+                continue;
+            }
+
+            this.currentNetwork = network;
+            this.connection = new Connection(endpoint, 'confirmed');
+            console.log(`✅ Connected to ${network}:`, endpoint, health.version);
+
+            // Dispatch network change event
+            if (typeof window !== 'undefined') {
+                window.dispatchEvent(new CustomEvent('networkChanged', {
+                    detail: { network: this.currentNetwork }
+                }));
+            }
+
+            return;
         }
         
-        for (const endpoint of rpcEndpoints) {
+        throw new Error(`Failed to connect to ${network}`);
+    }
+
+    // Runs operation(connection) against the current endpoint and, when it fails
+    // with a transient error, against the network's other endpoints in turn.
+    // The endpoint that answers becomes the current connection.
+    async withRpcFailover(operation, { timeout = 5000 } = {}) {
+        if (!this.connection) {
+            throw new Error('No RPC connection');
+        }
+
+        const current = this.connection;
+        const endpoints = [
+            current.rpcEndpoint,
+            ...this.getRpcEndpoints().filter(endpoint => endpoint !== current.rpcEndpoint)
+        ];
+        let lastError;
+
+        for (const endpoint of endpoints) {
+            const connection = endpoint === current.rpcEndpoint ? current : new Connection(endpoint, 'confirmed');
+            const startTime = Date.now();
+
             try {
-                console.log(`Testing ${network} RPC: ${endpoint}`);
-                const testConnection = new Connection(endpoint, 'confirmed');
-                
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Connection timeout')), 3000)
+                const timeoutPromise = new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('RPC request timed out')), timeout)
                 );
-                
-                const versionPromise = testConnection.getVersion();
-                const version = await Promise.race([versionPromise, timeoutPromise]);
-                
-                this.connection = testConnection;
-                console.log(`✅ Connected to ${network}:`, endpoint, version);
-                
-                // Dispatch network change event
-                if (typeof window !== 'undefined') {
-                    window.dispatchEvent(new CustomEvent('networkChanged', {
-                        detail: { network: this.currentNetwork }
-                    }));
+                const result = await Promise.race([operation(connection), timeoutPromise]);
+                this.rpc.record(endpoint, { ok: true, latency: Date.now() - startTime });
+
+                if (connection !== current && this.connection === current) {
+                    console.log(`✅ Failed over to ${this.currentNetwork} RPC:`, endpoint);
+                    this.useRpcEndpoint(endpoint, 'failover', connection);
                 }
-                
-                return;
+
+                return result;
             } catch (error) {
-                console.log(`❌ ${network} RPC failed:`, endpoint, error.message);
+                if (!isTransientRpcError(error)) {
+                    throw error;
+                }
+
+                console.log(`❌ ${this.currentNetwork} RPC request failed:`, endpoint, error.message);
+                this.rpc.record(endpoint, { ok: false, error: error.message });
+                lastError = error;
             }
         }
-        
-        throw new Error(`Failed to connect to ${network}`);
+
+        throw lastError;
+    }
+
+    // Makes endpoint the current connection without announcing a network change
+    useRpcEndpoint(endpoint, reason, connection = new Connection(endpoint, 'confirmed')) {
+        this.connection = connection;
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('rpcEndpointChanged', {
+                detail: { network: this.currentNetwork, endpoint, reason }
+            }));
+        }
+    }
+
+    // Probes the current network's endpoints every HEALTH_CHECK_INTERVAL and
+    // moves off the active endpoint once it degrades
+    startHealthMonitor(interval = HEALTH_CHECK_INTERVAL) {
+        this.stopHealthMonitor();
+        this.healthTimer = setInterval(() => {
+            this.checkRpcEndpoints().catch(error => {
+                console.error('RPC health monitor error:', error);
+            });
+        }, interval);
+    }
+
+    stopHealthMonitor() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    // Probes every endpoint of network; on the current network this also
+    // switches away from a degraded active endpoint
+    async checkRpcEndpoints(network = this.currentNetwork) {
+        await this.rpc.probeAll(network);
+
+        // Skipped when the user switched networks while the probes ran
+        if (network === this.currentNetwork && this.connection) {
+            const current = this.connection.rpcEndpoint;
+            const [best] = this.getRpcEndpoints(network);
+
+            if (best !== current && this.rpc.getStats(current).degraded && !this.rpc.getStats(best).degraded) {
+                console.log(`⚠️ ${network} RPC degraded, switching:`, current, '→', best);
+                this.useRpcEndpoint(best, 'degraded');
+            }
+        }
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('rpcHealthChanged', { detail: { network } }));
+        }
+    }
+
+    // Ranked endpoint list for the RPC settings panel
+    getRpcEndpointStatus(network = this.currentNetwork) {
+        return this.getRpcEndpoints(network).map(url => ({
+            ...this.rpc.getStats(url),
+            custom: this.rpc.isCustom(network, url),
+            active: network === this.currentNetwork && url === this.connection?.rpcEndpoint
+        }));
+    }
+
+    async addRpcEndpoint(network, url) {
+        const endpoint = this.rpc.addEndpoint(network, url);
+        return this.rpc.probe(endpoint);
+    }
+
+    removeRpcEndpoint(network, url) {
+        this.rpc.removeEndpoint(network, url);
+
+        if (network === this.currentNetwork && this.connection?.rpcEndpoint === url) {
+            this.useRpcEndpoint(this.getRpcEndpoints(network)[0], 'removed');
+        }
     }
 
     async switchNetwork(network) {
         if (this.currentNetwork === network) {
             return { success: true, message: `Already on ${network}` };
         }
+
+        if (!getCluster(network)) {
+            return { success: false, error: `Unknown cluster: ${network}` };
+        }
         
         try {
             await this.initializeConnection(network);
@@ -85,63 +220,28 @@ export class WalletManager {
         }
     }
 
-    setupWalletEventListeners() {
-        if (typeof window !== 'undefined' && window.solana) {
-            window.solana.on('connect', (publicKey) => {
-                console.log('Wallet connected:', publicKey.toString());
-                this.handleWalletConnect(publicKey);
-            });
-
-            window.solana.on('disconnect', () => {
-                console.log('Wallet disconnected');
-                this.handleWalletDisconnect();
-            });
-
-            window.solana.on('accountChanged', (publicKey) => {
-                if (publicKey) {
-                    console.log('Account changed:', publicKey.toString());
-                    this.handleAccountChange(publicKey);
-                } else {
-                    this.handleWalletDisconnect();
-                }
-            });
-        }
+    getAvailableWallets() {
+        return this.wallets.list();
     }
 
-    async connectWallet() {
+    async connectWallet(walletName) {
         try {
-            if (!window.solana) {
-                throw new Error('Solana wallet not found. Please install Phantom, Solflare, or another Solana wallet.');
+            const adapter = this.wallets.get(walletName);
+            if (!adapter) {
+                throw new Error(`${walletName} is not installed. Please install it or choose another wallet.`);
             }
 
-            const isPhantom = window.solana.isPhantom;
-            const isSolflare = window.solana.isSolflare;
-            let walletName = 'Solana Wallet';
-            
-            if (isPhantom) {
-                walletName = 'Phantom';
-            } else if (isSolflare) {
-                walletName = 'Solflare';
-            }
+            await this.attachWallet(adapter, { silent: false });
+            localStorage.setItem(LAST_WALLET_KEY, adapter.name);
 
-            const response = await window.solana.connect({ onlyIfTrusted: false });
-            
-            if (!response.publicKey) {
-                throw new Error('Failed to connect to wallet');
-            }
-
-            this.publicKey = response.publicKey;
-            this.wallet = window.solana;
-            this.isConnected = true;
-
-            console.log(`${walletName} connected on ${this.currentNetwork}:`, this.publicKey.toString());
+            console.log(`${adapter.name} connected on ${this.currentNetwork}:`, this.publicKey.toString());
 
             return {
                 success: true,
                 publicKey: this.publicKey.toString(),
-                walletName: walletName,
+                walletName: adapter.name,
                 network: this.currentNetwork,
-                message: `${walletName} connected to ${this.currentNetwork}!`
+                message: `${adapter.name} connected to ${this.currentNetwork}!`
             };
 
         } catch (error) {
@@ -168,7 +268,48 @@ export class WalletManager {
         }
     }
 
+    // Silently reconnects the last used wallet, without prompting. Resolves to
+    // true when the wallet is connected again.
+    async reconnect() {
+        const walletName = localStorage.getItem(LAST_WALLET_KEY);
+        const adapter = walletName && this.wallets.get(walletName);
+        if (!adapter) {
+            return false;
+        }
+
+        try {
+            await this.attachWallet(adapter, { silent: true });
+            console.log(`${adapter.name} reconnected on ${this.currentNetwork}:`, this.publicKey.toString());
+            return true;
+        } catch (error) {
+            console.log(`Could not reconnect ${walletName}:`, error.message);
+            return false;
+        }
+    }
+
+    async attachWallet(adapter, { silent }) {
+        const publicKey = await adapter.connect({ silent });
+
+        this.walletSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.walletSubscriptions = [
+            adapter.on('accountChanged', (changed) => {
+                console.log('Account changed:', changed.toString());
+                this.handleAccountChange(changed);
+            }),
+            adapter.on('disconnect', () => {
+                console.log('Wallet disconnected');
+                this.handleWalletDisconnect();
+            })
+        ];
+
+        this.wallet = adapter;
+        this.handleWalletConnect(publicKey);
+    }
+
     async disconnect() {
+        // An explicit disconnect also stops the silent reconnect on the next visit
+        localStorage.removeItem(LAST_WALLET_KEY);
+
         try {
             if (this.wallet && this.isConnected) {
                 await this.wallet.disconnect();
@@ -195,6 +336,8 @@ export class WalletManager {
     }
 
     handleWalletDisconnect() {
+        this.walletSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.walletSubscriptions = [];
         this.wallet = null;
         this.publicKey = null;
         this.isConnected = false;
@@ -217,7 +360,13 @@ export class WalletManager {
         }
     }
 
-    async signAndSendTransaction(transaction) {
+    /**
+     * Simulates, has the user review the preview, signs and sends, then
+     * resolves once the transaction is confirmed. onStatus(status, detail)
+     * reports 'signing', 'sent', then 'processed', 'confirmed' and (after
+     * resolving) 'finalized', or 'expired' when the blockhash ran out first.
+     */
+    async signAndSendTransaction(transaction, onStatus = () => {}) {
         if (!this.isConnected || !this.wallet) {
             throw new Error('Wallet not connected');
         }
@@ -228,7 +377,7 @@ export class WalletManager {
             );
             
             const blockhashPromise = this.connection.getLatestBlockhash();
-            const { blockhash, lastValidBlockHeight } = await Promise.race([
+            const { blockhash } = await Promise.race([
                 blockhashPromise, 
                 timeoutPromise
             ]);
@@ -236,9 +385,28 @@ export class WalletManager {
             transaction.recentBlockhash = blockhash;
             transaction.feePayer = this.publicKey;
 
+            // Simulate first: the user sees what the transaction does before any wallet prompt
+            const preview = await this.previewer.preview(transaction);
+            const approved = await this.reviewTransaction(preview);
+
+            if (preview.error) {
+                throw Object.assign(new Error(preview.error), { logs: preview.logs });
+            }
+
+            if (!approved) {
+                throw new Error('Transaction rejected by user');
+            }
+
+            console.log(`Compute budget: ${preview.units} units at ${preview.microLamports} micro-lamports, fee ${preview.fee} lamports`);
+
+            // The review may have taken a while, so sign against a fresh blockhash
+            const { blockhash: signingBlockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+            preview.transaction.recentBlockhash = signingBlockhash;
+
             console.log(`Requesting transaction signature on ${this.currentNetwork}...`);
+            onStatus('signing');
 
-            const signedTransaction = await this.wallet.signTransaction(transaction);
+            const signedTransaction = await this.wallet.signTransaction(preview.transaction);
             
             console.log('Transaction signed, sending to network...');
 
@@ -252,12 +420,9 @@ export class WalletManager {
             );
 
             console.log(`Transaction sent on ${this.currentNetwork}:`, signature);
+            onStatus('sent', { signature, lastValidBlockHeight });
 
-            const confirmation = await this.connection.confirmTransaction({
-                signature,
-                blockhash,
-                lastValidBlockHeight
-            }, 'confirmed');
+            const confirmation = await this.tracker.track(signature, { lastValidBlockHeight }, onStatus);
             
             console.log('Transaction confirmed:', confirmation);
 
@@ -265,11 +430,18 @@ export class WalletManager {
                 success: true,
                 signature,
                 confirmation,
+                fee: preview.fee,
                 network: this.currentNetwork
             };
 
         } catch (error) {
             console.error('Transaction error:', error);
+
+            // Simulation failures keep their own message, the preview shows the logs;
+            // expiry keeps its flag so the caller can offer to sign again
+            if (error.logs || error.expired) {
+                throw error;
+            }
             
             if (error.message.includes('User rejected') || error.code === 4001) {
                 throw new Error('Transaction rejected by user');
@@ -287,6 +459,79 @@ export class WalletManager {
         }
     }
 
+    // reviewer(preview) resolves to true once the user approves; the app sets
+    // it to the preview dialog, see TransactionPreviewer.preview for the shape
+    setTransactionReviewer(reviewer) {
+        this.transactionReviewer = reviewer;
+    }
+
+    async reviewTransaction(preview) {
+        if (!this.transactionReviewer) {
+            return true;
+        }
+        return this.transactionReviewer(preview);
+    }
+
+    // Signs without sending, e.g. to approve several transactions in one prompt
+    async signAllTransactions(transactions) {
+        if (!this.isConnected || !this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        try {
+            return await this.wallet.signAllTransactions(transactions);
+        } catch (error) {
+            if (error.message?.includes('User rejected') || error.code === 4001) {
+                throw new Error('Transaction rejected by user');
+            }
+            throw error;
+        }
+    }
+
+    // Resolves to the 64-byte ed25519 signature of message (a Uint8Array)
+    async signMessage(message) {
+        if (!this.isConnected || !this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        try {
+            return await this.wallet.signMessage(message);
+        } catch (error) {
+            if (error.message?.includes('User rejected') || error.code === 4001) {
+                throw new Error('Message signing rejected by user');
+            }
+            throw error;
+        }
+    }
+
+    // Signs a Sign-In-With-Solana message for this wallet and network. fields
+    // carry the site (domain, uri) and the server's nonce, issuedAt and expirationTime.
+    async signIn(fields) {
+        if (!this.isConnected || !this.publicKey) {
+            throw new Error('Wallet not connected');
+        }
+
+        const message = createSignInMessage({
+            ...fields,
+            address: this.publicKey.toBase58(),
+            network: this.currentNetwork
+        });
+        const signature = await this.signMessage(new TextEncoder().encode(message));
+
+        return { message, signature: btoa(String.fromCharCode(...signature)) };
+    }
+
+    // Wire size of a transaction paid by this wallet, using a placeholder
+    // blockhash and counting the compute budget added when it is sent
+    getTransactionSize(transaction) {
+        const message = new Transaction({
+            feePayer: this.publicKey,
+            recentBlockhash: PublicKey.default.toBase58()
+        }).add(...getComputeBudgetPlaceholder(), ...transaction.instructions).compileMessage();
+
+        return message.serialize().length + 1 + 64 * message.header.numRequiredSignatures;
+    }
+
     async getBalance() {
         if (!this.isConnected || !this.publicKey) {
             return 0;
@@ -315,18 +560,18 @@ export class WalletManager {
         }
     }
 
-    // Airdrop for devnet testing
+    // Airdrop for test clusters (devnet, testnet, localnet and custom validators)
     async requestAirdrop(amount = 2) {
         if (!this.isConnected || !this.publicKey) {
             throw new Error('Wallet not connected');
         }
 
-        if (this.currentNetwork !== 'devnet') {
-            throw new Error('Airdrops are only available on devnet');
+        if (!this.canAirdrop()) {
+            throw new Error(`Airdrops are not available on ${this.getCluster().label}`);
         }
 
         try {
-            console.log(`Requesting ${amount} SOL airdrop on devnet...`);
+            console.log(`Requesting ${amount} SOL airdrop on ${this.currentNetwork}...`);
             const signature = await this.connection.requestAirdrop(
                 this.publicKey,
                 amount * 1e9
@@ -348,17 +593,22 @@ export class WalletManager {
     }
 
     async checkConnectionHealth() {
-        try {
-            const startTime = Date.now();
-            const version = await this.connection.getVersion();
-            const responseTime = Date.now() - startTime;
-            
-            console.log(`${this.currentNetwork} RPC Health: OK (${responseTime}ms)`, version);
-            return { healthy: true, responseTime, version, network: this.currentNetwork };
-        } catch (error) {
-            console.error(`${this.currentNetwork} RPC Health: FAILED`, error.message);
-            return { healthy: false, error: error.message, network: this.currentNetwork };
+        if (!this.connection) {
+            return { healthy: false, error: 'No RPC connection', network: this.currentNetwork };
         }
+
+        const endpoint = this.connection.rpcEndpoint;
+        const startTime = Date.now();
+        const health = await this.rpc.probe(endpoint);
+        const responseTime = Date.now() - startTime;
+
+        if (health.healthy) {
+            console.log(`${this.currentNetwork} RPC Health: OK (${responseTime}ms)`, health.version);
+            return { healthy: true, responseTime, version: health.version, endpoint, network: this.currentNetwork };
+        }
+
+        console.error(`${this.currentNetwork} RPC Health: FAILED`, health.error);
+        return { healthy: false, error: health.error, endpoint, network: this.currentNetwork };
     }
 
     getWalletInfo() {
@@ -373,49 +623,27 @@ export class WalletManager {
     }
 
     getWalletType() {
-        if (!this.wallet) return null;
-        
-        if (this.wallet.isPhantom) return 'Phantom';
-        if (this.wallet.isSolflare) return 'Solflare';
-        if (this.wallet.isBackpack) return 'Backpack';
-        
-        return 'Unknown';
+        return this.wallet?.name || null;
     }
 
-    async checkConnection() {
-        if (typeof window !== 'undefined' && window.solana && window.solana.isConnected) {
-            try {
-                const publicKey = window.solana.publicKey;
-                if (publicKey) {
-                    this.publicKey = publicKey;
-                    this.wallet = window.solana;
-                    this.isConnected = true;
-                    return true;
-                }
-            } catch (error) {
-                console.log('Auto-connect check failed:', error);
-            }
-        }
-        return false;
+    getExplorerUrl(signature) {
+        return getExplorerUrl(this.getCluster(), `tx/${signature}`);
     }
 
-    getExplorerUrl(signature) {
-        const baseUrl = this.currentNetwork === 'devnet' 
-            ? 'https://explorer.solana.com/tx/' 
-            : 'https://explorer.solana.com/tx/';
-        const cluster = this.currentNetwork === 'devnet' ? '?cluster=devnet' : '';
-        return `${baseUrl}${signature}${cluster}`;
+    getExplorerAddressUrl(address) {
+        return getExplorerUrl(this.getCluster(), `address/${address}`);
     }
 
     getCurrentNetwork() {
         return this.currentNetwork;
     }
 
-    isDevnet() {
-        return this.currentNetwork === 'devnet';
+    // The current cluster's settings, see clusters.js
+    getCluster() {
+        return getCluster(this.currentNetwork);
     }
 
-    isMainnet() {
-        return this.currentNetwork === 'mainnet';
+    canAirdrop() {
+        return this.getCluster().airdrop;
     }
 }
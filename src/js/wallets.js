@@ -0,0 +1,272 @@
+import { PublicKey, Transaction } from '@solana/web3.js';
+
+// Listed first in the picker, with an install link when they are not detected
+export const FIRST_CLASS_WALLETS = [
+    { name: 'Phantom', url: 'https://phantom.app', getProvider: () => window.phantom?.solana },
+    { name: 'Solflare', url: 'https://solflare.com', getProvider: () => window.solflare },
+    { name: 'Backpack', url: 'https://backpack.app', getProvider: () => window.backpack }
+];
+
+const REQUIRED_FEATURES = ['standard:connect', 'solana:signTransaction'];
+
+function serializeForSigning(transaction) {
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+}
+
+// Shared listener bookkeeping. Adapters emit 'accountChanged' (publicKey) and 'disconnect'.
+class WalletAdapter {
+    constructor(name, icon = null, url = null) {
+        this.name = name;
+        this.icon = icon;
+        this.url = url;
+        this.publicKey = null;
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.listeners.get(event).delete(listener);
+    }
+
+    emit(event, ...args) {
+        this.listeners.get(event)?.forEach(listener => listener(...args));
+    }
+}
+
+// A wallet registered through the Wallet Standard (https://github.com/wallet-standard/wallet-standard)
+export class StandardWalletAdapter extends WalletAdapter {
+    constructor(wallet, getChain) {
+        super(wallet.name, wallet.icon);
+        this.wallet = wallet;
+        this.getChain = getChain;
+        this.account = null;
+        this.offChange = null;
+    }
+
+    static isSupported(wallet) {
+        return wallet.chains.some(chain => chain.startsWith('solana:')) &&
+            REQUIRED_FEATURES.every(feature => feature in wallet.features);
+    }
+
+    async connect({ silent = false } = {}) {
+        const { accounts } = await this.wallet.features['standard:connect'].connect({ silent });
+        const account = accounts[0] || this.wallet.accounts[0];
+        if (!account) {
+            throw new Error(`${this.name} did not share an account`);
+        }
+
+        this.setAccount(account);
+
+        if (!this.offChange && this.wallet.features['standard:events']) {
+            this.offChange = this.wallet.features['standard:events'].on('change', ({ accounts: changed }) => {
+                if (!changed) return;
+
+                if (changed.length === 0) {
+                    this.setAccount(null);
+                    this.emit('disconnect');
+                } else if (changed[0].address !== this.account?.address) {
+                    this.setAccount(changed[0]);
+                    this.emit('accountChanged', this.publicKey);
+                }
+            });
+        }
+
+        return this.publicKey;
+    }
+
+    setAccount(account) {
+        this.account = account;
+        this.publicKey = account ? new PublicKey(account.publicKey) : null;
+    }
+
+    async disconnect() {
+        this.offChange?.();
+        this.offChange = null;
+        this.setAccount(null);
+        await this.wallet.features['standard:disconnect']?.disconnect();
+    }
+
+    async signTransaction(transaction) {
+        const [signed] = await this.signAllTransactions([transaction]);
+        return signed;
+    }
+
+    async signAllTransactions(transactions) {
+        const outputs = await this.wallet.features['solana:signTransaction'].signTransaction(
+            ...transactions.map(transaction => ({
+                transaction: serializeForSigning(transaction),
+                account: this.account,
+                chain: this.getChain()
+            }))
+        );
+
+        return outputs.map(output => Transaction.from(output.signedTransaction));
+    }
+
+    async signMessage(message) {
+        const feature = this.wallet.features['solana:signMessage'];
+        if (!feature) {
+            throw new Error(`${this.name} does not support message signing`);
+        }
+
+        const [output] = await feature.signMessage({ message, account: this.account });
+        return output.signature;
+    }
+}
+
+// Fallback for wallets that only inject a provider object (window.phantom.solana and friends)
+export class InjectedWalletAdapter extends WalletAdapter {
+    constructor(name, provider, url = null) {
+        super(name, provider.icon || null, url);
+        this.provider = provider;
+        this.subscribed = false;
+    }
+
+    async connect({ silent = false } = {}) {
+        const response = await this.provider.connect(silent ? { onlyIfTrusted: true } : undefined);
+        const publicKey = response?.publicKey || this.provider.publicKey;
+        if (!publicKey) {
+            throw new Error(`${this.name} did not share an account`);
+        }
+
+        this.publicKey = new PublicKey(publicKey.toString());
+
+        if (!this.subscribed && this.provider.on) {
+            this.subscribed = true;
+            this.provider.on('disconnect', () => {
+                this.publicKey = null;
+                this.emit('disconnect');
+            });
+            this.provider.on('accountChanged', (changed) => {
+                if (changed) {
+                    this.publicKey = new PublicKey(changed.toString());
+                    this.emit('accountChanged', this.publicKey);
+                } else {
+                    this.publicKey = null;
+                    this.emit('disconnect');
+                }
+            });
+        }
+
+        return this.publicKey;
+    }
+
+    async disconnect() {
+        this.publicKey = null;
+        await this.provider.disconnect();
+    }
+
+    signTransaction(transaction) {
+        return this.provider.signTransaction(transaction);
+    }
+
+    async signAllTransactions(transactions) {
+        if (this.provider.signAllTransactions) {
+            return this.provider.signAllTransactions(transactions);
+        }
+
+        const signed = [];
+        for (const transaction of transactions) {
+            signed.push(await this.provider.signTransaction(transaction));
+        }
+        return signed;
+    }
+
+    async signMessage(message) {
+        if (!this.provider.signMessage) {
+            throw new Error(`${this.name} does not support message signing`);
+        }
+
+        // Phantom and Backpack resolve to { signature }, older Solflare builds to the bytes
+        const result = await this.provider.signMessage(message, 'utf8');
+        return result.signature || result;
+    }
+}
+
+/**
+ * Keeps track of the wallets installed in the browser. Wallet Standard wallets
+ * win over injected providers of the same name. Dispatches a 'walletsChanged'
+ * window event when a wallet registers after discovery started.
+ */
+export class WalletRegistry {
+    constructor(getChain) {
+        this.getChain = getChain;
+        this.adapters = new Map();
+    }
+
+    discover() {
+        const register = (...wallets) => {
+            wallets.forEach(wallet => this.addStandardWallet(wallet));
+            return () => wallets.forEach(wallet => this.adapters.delete(wallet.name));
+        };
+
+        // Wallets loaded after us announce themselves, wallets loaded before answer app-ready
+        window.addEventListener('wallet-standard:register-wallet', (event) => event.detail({ register }));
+        window.dispatchEvent(new CustomEvent('wallet-standard:app-ready', { detail: { register } }));
+
+        this.addInjectedWallets();
+    }
+
+    addStandardWallet(wallet) {
+        if (!StandardWalletAdapter.isSupported(wallet)) {
+            return;
+        }
+
+        const known = FIRST_CLASS_WALLETS.find(entry => entry.name === wallet.name);
+        const adapter = new StandardWalletAdapter(wallet, this.getChain);
+        adapter.url = known?.url || null;
+        this.adapters.set(wallet.name, adapter);
+
+        window.dispatchEvent(new CustomEvent('walletsChanged'));
+    }
+
+    addInjectedWallets() {
+        for (const { name, url, getProvider } of FIRST_CLASS_WALLETS) {
+            const provider = getProvider();
+            if (provider && !this.adapters.has(name)) {
+                this.adapters.set(name, new InjectedWalletAdapter(name, provider, url));
+            }
+        }
+
+        // Anything else that only sets window.solana
+        const provider = window.solana;
+        if (!provider) {
+            return;
+        }
+
+        const brand = FIRST_CLASS_WALLETS.find(({ name }) => provider[`is${name}`]);
+        const name = brand?.name || 'Solana Wallet';
+        const claimed = [...this.adapters.values()].some(adapter => adapter.provider === provider);
+        if (!claimed && !this.adapters.has(name)) {
+            this.adapters.set(name, new InjectedWalletAdapter(name, provider, brand?.url));
+        }
+    }
+
+    get(name) {
+        // Injected providers can appear after the page loaded
+        if (!this.adapters.has(name)) {
+            this.addInjectedWallets();
+        }
+        return this.adapters.get(name) || null;
+    }
+
+    // Picker entries: first-class wallets (installed or not), then the rest by name
+    list() {
+        this.addInjectedWallets();
+
+        const firstClass = FIRST_CLASS_WALLETS.map(({ name, url }) => {
+            const adapter = this.adapters.get(name);
+            return { name, url, icon: adapter?.icon || null, installed: Boolean(adapter) };
+        });
+
+        const others = [...this.adapters.values()]
+            .filter(adapter => !FIRST_CLASS_WALLETS.some(entry => entry.name === adapter.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(adapter => ({ name: adapter.name, url: adapter.url, icon: adapter.icon, installed: true }));
+
+        return [...firstClass, ...others];
+    }
+}
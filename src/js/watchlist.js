@@ -0,0 +1,207 @@
+// localStorage keys: the watched names, and the URL alerts are posted to
+const WATCHLIST_KEY = 'sns:watchlist';
+const WEBHOOK_KEY = 'sns:watchlistWebhook';
+
+// Name accounts rarely change, so a slow poll is enough
+const POLL_INTERVAL = 60000;
+
+function loadEntries() {
+    if (typeof localStorage === 'undefined') {
+        return [];
+    }
+
+    try {
+        return JSON.parse(localStorage.getItem(WATCHLIST_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function isWatched(entry, domain, network) {
+    return entry.domain === domain && entry.network === network;
+}
+
+/**
+ * Taken names the user is waiting on. While the app is open the name accounts
+ * of the current network are polled, and an alert goes out when one changes
+ * owner or is closed: in the app through onAlert, and to the webhook if set.
+ * The webhook is called from the browser, so it only hears about changes
+ * while a tab is open and its endpoint has to allow cross-origin requests.
+ */
+export class Watchlist {
+    constructor(walletManager, lookup) {
+        this.walletManager = walletManager;
+        this.lookup = lookup;
+        this.timer = null;
+        this.generation = 0;
+        this.onAlert = () => {};
+        this.onWebhookError = () => {};
+    }
+
+    // Entries: { domain, network, nameAccount, owner, available, addedAt, checkedAt, changedAt }
+    list(network = null) {
+        return loadEntries().filter(entry => !network || entry.network === network);
+    }
+
+    save(entries) {
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(entries));
+    }
+
+    // Only registered names can be watched; available ones can simply be registered
+    async add(domain) {
+        const network = this.walletManager.getCurrentNetwork();
+        const entries = loadEntries();
+
+        if (entries.some(entry => isWatched(entry, domain, network))) {
+            throw new Error(`${domain}.sol is already on your watchlist`);
+        }
+
+        this.lookup.invalidate([domain], network);
+        const { nameAccount, registered, owner } = await this.lookup.lookupOne(domain);
+        if (!registered) {
+            throw new Error(`${domain}.sol is available on ${network}, so there is nothing to watch`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = { domain, network, nameAccount, owner, available: false, addedAt: now, checkedAt: now, changedAt: null };
+        this.save([...entries, entry]);
+        return entry;
+    }
+
+    remove(domain, network) {
+        this.save(loadEntries().filter(entry => !isWatched(entry, domain, network)));
+    }
+
+    getWebhookUrl() {
+        return typeof localStorage === 'undefined' ? '' : localStorage.getItem(WEBHOOK_KEY) || '';
+    }
+
+    // An empty url turns the webhook off
+    setWebhookUrl(url) {
+        const trimmed = url.trim();
+        if (!trimmed) {
+            localStorage.removeItem(WEBHOOK_KEY);
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(trimmed);
+        } catch (error) {
+            throw new Error('Enter a valid webhook URL');
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Webhook URL must use http or https');
+        }
+
+        localStorage.setItem(WEBHOOK_KEY, parsed.toString());
+    }
+
+    // onAlert(alert) receives { type, domain, network, nameAccount, previousOwner, owner, detectedAt };
+    // onWebhookError(error, alert) hears about alerts the webhook did not accept
+    start(onAlert = () => {}, onWebhookError = () => {}) {
+        this.stop();
+        this.onAlert = onAlert;
+        this.onWebhookError = onWebhookError;
+
+        // A check still running when the loop is stopped or restarted must not reschedule it
+        const generation = this.generation;
+        const poll = async () => {
+            try {
+                await this.check();
+            } catch (error) {
+                console.log('Watchlist check failed:', error.message);
+            }
+            if (generation === this.generation) {
+                this.timer = setTimeout(poll, POLL_INTERVAL);
+            }
+        };
+
+        this.timer = setTimeout(poll, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.generation++;
+    }
+
+    /**
+     * Reads the watched name accounts of the current network and returns the
+     * alerts raised: `available` when the account is gone, `owner-changed` when
+     * it has a different owner (including a new one after being available).
+     */
+    async check() {
+        const network = this.walletManager.getCurrentNetwork();
+        const watched = this.list(network);
+        if (watched.length === 0) {
+            return [];
+        }
+
+        // Cached lookups could hide a change for a while
+        const domains = watched.map(entry => entry.domain);
+        this.lookup.invalidate(domains, network);
+        const results = await this.lookup.lookup(domains);
+
+        const now = new Date().toISOString();
+        const alerts = [];
+        const updated = new Map();
+
+        watched.forEach((entry, index) => {
+            const { nameAccount, registered, owner } = results[index];
+            const next = { ...entry, nameAccount, checkedAt: now };
+
+            if (!registered && !entry.available) {
+                alerts.push({ type: 'available', domain: entry.domain, network, nameAccount, previousOwner: entry.owner, owner: null, detectedAt: now });
+                Object.assign(next, { owner: null, available: true, changedAt: now });
+            } else if (registered && owner !== entry.owner) {
+                alerts.push({ type: 'owner-changed', domain: entry.domain, network, nameAccount, previousOwner: entry.owner, owner, detectedAt: now });
+                Object.assign(next, { owner, available: false, changedAt: now });
+            }
+
+            updated.set(entry.domain, next);
+        });
+
+        // Re-read so names added or removed during the lookup are kept as they are
+        this.save(loadEntries().map(entry => (
+            entry.network === network && updated.has(entry.domain) ? updated.get(entry.domain) : entry
+        )));
+
+        // A failing endpoint is reported but must not stop the polling
+        for (const alert of alerts) {
+            this.onAlert(alert);
+            try {
+                await this.notifyWebhook(alert);
+            } catch (error) {
+                this.onWebhookError(error, alert);
+            }
+        }
+
+        return alerts;
+    }
+
+    // A JSON POST is not a simple request, so the browser sends a CORS preflight
+    // first; endpoints that do not answer it look like network failures
+    async notifyWebhook(alert) {
+        const url = this.getWebhookUrl();
+        if (!url) {
+            return;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: `watchlist.${alert.type}`, ...alert })
+            });
+        } catch (error) {
+            throw new Error(`Could not reach ${url} (${error.message}). It must accept cross-origin POST requests with a JSON body from this page.`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`${url} returned ${response.status}`);
+        }
+    }
+}
@@ -0,0 +1,49 @@
+import { LAMPORTS_PER_SOL, PublicKey, SystemProgram } from '@solana/web3.js';
+import { devnet } from '@bonfida/spl-name-service';
+
+// Shared by the verification and route tests; has no tests of its own
+
+export const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const VAULT_OWNER = devnet.constants.VAULT_OWNER.toBase58();
+
+export function nameAccountOf(domain) {
+    return devnet.utils.getDomainKeySync(domain).pubkey;
+}
+
+/**
+ * A getParsedTransaction result for a devnet SOL registration of domains by
+ * owner: vaultSol wrapped SOL reaches the registrar vault, and fees lists the
+ * app fee transfers as { to, sol }.
+ */
+export function parsedRegistration({ owner, domains, vaultSol, fees = [], err = null, programs = [] }) {
+    const registerProgramId = devnet.constants.REGISTER_PROGRAM_ID;
+    const balance = uiAmount => ({ owner: VAULT_OWNER, mint: WRAPPED_SOL_MINT, uiTokenAmount: { uiAmount } });
+
+    return {
+        slot: 1,
+        blockTime: 1700000000,
+        meta: {
+            err,
+            preTokenBalances: [balance(0)],
+            postTokenBalances: [balance(vaultSol)]
+        },
+        transaction: {
+            message: {
+                accountKeys: [{ pubkey: new PublicKey(owner), signer: true }],
+                instructions: [
+                    ...domains.map(domain => ({ programId: registerProgramId, accounts: [nameAccountOf(domain)] })),
+                    ...fees.map(({ to, sol }) => ({
+                        programId: SystemProgram.programId,
+                        program: 'system',
+                        parsed: {
+                            type: 'transfer',
+                            info: { source: owner, destination: to, lamports: Math.round(sol * LAMPORTS_PER_SOL) }
+                        }
+                    })),
+                    ...programs.map(programId => ({ programId: new PublicKey(programId), accounts: [] }))
+                ]
+            }
+        }
+    };
+}
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDomainPriceFromName } from '@bonfida/spl-name-service';
+import { PricingEngine } from '../src/js/pricing.js';
+
+const FEE_RECIPIENT = '44m2FxxsPwNCNHWetYJCeEniAkSdxLhxZpzjPwAcFACP';
+const SOL_PRICE = 200;
+
+const rules = {
+    currency: 'SOL',
+    feeRecipient: null,
+    lengthTiers: [
+        { maxLength: 5, label: 'Short name', price: 0.1 },
+        { maxLength: null, label: 'Standard name', price: 0.02 }
+    ],
+    premiumWords: { words: ['crypto'], surcharge: 0.5 },
+    reservedWords: ['admin'],
+    surcharges: [{ id: 'numeric', label: 'All-numeric', pattern: '^[0-9]+$', flags: '', amount: 0.01 }],
+    promoCodes: {
+        HALF: { type: 'percent', value: 50 },
+        OLD: { type: 'fixed', value: 1, expiresAt: '2020-01-01T00:00:00Z' }
+    },
+    subdomains: {
+        feeRecipient: null,
+        space: 1000,
+        reservedWords: ['www'],
+        lengthTiers: [{ maxLength: null, label: 'Subdomain fee', price: 0.001 }]
+    },
+    networks: {
+        devnet: { feeRecipient: FEE_RECIPIENT }
+    }
+};
+
+function registrarSol(domain) {
+    return Math.round(getDomainPriceFromName(domain) / SOL_PRICE * 1e9) / 1e9;
+}
+
+describe('PricingEngine.quote', () => {
+    const engine = new PricingEngine(rules);
+
+    it('charges only the registrar price without a fee recipient', () => {
+        const quote = engine.quote('hello', { network: 'mainnet', solPrice: SOL_PRICE });
+
+        assert.deepEqual(quote.registrarPrice, { usd: getDomainPriceFromName('hello'), sol: registrarSol('hello') });
+        assert.deepEqual(quote.lineItems.map(item => item.id), ['registrar']);
+        assert.equal(quote.feeRecipient, null);
+        assert.equal(quote.fee, 0);
+        assert.equal(quote.total, registrarSol('hello'));
+    });
+
+    it('adds the length tier, premium and surcharge fees where a fee recipient is set', () => {
+        const quote = engine.quote('crypto', { network: 'devnet', solPrice: SOL_PRICE });
+
+        assert.equal(quote.feeRecipient, FEE_RECIPIENT);
+        assert.deepEqual(quote.lineItems.map(item => item.id), ['registrar', 'length', 'premium']);
+        assert.equal(quote.fee, 0.52);
+        assert.equal(quote.total, Math.round((registrarSol('crypto') + 0.52) * 1e9) / 1e9);
+
+        const numeric = engine.quote('12345', { network: 'devnet', solPrice: SOL_PRICE });
+        assert.deepEqual(numeric.lineItems.map(item => item.id), ['registrar', 'length', 'numeric']);
+        assert.equal(numeric.fee, 0.11);
+    });
+
+    it('prices clusters without their own rules like their SNS deployment', () => {
+        assert.equal(engine.quote('hello', { network: 'localnet', solPrice: SOL_PRICE }).feeRecipient, FEE_RECIPIENT);
+    });
+
+    it('discounts app fees, never the registrar price', () => {
+        const quote = engine.quote('hello', { network: 'devnet', promoCode: ' half ', solPrice: SOL_PRICE });
+
+        assert.equal(quote.promoCode, 'HALF');
+        assert.deepEqual(quote.lineItems.at(-1), { id: 'promo', label: 'Promo code HALF', amount: -0.05 });
+        assert.equal(quote.fee, 0.05);
+        assert.equal(quote.total, Math.round((registrarSol('hello') + 0.05) * 1e9) / 1e9);
+    });
+
+    it('reports promo codes it cannot apply', () => {
+        const at = (network, promoCode) => engine.quote('hello', { network, promoCode, solPrice: SOL_PRICE }).promoError;
+
+        assert.equal(at('devnet', 'nope'), 'Promo code NOPE is not valid');
+        assert.equal(at('devnet', 'old'), 'Promo code OLD has expired');
+        assert.equal(at('mainnet', 'half'), 'Promo code HALF only discounts app fees, and none are charged on this network');
+    });
+
+    it('marks reserved names without pricing them', () => {
+        const quote = engine.quote('admin', { solPrice: SOL_PRICE });
+
+        assert.equal(quote.reserved, true);
+        assert.deepEqual(quote.lineItems, []);
+        assert.equal(engine.isReserved('admin'), true);
+    });
+
+    it('needs a SOL/USD price', () => {
+        assert.throws(() => engine.quote('hello', { solPrice: 0 }), /SOL\/USD price/);
+    });
+});
+
+describe('PricingEngine.quoteSubdomain', () => {
+    const engine = new PricingEngine(rules);
+
+    it('shows the rent as a refundable deposit outside the fee', () => {
+        const quote = engine.quoteSubdomain('blog.hello', { rentLamports: 2000000 });
+
+        assert.equal(quote.fee, 0.001);
+        assert.equal(quote.total, 0.003);
+        assert.equal(quote.space, 1000);
+    });
+
+    it('marks reserved labels', () => {
+        assert.equal(engine.quoteSubdomain('www.hello').reserved, true);
+    });
+});
+
+describe('shipped pricing rules', () => {
+    it('charge app fees on devnet', () => {
+        const quote = new PricingEngine().quote('hello', { network: 'devnet', solPrice: SOL_PRICE });
+
+        assert.ok(quote.feeRecipient);
+        assert.ok(quote.fee > 0);
+    });
+});
@@ -0,0 +1,203 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { createDatabase } from '../server/db.js';
+import { createApp } from '../server/app.js';
+import { createSignInMessage } from '../src/js/siws.js';
+import { nameAccountOf, parsedRegistration } from './fixtures.js';
+
+const SIGNATURE = '5'.repeat(87);
+
+// A wallet whose address is the raw ed25519 public key, like Solana's
+function createWallet() {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    return {
+        address: new PublicKey(raw).toBase58(),
+        sign: message => sign(null, Buffer.from(message, 'utf8'), privateKey).toString('base64')
+    };
+}
+
+describe('API routes', () => {
+    const wallet = createWallet();
+    const transactions = new Map();
+    let db;
+    let server;
+    let base;
+    let priceAvailable = true;
+
+    const connection = {
+        getParsedTransaction: async signature => transactions.get(signature) || null
+    };
+
+    async function request(path, { method = 'GET', body, token } = {}) {
+        const response = await fetch(`${base}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function signIn() {
+        const { body: nonce } = await request('/auth/nonce', { method: 'POST', body: { address: wallet.address, network: 'devnet' } });
+        const message = createSignInMessage({
+            domain: 'sns.test',
+            address: wallet.address,
+            uri: 'https://sns.test',
+            network: 'devnet',
+            nonce: nonce.nonce,
+            issuedAt: nonce.issuedAt,
+            expirationTime: nonce.expirationTime
+        });
+        return { message, signature: wallet.sign(message) };
+    }
+
+    before(async () => {
+        db = await createDatabase(':memory:');
+        const app = createApp({
+            db,
+            resolveOwner: async () => null,
+            getConnection: () => connection,
+            getPriceFeed: () => ({
+                getPrice: async () => {
+                    if (!priceAvailable) {
+                        throw new Error('No SOL/USD price available');
+                    }
+                    return { price: 200 };
+                }
+            }),
+            allowedDomains: ['sns.test']
+        });
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(async () => {
+        server.close();
+        await db.destroy();
+    });
+
+    describe('POST /quotes', () => {
+        it('stores and returns a quote with its app fees', async () => {
+            const { status, body } = await request('/quotes', { method: 'POST', body: { domain: 'hello', network: 'devnet' } });
+
+            assert.equal(status, 201);
+            assert.ok(body.quote.fee > 0);
+            assert.equal(body.quote.registrarPrice.sol, 0.1);
+
+            const row = await db('quotes').where({ id: body.quote.id }).first();
+            assert.equal(row.domain, 'hello');
+            assert.equal(row.fee_recipient, body.quote.feeRecipient);
+        });
+
+        it('rejects bad input with a 400', async () => {
+            const quote = body => request('/quotes', { method: 'POST', body });
+
+            assert.equal((await quote({ domain: 12, network: 'devnet' })).status, 400);
+            assert.equal((await quote({ domain: 'Bad_Name', network: 'devnet' })).status, 400);
+            assert.equal((await quote({ domain: 'hello', network: 'nowhere' })).status, 400);
+        });
+
+        it('refuses reserved names', async () => {
+            assert.equal((await request('/quotes', { method: 'POST', body: { domain: 'admin', network: 'devnet' } })).status, 422);
+        });
+
+        it('reports a missing SOL price as unavailable', async () => {
+            priceAvailable = false;
+            try {
+                assert.equal((await request('/quotes', { method: 'POST', body: { domain: 'hello', network: 'devnet' } })).status, 503);
+            } finally {
+                priceAvailable = true;
+            }
+        });
+    });
+
+    describe('sign-in', () => {
+        it('issues a session for a signed message, once', async () => {
+            const signed = await signIn();
+
+            const { status, body } = await request('/auth/verify', { method: 'POST', body: signed });
+            assert.equal(status, 201);
+            assert.equal(body.session.address, wallet.address);
+
+            const session = await request('/auth/session', { token: body.token });
+            assert.equal(session.status, 200);
+
+            assert.equal((await request('/auth/verify', { method: 'POST', body: signed })).status, 401);
+        });
+
+        it('rejects a message signed by another key', async () => {
+            const { message } = await signIn();
+            const signature = createWallet().sign(message);
+
+            const { status, body } = await request('/auth/verify', { method: 'POST', body: { message, signature } });
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Invalid signature');
+        });
+    });
+
+    describe('POST /registrations', () => {
+        let token;
+        let quote;
+
+        before(async () => {
+            ({ body: { token } } = await request('/auth/verify', { method: 'POST', body: await signIn() }));
+            ({ body: { quote } } = await request('/quotes', { method: 'POST', body: { domain: 'hello', network: 'devnet' } }));
+        });
+
+        const registration = overrides => ({
+            domain: 'hello',
+            network: 'devnet',
+            signature: SIGNATURE,
+            nameAccount: nameAccountOf('hello').toBase58(),
+            quoteId: quote.id,
+            paymentMethod: 'SOL',
+            cost: quote.total,
+            ...overrides
+        });
+
+        it('needs a session', async () => {
+            assert.equal((await request('/registrations', { method: 'POST', body: registration() })).status, 401);
+        });
+
+        it('rejects bad input with a 400', async () => {
+            const post = body => request('/registrations', { method: 'POST', body, token });
+
+            assert.equal((await post(registration({ domain: 12 }))).status, 400);
+            assert.equal((await post(registration({ signature: 'sig' }))).status, 400);
+            assert.equal((await post(registration({ paymentMethod: 'BTC' }))).status, 400);
+        });
+
+        it('refuses transactions the chain does not show', async () => {
+            assert.equal((await request('/registrations', { method: 'POST', body: registration(), token })).status, 422);
+        });
+
+        it('records and verifies a registration that pays its quote', async () => {
+            transactions.set(SIGNATURE, parsedRegistration({
+                owner: wallet.address,
+                domains: ['hello'],
+                vaultSol: quote.registrarPrice.sol,
+                fees: [{ to: quote.feeRecipient, sol: quote.fee }]
+            }));
+
+            const { status, body } = await request('/registrations', { method: 'POST', body: registration(), token });
+            assert.equal(status, 201);
+            assert.equal(body.verification.status, 'confirmed');
+            assert.equal(body.registration.owner, wallet.address);
+
+            const duplicate = await request('/registrations', { method: 'POST', body: registration(), token });
+            assert.equal(duplicate.status, 409);
+
+            const { body: availability } = await request('/domains/hello/availability?network=devnet');
+            assert.equal(availability.available, false);
+            assert.equal(availability.source, 'ledger');
+        });
+    });
+});
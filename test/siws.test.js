@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STATEMENT, createSignInMessage, parseSignInMessage } from '../src/js/siws.js';
+
+const fields = {
+    domain: 'sns.example',
+    address: 'F8HNTmGfymt8L4B6jWwj8FXxQmHqvo6WZK3FvGpHTWXF',
+    uri: 'https://sns.example',
+    network: 'devnet',
+    nonce: '0123456789abcdef',
+    issuedAt: '2025-01-01T00:00:00.000Z',
+    expirationTime: '2025-01-01T00:05:00.000Z'
+};
+
+describe('createSignInMessage', () => {
+    it('writes the EIP-4361 style layout', () => {
+        assert.equal(createSignInMessage(fields), [
+            'sns.example wants you to sign in with your Solana account:',
+            fields.address,
+            '',
+            DEFAULT_STATEMENT,
+            '',
+            'URI: https://sns.example',
+            'Version: 1',
+            'Chain ID: devnet',
+            'Nonce: 0123456789abcdef',
+            'Issued At: 2025-01-01T00:00:00.000Z',
+            'Expiration Time: 2025-01-01T00:05:00.000Z'
+        ].join('\n'));
+    });
+
+    it('names every missing field', () => {
+        assert.throws(
+            () => createSignInMessage({ ...fields, domain: '', nonce: undefined }),
+            { message: 'Sign-in message is missing: domain, Nonce' }
+        );
+    });
+});
+
+describe('parseSignInMessage', () => {
+    it('reads back what createSignInMessage wrote', () => {
+        assert.deepEqual(
+            parseSignInMessage(createSignInMessage({ ...fields, statement: 'Hello' })),
+            { ...fields, statement: 'Hello', version: '1' }
+        );
+    });
+
+    it('returns null for anything else', () => {
+        const message = createSignInMessage(fields);
+
+        assert.equal(parseSignInMessage('hello'), null);
+        assert.equal(parseSignInMessage(null), null);
+        assert.equal(parseSignInMessage(`${message}\nExtra: line`), null);
+        assert.equal(parseSignInMessage(message.replace('wants you to sign in', 'asks you to sign in')), null);
+        assert.equal(parseSignInMessage(message.replace('Nonce:', 'Nonse:')), null);
+    });
+});
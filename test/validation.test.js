@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSubdomainName, parseDomainName, validateDomainName, validateSubdomainName } from '../src/js/validation.js';
+
+describe('validateDomainName', () => {
+    it('accepts lowercase letters, numbers and single hyphens', () => {
+        for (const name of ['a', 'hello', 'my-name', 'abc123', 'x'.repeat(32)]) {
+            assert.deepEqual(validateDomainName(name), { isValid: true }, name);
+        }
+    });
+
+    it('rejects malformed names', () => {
+        const cases = {
+            '': 'Domain name is required',
+            ['x'.repeat(33)]: 'Domain name cannot exceed 32 characters',
+            'Hello': 'Domain name can only contain lowercase letters, numbers, and hyphens',
+            'my_name': 'Domain name can only contain lowercase letters, numbers, and hyphens',
+            '-name': 'Domain name cannot start or end with a hyphen',
+            'name-': 'Domain name cannot start or end with a hyphen',
+            'my--name': 'Domain name cannot contain consecutive hyphens'
+        };
+
+        for (const [name, error] of Object.entries(cases)) {
+            assert.deepEqual(validateDomainName(name), { isValid: false, error }, name);
+        }
+    });
+
+    it('rejects values that are not strings', () => {
+        for (const value of [12, ['hello'], { name: 'hello' }, true]) {
+            assert.deepEqual(validateDomainName(value), { isValid: false, error: 'Domain name must be a string' });
+        }
+    });
+});
+
+describe('parseDomainName', () => {
+    it('normalizes case, whitespace and the .sol suffix', () => {
+        assert.deepEqual(parseDomainName('  Hello.SOL '), { name: 'hello', label: 'hello', parent: null, isSubdomain: false });
+    });
+
+    it('splits a subdomain into its labels', () => {
+        assert.deepEqual(parseDomainName('blog.mydomain.sol'), { name: 'blog.mydomain', label: 'blog', parent: 'mydomain', isSubdomain: true });
+        assert.equal(isSubdomainName('blog.mydomain'), true);
+        assert.equal(isSubdomainName('mydomain'), false);
+    });
+});
+
+describe('validateSubdomainName', () => {
+    it('accepts sub.parent', () => {
+        assert.deepEqual(validateSubdomainName('blog.mydomain'), { isValid: true });
+    });
+
+    it('rejects other shapes and bad labels', () => {
+        assert.equal(validateSubdomainName('mydomain').error, 'Subdomain must be in the form sub.parent');
+        assert.equal(validateSubdomainName('a.blog.mydomain').error, 'Only one level of subdomain is supported');
+        assert.equal(validateSubdomainName('bad_sub.mydomain').error, 'Subdomain can only contain lowercase letters, numbers, and hyphens');
+        assert.equal(validateSubdomainName('blog.-parent').error, 'Parent domain cannot start or end with a hyphen');
+    });
+});
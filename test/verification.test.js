@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, Transaction, TransactionInstruction } from '@solana/web3.js';
+import { NAME_PROGRAM_ID } from '@bonfida/spl-name-service';
+import {
+    findNameTransfer,
+    findSignedTransaction,
+    isValidSignature,
+    verifyRegistrationTransaction
+} from '../server/verification.js';
+import { VAULT_OWNER, nameAccountOf, parsedRegistration } from './fixtures.js';
+
+const SIGNATURE = '5'.repeat(87);
+const OWNER = Keypair.generate().publicKey.toBase58();
+const FEE_RECIPIENT = Keypair.generate().publicKey.toBase58();
+
+function connectionReturning(transaction) {
+    return {
+        getParsedTransaction: async () => transaction,
+        getTransaction: async () => transaction
+    };
+}
+
+function registration(overrides = {}) {
+    return {
+        signature: SIGNATURE,
+        domain: 'hello',
+        network: 'devnet',
+        owner: OWNER,
+        payment_method: 'SOL',
+        quote_id: 'q1',
+        batch_size: 1,
+        ...overrides
+    };
+}
+
+const quote = { id: 'q1', registrar_sol: 0.1, fee: 0.02, fee_recipient: FEE_RECIPIENT };
+
+describe('isValidSignature', () => {
+    it('accepts base58 signatures only', () => {
+        assert.equal(isValidSignature(SIGNATURE), true);
+        assert.equal(isValidSignature('sig'), false);
+        assert.equal(isValidSignature('0'.repeat(87)), false);
+        assert.equal(isValidSignature(12), false);
+    });
+});
+
+describe('findSignedTransaction', () => {
+    it('finds a transaction the signer signed', async () => {
+        const transaction = parsedRegistration({ owner: OWNER, domains: ['hello'], vaultSol: 0.1 });
+        assert.deepEqual(await findSignedTransaction(connectionReturning(transaction), SIGNATURE, OWNER), { transaction });
+    });
+
+    it('reports missing and foreign transactions', async () => {
+        const other = Keypair.generate().publicKey.toBase58();
+        const transaction = parsedRegistration({ owner: other, domains: ['hello'], vaultSol: 0.1 });
+
+        assert.match((await findSignedTransaction(connectionReturning(null), SIGNATURE, OWNER)).error, /was not found/);
+        assert.match((await findSignedTransaction(connectionReturning(transaction), SIGNATURE, OWNER)).error, /was not signed by/);
+    });
+});
+
+describe('findNameTransfer', () => {
+    const nameAccount = nameAccountOf('hello');
+    const to = Keypair.generate().publicKey;
+
+    function transferTransaction({ account = nameAccount, tag = 2, err = null } = {}) {
+        const message = new Transaction({ feePayer: new PublicKey(OWNER), recentBlockhash: '11111111111111111111111111111111' })
+            .add(new TransactionInstruction({
+                programId: NAME_PROGRAM_ID,
+                keys: [
+                    { pubkey: account, isSigner: false, isWritable: true },
+                    { pubkey: new PublicKey(OWNER), isSigner: true, isWritable: false }
+                ],
+                data: Buffer.from([tag, ...to.toBytes()])
+            }))
+            .compileMessage();
+
+        return { meta: { err }, transaction: { message } };
+    }
+
+    it('reads the new owner and signers from the Transfer instruction', async () => {
+        assert.deepEqual(
+            await findNameTransfer(connectionReturning(transferTransaction()), SIGNATURE, nameAccount),
+            { to: to.toBase58(), signers: [OWNER] }
+        );
+    });
+
+    it('reports transactions that do not transfer the name', async () => {
+        const find = transaction => findNameTransfer(connectionReturning(transaction), SIGNATURE, nameAccount);
+
+        assert.match((await find(null)).error, /was not found/);
+        assert.match((await find(transferTransaction({ err: { InstructionError: [0, 'Custom'] } }))).error, /failed/);
+        assert.match((await find(transferTransaction({ tag: 1 }))).error, /does not transfer/);
+        assert.match((await find(transferTransaction({ account: nameAccountOf('other') }))).error, /does not transfer/);
+    });
+});
+
+describe('verifyRegistrationTransaction', () => {
+    const paid = overrides => parsedRegistration({
+        owner: OWNER,
+        domains: ['hello'],
+        vaultSol: 0.1,
+        fees: [{ to: FEE_RECIPIENT, sol: 0.02 }],
+        ...overrides
+    });
+
+    it('confirms a transaction that pays what was quoted', async () => {
+        const result = await verifyRegistrationTransaction(connectionReturning(paid()), registration(), [quote]);
+
+        assert.equal(result.status, 'confirmed');
+        assert.deepEqual(result.mismatches, []);
+        assert.equal(result.payer, OWNER);
+        assert.equal(result.recipient, VAULT_OWNER);
+        assert.equal(result.amount, 0.1);
+    });
+
+    it('is pending until the chain shows the transaction', async () => {
+        const result = await verifyRegistrationTransaction(connectionReturning(null), registration(), [quote]);
+        assert.deepEqual(result, { status: 'pending', mismatches: [] });
+    });
+
+    it('reports failed transactions', async () => {
+        const result = await verifyRegistrationTransaction(connectionReturning(paid({ err: { InstructionError: [0, 'Custom'] } })), registration(), [quote]);
+        assert.equal(result.status, 'failed');
+    });
+
+    it('flags each way a transaction can differ from its quote', async () => {
+        const check = async (transaction, row = registration(), quotes = [quote]) =>
+            (await verifyRegistrationTransaction(connectionReturning(transaction), row, quotes)).mismatches;
+
+        assert.match((await check(paid(), registration({ owner: FEE_RECIPIENT })))[0], /is not the registering wallet/);
+        assert.match((await check(paid({ domains: ['other'] })))[0], /does not create hello\.sol/);
+        assert.match((await check(paid({ vaultSol: 0.05 })))[0], /quoted 0\.1 SOL/);
+        assert.match((await check(paid({ fees: [] })))[0], /in app fees/);
+        assert.match((await check(paid({ programs: [Keypair.generate().publicKey.toBase58()] })))[0], /Unexpected programs/);
+        assert.match((await check(paid(), registration({ quote_id: null }), []))[0], /No quote/);
+    });
+
+    it('waits for every registration of a batch before checking the payment', async () => {
+        const transaction = paid({ domains: ['hello', 'world'], vaultSol: 0.2 });
+        const first = registration({ batch_size: 2 });
+        const second = registration({ domain: 'world', quote_id: 'q2', batch_size: 2 });
+        const quotes = [quote, { ...quote, id: 'q2', fee: 0 }];
+
+        const waiting = await verifyRegistrationTransaction(connectionReturning(transaction), first, quotes, [first]);
+        assert.equal(waiting.status, 'pending');
+
+        const complete = await verifyRegistrationTransaction(connectionReturning(transaction), first, quotes, [first, second]);
+        assert.equal(complete.status, 'confirmed');
+    });
+});
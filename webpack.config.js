@@ -1,4 +1,5 @@
 import path from 'path';
+import webpack from 'webpack';
 import HtmlWebpackPlugin from 'html-webpack-plugin';
 import CopyWebpackPlugin from 'copy-webpack-plugin';
 import { fileURLToPath } from 'url';
@@ -22,6 +23,9 @@ export default {
     ],
   },
   plugins: [
+    new webpack.DefinePlugin({
+      'process.env.SNS_API_URL': JSON.stringify(process.env.SNS_API_URL || ''),
+    }),
     new HtmlWebpackPlugin({
       template: './src/index.html',
       filename: 'index.html',